@@ -1,5 +1,6 @@
 import chalk from 'chalk';
 import { OpenAIClient, DEFAULT_MODEL_CONFIG } from './openaiClient.js';
+import { getFixtureConfig } from '../config/fixtureConfig.js';
 import { analyzePRComments } from './prAnalyzer.js';
 import { analyzeContributors } from './contributorAnalyzer.js';
 import { generateExecutiveSummary } from './executiveSummary.js';
@@ -10,14 +11,14 @@ import { generateExecutiveSummary } from './executiveSummary.js';
  * @param {Object} previousWeekData - Previous week data (may be null)
  * @param {Object} reviewData - { reviews, reviewComments, discussionComments }
  * @param {Array} prs - Array of PR objects
- * @param {string} apiKey - OpenAI API key
+ * @param {string} apiKey - OpenAI API key (not needed when replaying fixtures)
  * @param {Object|string} modelConfig - Model config { extraction, analysis } or single model string
  * @returns {Promise<Object>} Complete AI analysis
  */
 export async function runAIAnalysis(weekData, previousWeekData, reviewData, prs, apiKey, modelConfig = DEFAULT_MODEL_CONFIG) {
   console.log(chalk.bold.cyan('\n🤖 Running AI Analysis\n'));
 
-  if (!apiKey) {
+  if (!apiKey && getFixtureConfig().mode !== 'replay') {
     console.log(chalk.yellow('⚠️  No OpenAI API key found - skipping AI analysis'));
     return {
       executiveSummary: {},
@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import { isBotAccount } from '../utils/botClassifier.js';
 
 /**
  * Build rich context for a contributor from review data
@@ -72,6 +73,7 @@ export function buildContributorContext(username, weekData, reviewData) {
   return {
     metrics: {
       commits: metrics.commits || 0,
+      coAuthoredCommits: metrics.coAuthoredCommits || 0,
       prs: metrics.prs || 0,
       linesAdded: metrics.linesAdded || 0,
       linesDeleted: metrics.linesDeleted || 0,
@@ -109,13 +111,13 @@ export async function analyzeContributors(aiClient, weekData, reviewData, modelO
   const contributorContexts = {};
 
   for (const [username] of Object.entries(weekData.users)) {
-    if (username.endsWith('[bot]')) continue;
+    if (isBotAccount(username)) continue;
 
     const context = buildContributorContext(username, weekData, reviewData);
 
     // Skip fully inactive contributors
     const m = context.metrics;
-    if (m.commits === 0 && m.prs === 0 && m.reviewsGiven === 0 && m.reviewCommentsGiven === 0) {
+    if (m.commits === 0 && m.coAuthoredCommits === 0 && m.prs === 0 && m.reviewsGiven === 0 && m.reviewCommentsGiven === 0) {
       continue;
     }
 
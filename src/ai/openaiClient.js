@@ -1,5 +1,8 @@
+import path from 'path';
 import OpenAI from 'openai';
 import chalk from 'chalk';
+import { FixtureStore } from '../storage/fixtureStore.js';
+import { getFixtureConfig } from '../config/fixtureConfig.js';
 
 /**
  * Default model configuration for multi-model routing
@@ -15,19 +18,50 @@ export const DEFAULT_MODEL_CONFIG = {
  * OpenAI API client wrapper with multi-model support
  */
 export class OpenAIClient {
+  /**
+   * @param {string} apiKey - OpenAI API key (not needed with FIXTURE_MODE=replay)
+   * @param {string} model - Default model
+   */
   constructor(apiKey, model = 'gpt-4o') {
-    if (!apiKey) {
+    const fixtureConfig = getFixtureConfig();
+
+    if (!apiKey && fixtureConfig.mode !== 'replay') {
       throw new Error('OpenAI API key is required. Please set OPENAI_API_KEY in .env');
     }
 
-    this.client = new OpenAI({
+    // Replayed completions are served from fixtures without an API client
+    this.client = fixtureConfig.mode === 'replay' ? null : new OpenAI({
       apiKey
     });
 
+    this.fixtures = fixtureConfig.mode === 'off'
+      ? null
+      : new FixtureStore(path.join(fixtureConfig.directory, 'openai'), fixtureConfig.mode);
+
     this.model = model;
     this.requestCount = 0;
   }
 
+  /**
+   * Create a chat completion, recording it to or replaying it from fixtures when enabled
+   * @param {Object} params - Chat completion parameters
+   * @returns {Promise<Object>} Chat completion response
+   */
+  async createChatCompletion(params) {
+    if (this.fixtures?.mode === 'replay') {
+      const entry = await this.fixtures.replay(params, `OpenAI ${params.model} completion`);
+      return entry.response;
+    }
+
+    const response = await this.client.chat.completions.create(params);
+
+    if (this.fixtures) {
+      await this.fixtures.record(params, { response });
+    }
+
+    return response;
+  }
+
   /**
    * Generate a completion
    * @param {string} systemPrompt - System instructions
@@ -40,7 +74,7 @@ export class OpenAIClient {
     const useModel = overrideModel || this.model;
 
     try {
-      const response = await this.client.chat.completions.create({
+      const response = await this.createChatCompletion({
         model: useModel,
         messages: [
           { role: 'system', content: systemPrompt },
@@ -72,7 +106,7 @@ export class OpenAIClient {
     const useModel = overrideModel || this.model;
 
     try {
-      const response = await this.client.chat.completions.create({
+      const response = await this.createChatCompletion({
         model: useModel,
         messages: [
           { role: 'system', content: systemPrompt },
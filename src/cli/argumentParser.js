@@ -1,5 +1,13 @@
 import { Command } from 'commander';
-import { getCurrentWeek, getWeekDateRange, getWeekForDate, formatWeekString } from '../utils/weekCalculator.js';
+import {
+  getCurrentWeek,
+  getWeekDateRange,
+  getWeekForDate,
+  formatWeekString,
+  getPreviousWeek,
+  getWeeksInYear
+} from '../utils/weekCalculator.js';
+import { getReportingToday } from '../utils/dateUtils.js';
 import chalk from 'chalk';
 
 /**
@@ -57,12 +65,32 @@ export function parseArguments() {
       '--daily-standup',
       'Generate a short daily standup of your GitHub activity'
     )
+    .option(
+      '--identities',
+      'List contributors in stored week files that are missing from the identity registry'
+    )
+    .option(
+      '--rewrite-identities',
+      'Re-key stored week files under canonical identities (combine with --dry-run to preview)'
+    )
+    .option(
+      '--webhook-server',
+      'Run a GitHub webhook receiver that updates week data as events arrive'
+    )
+    .option(
+      '--rebucket-timezone',
+      'Re-collect stored week files bucketed in another timezone than REPORTING_TIMEZONE (combine with --dry-run to preview)'
+    )
+    .option(
+      '--rebuild',
+      'Rebuild week files and enriched data from the event ledger without calling GitHub (every recorded week, or the one given with --week)'
+    )
     .parse(process.argv);
 
   const options = program.opts();
 
-  // Get today's date for default
-  const today = new Date().toISOString().split('T')[0];
+  // Get today's date (in the reporting timezone) for default
+  const today = getReportingToday();
 
   // Validate and convert week argument
   const weekSpec = validateAndParseWeek(options.week);
@@ -78,7 +106,12 @@ export function parseArguments() {
     openPrs: options.openPrs || false,
     sendEmail: options.sendEmail || false,
     dryRun: options.dryRun || false,
-    dailyStandup: options.dailyStandup || false
+    dailyStandup: options.dailyStandup || false,
+    identities: options.identities || false,
+    rewriteIdentities: options.rewriteIdentities || false,
+    webhookServer: options.webhookServer || false,
+    rebucketTimezone: options.rebucketTimezone || false,
+    rebuild: options.rebuild || false
   };
 }
 
@@ -103,17 +136,11 @@ function validateAndParseWeek(weekSpec) {
   // Handle 'last' keyword
   if (weekSpec.toLowerCase() === 'last') {
     const current = getCurrentWeek();
-    let lastWeek = current.week - 1;
-    let lastYear = current.year;
-
-    if (lastWeek < 1) {
-      lastWeek = 53; // or 52, depending on the year
-      lastYear -= 1;
-    }
+    const last = getPreviousWeek(current.year, current.week);
 
     return {
-      year: lastYear,
-      week: lastWeek,
+      year: last.year,
+      week: last.week,
       format: 'last'
     };
   }
@@ -124,9 +151,10 @@ function validateAndParseWeek(weekSpec) {
     const year = parseInt(isoMatch[1], 10);
     const week = parseInt(isoMatch[2], 10);
 
-    if (week < 1 || week > 53) {
+    const weeksInYear = getWeeksInYear(year);
+    if (week < 1 || week > weeksInYear) {
       throw new Error(
-        chalk.red(`Invalid week number: ${week}. Week must be between 1 and 53.`)
+        chalk.red(`Invalid week number: ${week}. ${year} has weeks 1 to ${weeksInYear}.`)
       );
     }
 
@@ -151,8 +179,7 @@ function validateAndParseWeek(weekSpec) {
       );
     }
 
-    const date = new Date(year, month - 1, day);
-    const weekInfo = getWeekForDate(date);
+    const weekInfo = getWeekForDate(weekSpec);
 
     if (!weekInfo) {
       throw new Error(
@@ -1,11 +1,12 @@
 import readline from 'readline';
 import chalk from 'chalk';
-import { addWeeks } from 'date-fns';
 import {
   getCurrentWeek,
   getWeekDateRange,
   getAllDatesInWeek,
-  getWeekForDate
+  getWeekForDate,
+  getWeekRange,
+  formatWeekString
 } from '../utils/weekCalculator.js';
 import { getExistingWeeks } from '../storage/fileManager.js';
 import { startDate } from '../config/repositories.js';
@@ -36,34 +37,13 @@ export async function detectMissingWeeks(outputDirectory) {
  * @returns {Array} Array of week objects: { year, week, weekStr, start, end }
  */
 function generateWeekRange(startDateStr, endWeek) {
-  const weeks = [];
-
   // Start with the ISO week containing the start date
-  let currentDate = new Date(startDateStr);
-  let currentWeekInfo = getWeekForDate(currentDate);
-
-  // Generate weeks until we reach the end week
-  while (
-    currentWeekInfo.year < endWeek.year ||
-    (currentWeekInfo.year === endWeek.year && currentWeekInfo.week <= endWeek.week)
-  ) {
-    const weekStr = `${currentWeekInfo.year}-${String(currentWeekInfo.week).padStart(2, '0')}`;
-    const { start, end } = getWeekDateRange(currentWeekInfo.year, currentWeekInfo.week);
-
-    weeks.push({
-      year: currentWeekInfo.year,
-      week: currentWeekInfo.week,
-      weekStr,
-      start,
-      end
-    });
-
-    // Move to next week by adding 7 days and getting the new ISO week
-    currentDate = addWeeks(currentDate, 1);
-    currentWeekInfo = getWeekForDate(currentDate);
-  }
-
-  return weeks;
+  return getWeekRange(getWeekForDate(startDateStr), endWeek).map(({ year, week }) => ({
+    year,
+    week,
+    weekStr: formatWeekString(year, week),
+    ...getWeekDateRange(year, week)
+  }));
 }
 
 /**
@@ -0,0 +1,98 @@
+import chalk from 'chalk';
+import { listWeekFiles, loadWeekData, saveWeekData } from '../storage/fileManager.js';
+import { mergeUserData, calculateWeeklyTotals } from '../storage/dataAggregator.js';
+import { findUnresolvedIdentities, resolveUsernameKey } from '../utils/identityRegistry.js';
+
+/**
+ * Load every stored week file
+ * @param {string} outputDirectory - Directory where week files are stored
+ * @returns {Promise<Array>} Array of { year, week, data }
+ */
+async function loadAllWeeks(outputDirectory) {
+  const weekFiles = await listWeekFiles(outputDirectory);
+  const weeks = [];
+
+  for (const { year, week } of weekFiles) {
+    const data = await loadWeekData(outputDirectory, year, week);
+    if (data) {
+      weeks.push({ year, week, data });
+    }
+  }
+
+  return weeks;
+}
+
+/**
+ * List usernames in stored week files that are missing from the identity registry
+ * @param {string} outputDirectory - Directory where week files are stored
+ * @returns {Promise<Array>} Unresolved identities (see findUnresolvedIdentities)
+ */
+export async function listUnresolvedIdentities(outputDirectory) {
+  const weeks = await loadAllWeeks(outputDirectory);
+  const unresolved = findUnresolvedIdentities(weeks.map(w => w.data));
+
+  console.log(chalk.bold.cyan(`Identities in ${weeks.length} week files\n`));
+
+  if (unresolved.length === 0) {
+    console.log(chalk.green('✓ Every contributor is in the identity registry'));
+    return unresolved;
+  }
+
+  console.log(chalk.yellow(`${unresolved.length} usernames are not in src/config/identities.js:\n`));
+  for (const entry of unresolved) {
+    const activity = chalk.dim(
+      `${entry.weeks.length} week(s), ${entry.commits} commits, ${entry.prs} PRs (${entry.weeks[0]} to ${entry.weeks[entry.weeks.length - 1]})`
+    );
+    console.log(`  ${chalk.cyan(entry.username.padEnd(30))} ${activity}`);
+
+    if (entry.similar.length > 0) {
+      console.log(chalk.yellow(`    possibly the same person as: ${entry.similar.join(', ')}`));
+    }
+  }
+
+  return unresolved;
+}
+
+/**
+ * Re-key users in stored week files under their canonical login, merging aliases
+ * @param {string} outputDirectory - Directory where week files are stored
+ * @param {boolean} dryRun - If true, report changes without saving
+ * @returns {Promise<Object>} { weeksChanged, usersRenamed }
+ */
+export async function rewriteIdentities(outputDirectory, dryRun = false) {
+  const weeks = await loadAllWeeks(outputDirectory);
+  let weeksChanged = 0;
+  let usersRenamed = 0;
+
+  for (const { year, week, data } of weeks) {
+    const renames = Object.keys(data.users)
+      .map(username => ({ username, canonical: resolveUsernameKey(username) }))
+      .filter(({ username, canonical }) => canonical && canonical !== username);
+
+    if (renames.length === 0) continue;
+
+    console.log(chalk.cyan(`${data.week}:`));
+    for (const { username, canonical } of renames) {
+      console.log(chalk.dim(`  ${username} → ${canonical}`));
+      mergeUserData(data, username, canonical);
+    }
+    calculateWeeklyTotals(data);
+
+    if (!dryRun) {
+      await saveWeekData(outputDirectory, year, week, data);
+    }
+
+    weeksChanged++;
+    usersRenamed += renames.length;
+  }
+
+  if (weeksChanged === 0) {
+    console.log(chalk.green('✓ Week files already use canonical identities'));
+  } else if (dryRun) {
+    console.log(chalk.yellow(`\nDry run: would re-key ${usersRenamed} users in ${weeksChanged} week files`));
+  } else {
+    console.log(chalk.green(`\n✓ Re-keyed ${usersRenamed} users in ${weeksChanged} week files`));
+  }
+
+  return { weeksChanged, usersRenamed };
+}
@@ -0,0 +1,112 @@
+import chalk from 'chalk';
+import { EventLedger } from '../storage/eventLedger.js';
+import { buildWeekFromLedger } from '../storage/activityAggregator.js';
+import { loadWeekData, saveWeekData } from '../storage/fileManager.js';
+import { loadEnrichedWeekData, saveEnrichedWeekData, buildEnrichedData } from '../storage/enrichedDataManager.js';
+import { compareRepositoryLists } from '../github/repositoryDiscovery.js';
+import { getLedgerConfig } from '../config/ledgerConfig.js';
+import { getCollectionConfig } from '../config/collectionConfig.js';
+import {
+  getAllDatesInWeek,
+  getPreviousWeek,
+  formatWeekString,
+  parseWeekString
+} from '../utils/weekCalculator.js';
+
+/**
+ * Check whether the ledger holds every day of a week for all of its repositories
+ * Weeks first collected before the ledger existed only have their later days in it.
+ * @param {EventLedger} ledger - Loaded ledger
+ * @param {number} year - Year
+ * @param {number} week - ISO week number
+ * @returns {boolean}
+ */
+export function holdsWholeWeek(ledger, year, week) {
+  const weekStr = formatWeekString(year, week);
+  const collection = ledger.get('collections', weekStr);
+  const allDates = getAllDatesInWeek(year, week);
+  return Boolean(collection) && ledger.getWeekRepositories(weekStr).every(repository =>
+    allDates.every(date => collection.collectedDays?.[repository]?.[date]));
+}
+
+/**
+ * Rebuild one week's github-data file and enriched data from the ledger
+ * Stored AI analysis is kept as it is; no OpenAI calls are made. Also used by collections
+ * to refresh other weeks whose records they changed.
+ * @param {EventLedger} ledger - Loaded ledger
+ * @param {string} outputDirectory - Week data directory
+ * @param {number} year - Year
+ * @param {number} week - ISO week number
+ * @returns {Promise<boolean>} False if the ledger does not hold the whole week
+ */
+export async function rebuildWeek(ledger, outputDirectory, year, week) {
+  const weekStr = formatWeekString(year, week);
+  if (!holdsWholeWeek(ledger, year, week)) {
+    console.log(chalk.yellow(
+      `⚠️  ${weekStr}: the ledger does not hold the whole week. ` +
+      `Collect it once with --week ${weekStr} --force to record it.`
+    ));
+    return false;
+  }
+
+  const { botMode, coAuthorLines } = getCollectionConfig();
+  const { weekData, reviewData } = buildWeekFromLedger(ledger, year, week, { botMode, coAuthorLines });
+
+  const previousWeek = getPreviousWeek(year, week);
+  const previousWeekData = await loadWeekData(outputDirectory, previousWeek.year, previousWeek.week);
+  if (previousWeekData?.repositories) {
+    weekData.repositoryChanges = compareRepositoryLists(previousWeekData.repositories, weekData.repositories);
+  }
+
+  await saveWeekData(outputDirectory, year, week, weekData);
+
+  const existingEnriched = await loadEnrichedWeekData(year, week);
+  const enrichedData = buildEnrichedData(weekData, reviewData, {});
+  if (existingEnriched?.aiAnalysis) {
+    enrichedData.aiAnalysis = existingEnriched.aiAnalysis;
+  }
+  await saveEnrichedWeekData(year, week, enrichedData);
+
+  return true;
+}
+
+/**
+ * Rebuild week files, enriched data and repository metrics from the event ledger,
+ * without calling GitHub
+ * @param {string} outputDirectory - Week data directory
+ * @param {Object|null} weekToRebuild - { year, week } to rebuild, or null for every recorded week
+ * @returns {Promise<Object>} { weeksRebuilt, weeksSkipped }
+ */
+export async function rebuildFromLedger(outputDirectory, weekToRebuild = null) {
+  const { directory } = getLedgerConfig();
+  const ledger = await new EventLedger(directory).load();
+
+  const weeks = weekToRebuild
+    ? [weekToRebuild]
+    : ledger.getRecords('collections').map(collection => parseWeekString(collection.week))
+      .sort((a, b) => a.year - b.year || a.week - b.week);
+
+  console.log(chalk.bold.cyan(`Rebuilding ${weeks.length} weeks from the event ledger in ${directory}\n`));
+
+  let weeksRebuilt = 0;
+  let weeksSkipped = 0;
+
+  for (let i = 0; i < weeks.length; i++) {
+    const { year, week } = weeks[i];
+    console.log('\n' + chalk.dim(`[${i + 1}/${weeks.length}]`) + ' ' + chalk.cyan(`Rebuilding ${formatWeekString(year, week)}...`));
+
+    if (await rebuildWeek(ledger, outputDirectory, year, week)) {
+      weeksRebuilt++;
+    } else {
+      weeksSkipped++;
+    }
+  }
+
+  if (weeksSkipped > 0) {
+    console.log(chalk.yellow(`\n⚠️  Rebuilt ${weeksRebuilt} weeks, ${weeksSkipped} skipped`));
+  } else {
+    console.log(chalk.green(`\n✓ Rebuilt ${weeksRebuilt} weeks`));
+  }
+
+  return { weeksRebuilt, weeksSkipped };
+}
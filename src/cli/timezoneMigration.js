@@ -0,0 +1,100 @@
+import chalk from 'chalk';
+import { listWeekFiles, loadWeekData } from '../storage/fileManager.js';
+import { getTimezoneConfig } from '../config/timezoneConfig.js';
+import { getLedgerConfig } from '../config/ledgerConfig.js';
+import { EventLedger } from '../storage/eventLedger.js';
+import { holdsWholeWeek, rebuildWeek } from './ledgerRebuild.js';
+import { formatWeekString } from '../utils/weekCalculator.js';
+
+/**
+ * Find stored week files bucketed in another timezone than the reporting timezone
+ * Files written before the timezone was recorded were bucketed in UTC.
+ * @param {string} outputDirectory - Directory where week files are stored
+ * @param {string} timeZone - Reporting timezone
+ * @returns {Promise<Array>} Array of { year, week, timeZone }
+ */
+async function findWeeksInOtherTimezones(outputDirectory, timeZone) {
+  const weeks = [];
+
+  for (const { year, week } of await listWeekFiles(outputDirectory)) {
+    const data = await loadWeekData(outputDirectory, year, week);
+    const storedTimeZone = data?.timeZone || 'UTC';
+    if (data && storedTimeZone !== timeZone) {
+      weeks.push({ year, week, timeZone: storedTimeZone });
+    }
+  }
+
+  return weeks;
+}
+
+/**
+ * Re-bucket stored week files into the reporting timezone
+ * Week files only keep daily totals, so each week is rebuilt from the raw timestamps in the
+ * event ledger, or re-collected from GitHub when the ledger doesn't hold the whole week
+ * (served from the response cache or recorded fixtures where available).
+ * AI analysis is not re-run; stored analysis is kept.
+ * @param {string} outputDirectory - Directory where week files are stored
+ * @param {Function} fetchWeekData - Batch collector (year, week, forceRefresh, options)
+ * @param {boolean} dryRun - If true, list the weeks without re-collecting them
+ * @returns {Promise<Object>} { weeksRebucketed, weeksFailed }
+ */
+export async function rebucketWeeks(outputDirectory, fetchWeekData, dryRun = false) {
+  const { timeZone } = getTimezoneConfig();
+  const weeks = await findWeeksInOtherTimezones(outputDirectory, timeZone);
+
+  console.log(chalk.bold.cyan(`Re-bucketing week files into ${timeZone}\n`));
+
+  if (weeks.length === 0) {
+    console.log(chalk.green(`✓ Every week file is already bucketed in ${timeZone}`));
+    return { weeksRebucketed: 0, weeksFailed: 0 };
+  }
+
+  for (const { year, week, timeZone: storedTimeZone } of weeks) {
+    console.log(chalk.dim(`  ${formatWeekString(year, week)} (${storedTimeZone})`));
+  }
+
+  const ledger = await new EventLedger(getLedgerConfig().directory).load();
+  const fromLedger = weeks.filter(({ year, week }) => holdsWholeWeek(ledger, year, week)).length;
+
+  if (dryRun) {
+    console.log(chalk.yellow(
+      `\nDry run: would rebuild ${fromLedger} week files from the event ledger ` +
+      `and re-collect ${weeks.length - fromLedger} from GitHub`
+    ));
+    return { weeksRebucketed: 0, weeksFailed: 0 };
+  }
+
+  let weeksRebucketed = 0;
+  let weeksFailed = 0;
+
+  for (let i = 0; i < weeks.length; i++) {
+    const { year, week } = weeks[i];
+    const weekStr = formatWeekString(year, week);
+    const progressStr = chalk.dim(`[${i + 1}/${weeks.length}]`);
+
+    try {
+      if (holdsWholeWeek(ledger, year, week)) {
+        console.log('\n' + progressStr + ' ' + chalk.cyan(`Rebuilding ${weekStr} from the event ledger...`));
+        await rebuildWeek(ledger, outputDirectory, year, week);
+      } else {
+        console.log('\n' + progressStr + ' ' + chalk.cyan(`Re-collecting ${weekStr}...`));
+        await fetchWeekData(year, week, true, { aiAnalysis: false });
+      }
+      weeksRebucketed++;
+    } catch (error) {
+      // The file keeps its old timezone and is picked up again on the next run
+      console.log(progressStr + ' ' + chalk.red(`✗ Failed to re-collect ${weekStr}: ${error.message}`));
+      weeksFailed++;
+    }
+  }
+
+  if (weeksFailed > 0) {
+    console.log(chalk.yellow(
+      `\n⚠️  Re-bucketed ${weeksRebucketed} week files, ${weeksFailed} failed (re-run to retry them)`
+    ));
+  } else {
+    console.log(chalk.green(`\n✓ Re-bucketed ${weeksRebucketed} week files into ${timeZone}`));
+  }
+
+  return { weeksRebucketed, weeksFailed };
+}
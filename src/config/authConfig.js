@@ -0,0 +1,74 @@
+/**
+ * GitHub authentication configuration
+ * Reads from environment variables: a personal access token, or GitHub App credentials
+ */
+
+import fs from 'fs';
+import { getFixtureConfig } from './fixtureConfig.js';
+
+const AUTH_MODES = ['token', 'app'];
+
+/**
+ * Read the GitHub App private key from GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH
+ * Keys stored in a single-line variable may use literal \n for line breaks
+ * @returns {string|null} PEM private key
+ */
+function readPrivateKey() {
+  if (process.env.GITHUB_APP_PRIVATE_KEY) {
+    return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+
+  if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf-8');
+  }
+
+  return null;
+}
+
+/**
+ * Get GitHub authentication configuration from environment variables
+ * GITHUB_AUTH_MODE=token (default) uses GITHUB_TOKEN; GITHUB_AUTH_MODE=app uses
+ * GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY (or GITHUB_APP_PRIVATE_KEY_PATH) and GITHUB_APP_INSTALLATION_ID.
+ * With FIXTURE_MODE=replay no credentials are needed.
+ * @returns {Object} { mode: 'token', token }, { mode: 'app', appId, privateKey, installationId }
+ *   or { mode: 'replay' }
+ * @throws {Error} If GITHUB_AUTH_MODE is invalid or the selected mode's credentials are missing
+ */
+export function getAuthConfig() {
+  if (getFixtureConfig().mode === 'replay') {
+    return { mode: 'replay' };
+  }
+
+  const mode = (process.env.GITHUB_AUTH_MODE || 'token').toLowerCase();
+
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid GITHUB_AUTH_MODE: ${mode}.\n` +
+      `Supported modes: ${AUTH_MODES.join(', ')}`
+    );
+  }
+
+  if (mode === 'token') {
+    if (!process.env.GITHUB_TOKEN) {
+      throw new Error(
+        'GITHUB_TOKEN not found in .env file.\n' +
+        'Set it, or set GITHUB_AUTH_MODE=app to authenticate as a GitHub App.'
+      );
+    }
+
+    return { mode, token: process.env.GITHUB_TOKEN };
+  }
+
+  const appId = process.env.GITHUB_APP_ID;
+  const installationId = process.env.GITHUB_APP_INSTALLATION_ID;
+  const privateKey = readPrivateKey();
+
+  if (!appId || !installationId || !privateKey) {
+    throw new Error(
+      'GITHUB_AUTH_MODE=app requires GITHUB_APP_ID, GITHUB_APP_INSTALLATION_ID and\n' +
+      'GITHUB_APP_PRIVATE_KEY (or GITHUB_APP_PRIVATE_KEY_PATH) in your .env file.'
+    );
+  }
+
+  return { mode, appId, privateKey, installationId };
+}
@@ -0,0 +1,10 @@
+// Bot and service-account classification
+// Accounts GitHub reports as `type: Bot` are always bots. These lists also catch
+// service accounts and AI agents that commit as regular users.
+// How bots are handled is set with BOT_MODE (see src/config/collectionConfig.js).
+
+// Exact logins (matched case-insensitively)
+export const botAccounts = ['claude', 'Copilot'];
+
+// Glob patterns matched against lower-cased logins, e.g. 'svc-*'
+export const botPatterns = ['*[bot]'];
@@ -0,0 +1,94 @@
+/**
+ * Data collection configuration
+ * Reads from environment variables with sensible defaults
+ */
+
+import path from 'path';
+
+const COLLECTORS = ['rest', 'graphql'];
+const BRANCH_MODES = ['default', 'all'];
+const CO_AUTHOR_LINE_POLICIES = ['full', 'split'];
+const BOT_MODES = ['exclude', 'segregate', 'include'];
+
+/**
+ * Get data collection configuration from environment variables
+ * @returns {Object} { collector, cacheDirectory, concurrency, maxRetries, allBranches, commitFiles, coAuthorLines, botMode }
+ * @throws {Error} If GITHUB_COLLECTOR, GITHUB_CONCURRENCY, GITHUB_MAX_RETRIES, GITHUB_BRANCHES,
+ *   CO_AUTHOR_LINES or BOT_MODE is invalid
+ */
+export function getCollectionConfig() {
+  const collector = (process.env.GITHUB_COLLECTOR || 'rest').toLowerCase();
+
+  if (!COLLECTORS.includes(collector)) {
+    throw new Error(
+      `Invalid GITHUB_COLLECTOR: ${collector}.\n` +
+      `Supported collectors: ${COLLECTORS.join(', ')}`
+    );
+  }
+
+  const concurrency = parseInt(process.env.GITHUB_CONCURRENCY || '4', 10);
+
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw new Error(
+      `Invalid GITHUB_CONCURRENCY: ${process.env.GITHUB_CONCURRENCY}.\n` +
+      'Use a positive number of parallel requests.'
+    );
+  }
+
+  const maxRetries = parseInt(process.env.GITHUB_MAX_RETRIES || '3', 10);
+
+  if (isNaN(maxRetries) || maxRetries < 0) {
+    throw new Error(
+      `Invalid GITHUB_MAX_RETRIES: ${process.env.GITHUB_MAX_RETRIES}.\n` +
+      'Use 0 to disable retries or a positive number of attempts.'
+    );
+  }
+
+  const branchMode = (process.env.GITHUB_BRANCHES || 'default').toLowerCase();
+
+  if (!BRANCH_MODES.includes(branchMode)) {
+    throw new Error(
+      `Invalid GITHUB_BRANCHES: ${branchMode}.\n` +
+      `Supported modes: ${BRANCH_MODES.join(', ')}`
+    );
+  }
+
+  // How lines of commits with Co-authored-by trailers are credited
+  const coAuthorLines = (process.env.CO_AUTHOR_LINES || 'full').toLowerCase();
+
+  if (!CO_AUTHOR_LINE_POLICIES.includes(coAuthorLines)) {
+    throw new Error(
+      `Invalid CO_AUTHOR_LINES: ${coAuthorLines}.\n` +
+      `Supported policies: ${CO_AUTHOR_LINE_POLICIES.join(', ')}`
+    );
+  }
+
+  // Bot activity is kept apart under `automation`, dropped, or counted like everyone else's
+  const botMode = (process.env.BOT_MODE || 'segregate').toLowerCase();
+
+  if (!BOT_MODES.includes(botMode)) {
+    throw new Error(
+      `Invalid BOT_MODE: ${botMode}.\n` +
+      `Supported modes: ${BOT_MODES.join(', ')}`
+    );
+  }
+
+  // The GraphQL collector only fetches changed files (one REST request per commit) if asked to
+  const commitFiles = (process.env.GITHUB_COMMIT_FILES || 'false').toLowerCase() === 'true';
+
+  // Conditional-request cache is on unless GITHUB_CACHE=false
+  const cacheEnabled = (process.env.GITHUB_CACHE || 'true').toLowerCase() !== 'false';
+
+  return {
+    collector,
+    cacheDirectory: cacheEnabled
+      ? process.env.GITHUB_CACHE_DIR || path.join(process.cwd(), '.cache', 'github')
+      : null,
+    concurrency,
+    maxRetries,
+    allBranches: branchMode === 'all',
+    commitFiles,
+    coAuthorLines,
+    botMode
+  };
+}
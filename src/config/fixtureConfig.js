@@ -0,0 +1,31 @@
+/**
+ * Record/replay fixture configuration
+ * Reads from environment variables with sensible defaults
+ */
+
+import path from 'path';
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Get fixture configuration from environment variables
+ * FIXTURE_MODE=record saves every GitHub and OpenAI request/response pair under FIXTURE_DIR;
+ * FIXTURE_MODE=replay serves them from there without network access or credentials
+ * @returns {Object} { mode, directory }
+ * @throws {Error} If FIXTURE_MODE is invalid
+ */
+export function getFixtureConfig() {
+  const mode = (process.env.FIXTURE_MODE || 'off').toLowerCase();
+
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid FIXTURE_MODE: ${mode}.\n` +
+      `Supported modes: ${FIXTURE_MODES.join(', ')}`
+    );
+  }
+
+  return {
+    mode,
+    directory: process.env.FIXTURE_DIR || path.join(process.cwd(), 'fixtures')
+  };
+}
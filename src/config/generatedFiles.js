@@ -0,0 +1,19 @@
+// Path globs for generated, vendored and lock files in every repository. Their line
+// changes are left out of linesAdded/linesDeleted and reported as generatedLinesChanged.
+// Add repository-specific globs with `generated` in src/config/repositories.js.
+export const generatedFilePatterns = [
+  '**/package-lock.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/*.min.js',
+  '**/*.min.css',
+  '**/*.map',
+  '**/dist/**',
+  '**/build/**',
+  '**/vendor/**',
+  '**/node_modules/**',
+  '**/__snapshots__/**',
+  '**/*.snap',
+  '**/*.generated.*',
+  '**/generated/**'
+];
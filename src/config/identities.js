@@ -0,0 +1,14 @@
+// Contributor identity registry
+// One entry per person, keyed by the canonical GitHub login used in reports, with
+// the team they belong to.
+// Commits GitHub can't link to an account are matched by author email or name,
+// and `logins` lists other accounts or old usernames of the same person, e.g.
+// {
+//   login: 'jonathanahlbom',
+//   name: 'Jonathan Ahlbom',
+//   emails: ['jonathan.ahlbom@sisp.se'],
+//   names: ['Jonathan Ahlbom'],
+//   logins: [],
+//   team: 'SSN'
+// }
+export const identities = [];
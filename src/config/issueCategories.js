@@ -0,0 +1,9 @@
+// Issue categories by label, checked in order. Labels are matched case-insensitively
+// against the glob patterns; issues without a matching label count as 'other'.
+export const issueCategories = [
+  { category: 'bug', labels: ['*bug*', 'defect', 'regression'] },
+  { category: 'feature', labels: ['feature*', 'enhancement', '*story*'] },
+  { category: 'chore', labels: ['chore', 'tech*debt', 'maintenance', 'refactor*', 'dependencies'] },
+  { category: 'docs', labels: ['doc', 'docs', 'documentation'] },
+  { category: 'question', labels: ['question', 'support'] }
+];
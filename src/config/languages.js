@@ -0,0 +1,47 @@
+// Languages by file extension (lower-cased, without the dot). Files that match
+// neither an extension nor a file name below count as 'Other'.
+export const languageExtensions = {
+  ts: 'TypeScript',
+  tsx: 'TypeScript',
+  mts: 'TypeScript',
+  cts: 'TypeScript',
+  js: 'JavaScript',
+  jsx: 'JavaScript',
+  mjs: 'JavaScript',
+  cjs: 'JavaScript',
+  vue: 'Vue',
+  svelte: 'Svelte',
+  css: 'CSS',
+  scss: 'CSS',
+  sass: 'CSS',
+  less: 'CSS',
+  html: 'HTML',
+  htm: 'HTML',
+  sql: 'SQL',
+  py: 'Python',
+  go: 'Go',
+  java: 'Java',
+  kt: 'Kotlin',
+  cs: 'C#',
+  rb: 'Ruby',
+  php: 'PHP',
+  rs: 'Rust',
+  sh: 'Shell',
+  bash: 'Shell',
+  ps1: 'PowerShell',
+  json: 'JSON',
+  yml: 'YAML',
+  yaml: 'YAML',
+  md: 'Markdown',
+  mdx: 'Markdown',
+  graphql: 'GraphQL',
+  gql: 'GraphQL',
+  tf: 'Terraform'
+};
+
+// Languages by exact file name, for files without a telling extension
+export const languageFileNames = {
+  Dockerfile: 'Dockerfile',
+  Makefile: 'Makefile',
+  Jenkinsfile: 'Groovy'
+};
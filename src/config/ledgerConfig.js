@@ -0,0 +1,18 @@
+/**
+ * Event ledger configuration
+ * Reads from environment variables with sensible defaults
+ */
+
+import path from 'path';
+
+/**
+ * Get event ledger configuration from environment variables
+ * Every collection appends the raw records it fetched under LEDGER_DIR, so week files
+ * and enriched data can be rebuilt later (--rebuild) without calling GitHub
+ * @returns {Object} { directory }
+ */
+export function getLedgerConfig() {
+  return {
+    directory: process.env.LEDGER_DIR || path.join(process.cwd(), 'ledger')
+  };
+}
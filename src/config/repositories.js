@@ -1,3 +1,7 @@
+// Optional per-repo branch filter for GITHUB_BRANCHES=all, e.g.
+// { owner: 'sisp-sweden', repo: 'ssn-web', branches: { include: ['feature/*'], exclude: ['dependabot/**'] } }
+// Optional per-repo generated file globs, added to those in src/config/generatedFiles.js, e.g.
+// { owner: 'sisp-sweden', repo: 'ssn-database', generated: ['migrations/snapshots/**', 'src/types/db.ts'] }
 export const repositories = [
   { owner: 'sisp-sweden', repo: 'ssn-admin' },
   { owner: 'sisp-sweden', repo: 'ssn-web' },
@@ -9,18 +13,25 @@ export const repositories = [
   { owner: 'sisp-sweden', repo: 'ignite-magic-2.0' }
 ];
 
+// Repository discovery: when enabled, repositories in `org` are tracked as well as the ones
+// listed above if their name matches one of `namePatterns` (globs) or they have one of `topics`.
+// Archived repositories are skipped unless `includeArchived` is set. Names matching `exclude`
+// are never tracked, even when listed above.
+export const repositoryDiscovery = {
+  enabled: false,
+  org: 'sisp-sweden',
+  namePatterns: ['ssn-*'],
+  topics: [],
+  includeArchived: false,
+  exclude: []
+};
+
 export const startDate = '2025-12-16'; // Project start date (current week)
 export const outputDirectory = 'C:\\dev\\ssn-reporting\\github-data';
 
-// Kanban board tracking configuration
-export const kanbanRepositories = [
-  { owner: 'sisp-sweden', repo: 'ssn-web' },
-  { owner: 'sisp-sweden', repo: 'ssn-admin' },
-  { owner: 'sisp-sweden', repo: 'ssn-agentic-layer' },
-  { owner: 'sisp-sweden', repo: 'ssn-database' },
-  { owner: 'sisp-sweden', repo: 'ssn-dashboard' },
-  { owner: 'sisp-sweden', repo: 'ssn-etl' },
-  { owner: 'sisp-sweden', repo: 'ignite-magic-2.0' }
-];
+// Kanban board tracking configuration: every repository above except those listed here
+export const kanbanExclude = ['ssn-developer-onboarding'];
+
+export const kanbanRepositories = repositories.filter(({ repo }) => !kanbanExclude.includes(repo));
 
 export const kanbanOutputDirectory = 'C:\\dev\\ssn-reporting\\kanban';
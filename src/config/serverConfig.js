@@ -0,0 +1,55 @@
+/**
+ * GitHub server configuration: github.com or a GitHub Enterprise Server instance
+ * Reads from environment variables (the same names GitHub Actions sets) with github.com defaults
+ */
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_WEB_URL = 'https://github.com';
+
+// GHES serves REST under /api/v3 and GraphQL under /api/graphql
+const GHES_REST_SUFFIX = /\/api\/v3$/;
+
+/**
+ * Read a URL from an environment variable, without a trailing slash
+ * @param {string} name - Environment variable name
+ * @returns {string|null} URL, or null if the variable is not set
+ * @throws {Error} If the value is not an absolute http(s) URL
+ */
+function readUrl(name) {
+  const value = process.env[name];
+  if (!value) {
+    return null;
+  }
+
+  if (!/^https?:\/\/[^/]+/.test(value)) {
+    throw new Error(
+      `Invalid ${name}: ${value}.\n` +
+      'Use an absolute URL, e.g. https://github.example.com/api/v3'
+    );
+  }
+
+  return value.replace(/\/+$/, '');
+}
+
+/**
+ * Get GitHub server URLs from environment variables
+ * GITHUB_API_URL is the REST base URL (https://HOST/api/v3 for GHES). GITHUB_GRAPHQL_URL and
+ * GITHUB_SERVER_URL (the web UI, used for links) are derived from it unless set.
+ * @returns {Object} { apiUrl, graphqlUrl, webUrl }
+ * @throws {Error} If GITHUB_API_URL, GITHUB_GRAPHQL_URL or GITHUB_SERVER_URL is not a URL
+ */
+export function getServerConfig() {
+  const apiUrl = readUrl('GITHUB_API_URL') || DEFAULT_API_URL;
+
+  const graphqlUrl = readUrl('GITHUB_GRAPHQL_URL') || (
+    GHES_REST_SUFFIX.test(apiUrl)
+      ? apiUrl.replace(GHES_REST_SUFFIX, '/api/graphql')
+      : `${apiUrl}/graphql`
+  );
+
+  const webUrl = readUrl('GITHUB_SERVER_URL') || (
+    apiUrl === DEFAULT_API_URL ? DEFAULT_WEB_URL : new URL(apiUrl).origin
+  );
+
+  return { apiUrl, graphqlUrl, webUrl };
+}
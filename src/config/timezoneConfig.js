@@ -0,0 +1,36 @@
+/**
+ * Reporting timezone configuration
+ * Reads from environment variables with sensible defaults
+ */
+
+const DEFAULT_TIMEZONE = 'Europe/Stockholm';
+
+// Dates are converted once per record, so each timezone is only validated (by building an
+// Intl formatter, which is slow) the first time it is configured
+const validatedConfigs = new Map();
+
+/**
+ * Get the timezone that days and weeks are reported in
+ * Activity is counted on the day (and ISO week) it happened in this timezone.
+ * @returns {Object} { timeZone } (IANA name, e.g. 'Europe/Stockholm')
+ * @throws {Error} If REPORTING_TIMEZONE is not a known IANA timezone
+ */
+export function getTimezoneConfig() {
+  const timeZone = process.env.REPORTING_TIMEZONE || DEFAULT_TIMEZONE;
+  if (validatedConfigs.has(timeZone)) {
+    return validatedConfigs.get(timeZone);
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(
+      `Invalid REPORTING_TIMEZONE: ${timeZone}.\n` +
+      'Use an IANA timezone name, e.g. Europe/Stockholm or UTC.'
+    );
+  }
+
+  const config = Object.freeze({ timeZone });
+  validatedConfigs.set(timeZone, config);
+  return config;
+}
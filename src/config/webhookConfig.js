@@ -0,0 +1,49 @@
+/**
+ * Webhook receiver configuration
+ * Reads from environment variables with sensible defaults
+ */
+
+// setInterval delays are 32-bit signed milliseconds; longer ones fire immediately
+const MAX_RECONCILE_HOURS = Math.floor((2 ** 31 - 1) / (60 * 60 * 1000));
+
+/**
+ * Get webhook receiver configuration from environment variables
+ * @returns {Object} { secret, port, path, reconcileIntervalHours }
+ * @throws {Error} If WEBHOOK_SECRET is not set, or WEBHOOK_PORT or WEBHOOK_RECONCILE_HOURS is invalid
+ */
+export function getWebhookConfig() {
+  const secret = process.env.WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new Error(
+      'WEBHOOK_SECRET environment variable is required.\n' +
+      'Use the same secret as in the GitHub webhook settings.'
+    );
+  }
+
+  const port = parseInt(process.env.WEBHOOK_PORT || '3000', 10);
+
+  if (isNaN(port) || port < 1 || port > 65535) {
+    throw new Error(
+      `Invalid WEBHOOK_PORT: ${process.env.WEBHOOK_PORT}.\n` +
+      'Use a port number between 1 and 65535.'
+    );
+  }
+
+  // How often the batch collector re-fetches weeks that received webhook updates
+  const reconcileIntervalHours = parseFloat(process.env.WEBHOOK_RECONCILE_HOURS || '6');
+
+  if (isNaN(reconcileIntervalHours) || reconcileIntervalHours <= 0 || reconcileIntervalHours > MAX_RECONCILE_HOURS) {
+    throw new Error(
+      `Invalid WEBHOOK_RECONCILE_HOURS: ${process.env.WEBHOOK_RECONCILE_HOURS}.\n` +
+      `Use a positive number of hours, at most ${MAX_RECONCILE_HOURS}.`
+    );
+  }
+
+  return {
+    secret,
+    port,
+    path: process.env.WEBHOOK_PATH || '/webhook',
+    reconcileIntervalHours
+  };
+}
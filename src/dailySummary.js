@@ -1,25 +1,27 @@
 import chalk from 'chalk';
 import { GitHubClient } from './github/client.js';
 import { repositories } from './config/repositories.js';
+import { toReportingDate, getReportingToday, getReportingDayStart, addCalendarDays } from './utils/dateUtils.js';
+
+// The search API returns at most this many results per query
+const SEARCH_RESULT_LIMIT = 1000;
 
 /**
  * Run daily summary for a given date and GitHub username.
  * Outputs a short Slack-ready summary to stdout.
  * @param {string} dateArg - Date specification: YYYY-MM-DD, YYMMDD, 'yesterday', or '-N' for N days ago
- * @param {string} githubToken - GitHub API token
+ * @param {string|Object} githubAuth - GitHub API token or auth config from getAuthConfig()
  * @param {string} githubUsername - GitHub username to filter by
  * @param {boolean} compact - If true, use compact standup format (DS: prefix, single line)
  */
-export async function runDailySummary(dateArg, githubToken, githubUsername, compact = false) {
+export async function runDailySummary(dateArg, githubAuth, githubUsername, compact = false) {
   const date = parseDateArg(dateArg);
-  const client = new GitHubClient(githubToken);
+  const client = new GitHubClient(githubAuth);
   const username = githubUsername.toLowerCase();
 
-  // Date range: start of day to start of next day
-  const since = `${date}T00:00:00Z`;
-  const nextDay = new Date(date);
-  nextDay.setDate(nextDay.getDate() + 1);
-  const until = `${nextDay.toISOString().split('T')[0]}T00:00:00Z`;
+  // Date range: start of day to start of next day, in the reporting timezone
+  const since = getReportingDayStart(date);
+  const until = getReportingDayStart(addCalendarDays(date, 1));
 
   const dayLabel = new Date(date + 'T12:00:00Z').toLocaleDateString('en-US', {
     weekday: 'short',
@@ -188,7 +190,7 @@ async function fetchMyPRs(client, username, date) {
     try {
       const prs = await client.getPullRequests(owner, repo, date);
       for (const pr of prs) {
-        const prDate = new Date(pr.created_at).toISOString().split('T')[0];
+        const prDate = toReportingDate(pr.created_at);
         const author = (pr.user?.login || '').toLowerCase();
         if (author === username && prDate === date) {
           results.push({ number: pr.number, title: pr.title, repo });
@@ -202,21 +204,56 @@ async function fetchMyPRs(client, username, date) {
   return results;
 }
 
-async function fetchMyReviewsWithDetails(client, username, date, since, until) {
-  const results = [];
-  let totalComments = 0;
+/**
+ * Fetch every PR matching a search query, page by page
+ * The search API stops at 1000 results, so anything beyond that is reported as truncated.
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Matching issues/PRs, most recently updated first
+ */
+async function searchReviewedPRs(client, query) {
+  const items = [];
+  let totalCount = 0;
+  let page = 1;
+  let hasMore = true;
 
-  // Use GitHub search API for reviews
-  try {
-    const query = `type:pr reviewed-by:${username} updated:${date}`;
+  while (hasMore) {
     const response = await client.octokit.rest.search.issuesAndPullRequests({
       q: query,
-      per_page: 50,
+      per_page: 100,
+      page,
       sort: 'updated',
       order: 'desc'
     });
+    client.requestCount++;
+
+    totalCount = response.data.total_count;
+    items.push(...response.data.items);
+
+    if (response.data.items.length < 100 || items.length >= SEARCH_RESULT_LIMIT) {
+      hasMore = false;
+    } else {
+      page++;
+    }
+  }
 
-    for (const item of response.data.items) {
+  if (totalCount > items.length) {
+    console.warn(chalk.yellow(`⚠️  Review search returned ${items.length} of ${totalCount} PRs; reviews on the rest are missing from the summary`));
+  }
+
+  return items;
+}
+
+async function fetchMyReviewsWithDetails(client, username, date, since, until) {
+  const results = [];
+  let totalComments = 0;
+
+  // Use GitHub search API for reviews
+  try {
+    // No upper bound on updated: a PR reviewed on the day may have been updated since
+    const items = await searchReviewedPRs(client, `type:pr reviewed-by:${username} updated:>=${since}`);
+
+    for (const item of items) {
       const repoFullName = item.repository_url.split('/').slice(-2).join('/');
       const [owner, repo] = repoFullName.split('/');
       const repoShort = repo;
@@ -281,7 +318,7 @@ async function fetchMyPRComments(client, username, since, until) {
   for (const { owner, repo } of repositories) {
     try {
       // Fetch all PRs updated in the date range
-      const sinceDate = since.split('T')[0];
+      const sinceDate = toReportingDate(since);
       const prs = await client.getPullRequests(owner, repo, sinceDate);
 
       for (const pr of prs) {
@@ -424,8 +461,7 @@ async function fetchMyIssueComments(client, username, since, until) {
  * @returns {string} YYYY-MM-DD formatted date
  */
 function parseDateArg(arg) {
-  const today = new Date();
-  today.setUTCHours(0, 0, 0, 0);
+  const today = getReportingToday();
 
   // YYYY-MM-DD format
   if (/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
@@ -438,24 +474,19 @@ function parseDateArg(arg) {
     const mm = parseInt(arg.slice(2, 4), 10);
     const dd = parseInt(arg.slice(4, 6), 10);
     const year = yy < 50 ? 2000 + yy : 1900 + yy; // 00-49 → 2000-2049, 50-99 → 1950-1999
-    const date = new Date(year, mm - 1, dd);
-    return date.toISOString().split('T')[0];
+    return `${year}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`;
   }
 
   // 'yesterday' keyword
   if (arg.toLowerCase() === 'yesterday') {
-    const date = new Date(today);
-    date.setDate(date.getDate() - 1);
-    return date.toISOString().split('T')[0];
+    return addCalendarDays(today, -1);
   }
 
   // Relative format: -N (N days ago)
   const match = arg.match(/^-(\d+)$/);
   if (match) {
     const daysAgo = parseInt(match[1], 10);
-    const date = new Date(today);
-    date.setDate(date.getDate() - daysAgo);
-    return date.toISOString().split('T')[0];
+    return addCalendarDays(today, -daysAgo);
   }
 
   // Default: return as-is (assume YYYY-MM-DD)
@@ -1,9 +1,9 @@
 import chalk from 'chalk';
 import fs from 'fs/promises';
 import path from 'path';
-import { loadWeekData, getPreviousWeek } from '../storage/fileManager.js';
+import { loadWeekData } from '../storage/fileManager.js';
 import { compareWeeks } from '../reports/weekComparator.js';
-import { getWeekDateRange, formatWeekString } from '../utils/weekCalculator.js';
+import { getWeekDateRange, formatWeekString, getPreviousWeek } from '../utils/weekCalculator.js';
 import { generateEmailHTML, generateEmailText } from './emailTemplates.js';
 import { sendWeeklyEmail } from './emailSender.js';
 
@@ -1,10 +1,10 @@
 import chalk from 'chalk';
 import fs from 'fs/promises';
 import path from 'path';
-import { loadWeekData, getPreviousWeek, getExistingWeeks, loadMultipleWeeks } from '../storage/fileManager.js';
+import { loadWeekData, loadMultipleWeeks } from '../storage/fileManager.js';
 import { loadEnrichedWeekData } from '../storage/enrichedDataManager.js';
 import { compareWeeks, compareMultipleWeeks } from '../reports/weekComparator.js';
-import { getWeekDateRange, formatWeekString } from '../utils/weekCalculator.js';
+import { getWeekDateRange, formatWeekString, getPreviousWeek, offsetWeek, getWeekRange } from '../utils/weekCalculator.js';
 import { generateEnhancedEmailHTML, generateEnhancedEmailText } from './emailTemplatesEnhanced.js';
 import { sendWeeklyEmail } from './emailSender.js';
 
@@ -48,18 +48,13 @@ export async function sendEnhancedWeeklyEmailReport(outputDirectory, weekSpec, e
   // Compare weeks (current vs previous for trend arrows)
   const comparison = compareWeeks(currentData, previousData);
 
-  // Load up to 8 most recent weeks for trend charts
+  // Load the 8 weeks up to and including the current week for trend charts
   console.log(chalk.dim('Loading multi-week data for trend charts...'));
-  const existingWeeks = await getExistingWeeks(outputDirectory);
-
-  // Find weeks up to and including the current week
-  const currentWeekStr = weekStr;
-  const relevantWeeks = existingWeeks.filter(w => w.weekStr <= currentWeekStr);
-  const recentWeeks = relevantWeeks.slice(-8); // Last 8 weeks
+  const recentWeeks = getWeekRange(offsetWeek(year, week, -7), { year, week });
 
   const multiWeekMap = await loadMultipleWeeks(outputDirectory, recentWeeks);
   const multiWeekArray = recentWeeks
-    .map(w => multiWeekMap[w.weekStr])
+    .map(w => multiWeekMap[formatWeekString(w.year, w.week)])
     .filter(Boolean);
 
   const multiWeekData = compareMultipleWeeks(multiWeekArray);
@@ -4,6 +4,8 @@
  * and plain text fallback
  */
 
+import { isBotAccount } from '../utils/botClassifier.js';
+
 /**
  * Format a number with locale separators
  */
@@ -65,9 +67,8 @@ export function generateEmailHTML(emailData) {
 
   // Separate bots from regular users
   const allUsers = Object.entries(users);
-  const botNames = ['claude', 'Copilot'];
-  const regularUsers = allUsers.filter(([username]) => !botNames.includes(username));
-  const botUsers = allUsers.filter(([username]) => botNames.includes(username));
+  const regularUsers = allUsers.filter(([username]) => !isBotAccount(username));
+  const botUsers = allUsers.filter(([username]) => isBotAccount(username));
 
   // Sort regular users alphabetically (case-insensitive)
   const sortedRegularUsers = regularUsers.sort((a, b) =>
@@ -88,7 +89,7 @@ export function generateEmailHTML(emailData) {
 
   // Build user rows
   const userRows = sortedUsers.map(([username, metrics], i) => {
-    const isBot = botNames.includes(username);
+    const isBot = isBotAccount(username);
     const bgColor = i % 2 === 0 ? '#ffffff' : '#f9fafb';
     const borderTop = isBot && i === sortedRegularUsers.length ? 'border-top:2px solid #64748b;' : '';
     const nameColor = isBot ? '#64748b' : '#111827';
@@ -215,9 +216,8 @@ export function generateEmailText(emailData) {
 
   // Separate bots from regular users
   const allUsers = Object.entries(users);
-  const botNames = ['claude', 'Copilot'];
-  const regularUsers = allUsers.filter(([username]) => !botNames.includes(username));
-  const botUsers = allUsers.filter(([username]) => botNames.includes(username));
+  const regularUsers = allUsers.filter(([username]) => !isBotAccount(username));
+  const botUsers = allUsers.filter(([username]) => isBotAccount(username));
 
   // Sort regular users alphabetically (case-insensitive)
   const sortedRegularUsers = regularUsers.sort((a, b) =>
@@ -253,7 +253,7 @@ ${'-'.repeat(30)}
 `;
 
   for (const [username, metrics] of sortedUsers) {
-    const isBot = botNames.includes(username);
+    const isBot = isBotAccount(username);
     const botLabel = isBot ? ' 🤖 [Bot]' : '';
     text += `\n${username}${botLabel}\n`;
     text += `  Commits: ${fmt(metrics.commits?.current)}${trendText(metrics.commits)}\n`;
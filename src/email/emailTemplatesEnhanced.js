@@ -5,6 +5,9 @@
  */
 
 import { calculateContributionScoreBreakdown } from '../ai/contributorAnalyzer.js';
+import { isBotAccount } from '../utils/botClassifier.js';
+import { toWebUrl } from '../utils/githubUrls.js';
+import { toReportingDate } from '../utils/dateUtils.js';
 
 // ─── Helpers ───
 
@@ -27,6 +30,11 @@ function trendHtml(metric) {
   return ` <span style="color:${t.color};font-size:12px;">${t.arrow} ${t.label}</span>`;
 }
 
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return '–';
+  return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
+
 function escapeHtml(text) {
   return String(text || '')
     .replace(/&/g, '&amp;')
@@ -36,12 +44,6 @@ function escapeHtml(text) {
     .replace(/'/g, '&#039;');
 }
 
-const BOT_NAMES = ['claude', 'Copilot'];
-
-function isBot(username) {
-  return BOT_NAMES.includes(username) || username.endsWith('[bot]');
-}
-
 // ─── Stacked Bar Chart (email-safe, table-based) ───
 
 const BAR_COLORS = {
@@ -147,11 +149,11 @@ function generatePersonDivider() {
 /**
  * Generate an individual person section with chart + summary + metrics
  */
-function generatePersonSection(username, currentMetrics, aiSummary, weeklyScores, maxScore, enrichedData) {
-  const botBadge = isBot(username)
+function generatePersonSection(username, currentMetrics, aiSummary, weeklyScores, maxScore, enrichedData, weekEntry) {
+  const botBadge = isBotAccount(username)
     ? ' <span style="font-size:11px;background-color:#e2e8f0;padding:2px 6px;border-radius:3px;margin-left:6px;">🤖 Bot</span>'
     : '';
-  const nameColor = isBot(username) ? '#64748b' : '#111827';
+  const nameColor = isBotAccount(username) ? '#64748b' : '#111827';
 
   // Get review metrics from enriched data if available
   const reviewActivity = enrichedData?.reviewActivity;
@@ -160,7 +162,7 @@ function generatePersonSection(username, currentMetrics, aiSummary, weeklyScores
   const userDiscussionComments = reviewActivity?.discussionComments?.filter(c => c.author === username).length || 0;
 
   // For bots: compact format (no chart, just metrics)
-  if (isBot(username)) {
+  if (isBotAccount(username)) {
     return `
       <tr>
         <td style="padding:12px 24px;">
@@ -192,6 +194,20 @@ function generatePersonSection(username, currentMetrics, aiSummary, weeklyScores
   // Regular contributor: full section with chart
   const chartHtml = generateStackedBar(weeklyScores, maxScore);
   const summaryText = aiSummary?.summary || '';
+  const notes = [];
+  if (weekEntry?.coAuthoredCommits > 0) {
+    notes.push(`Co-authored commits: ${fmt(weekEntry.coAuthoredCommits)}`);
+  }
+  if (weekEntry && (weekEntry.prsMerged > 0 || weekEntry.prsClosedUnmerged > 0)) {
+    notes.push(
+      `PRs merged: ${fmt(weekEntry.prsMerged)} (median ${formatHours(weekEntry.medianTimeToMergeHours)} to merge)` +
+      (weekEntry.prsClosedUnmerged > 0 ? ` &middot; closed unmerged: ${fmt(weekEntry.prsClosedUnmerged)}` : '')
+    );
+  }
+  if (weekEntry && (weekEntry.issuesOpened > 0 || weekEntry.issuesClosed > 0)) {
+    notes.push(`Issues opened: ${fmt(weekEntry.issuesOpened)}, closed: ${fmt(weekEntry.issuesClosed)}`);
+  }
+  const notesText = notes.join(' &middot; ');
 
   return `
     <tr>
@@ -230,6 +246,7 @@ function generatePersonSection(username, currentMetrics, aiSummary, weeklyScores
             </td>
           </tr>
         </table>
+        ${notesText ? `<div style="font-size:12px;color:#6b7280;margin-top:6px;text-align:center;">${notesText}</div>` : ''}
       </td>
     </tr>`;
 }
@@ -301,6 +318,205 @@ function generateRepositoryActivitySection(repositoriesData) {
     </tr>`;
 }
 
+// ─── Pull Request Flow Section ───
+
+/**
+ * Generate the PR flow section: merges, unmerged closes and median review/merge times
+ * for the team and each repository in the report week
+ */
+function generatePRFlowSection(weekStr, multiWeekData, repositoriesData) {
+  const teamFlow = multiWeekData?.team?.find(t => t.week === weekStr);
+  if (!teamFlow) {
+    return '';
+  }
+
+  const repoRows = Object.entries(repositoriesData || {})
+    .map(([repo, weekEntries]) => [repo, weekEntries.find(e => e.week === weekStr)])
+    .filter(([, entry]) => entry && ((entry.prsMerged || 0) + (entry.prsClosedUnmerged || 0) > 0 || entry.medianTimeToFirstReviewHours != null))
+    .sort(([repoA], [repoB]) => repoA.localeCompare(repoB))
+    .map(([repo, entry]) => `
+          <tr>
+            <td style="padding:6px 8px;font-size:13px;color:#111827;border-bottom:1px solid #f3f4f6;">${escapeHtml(repo.split('/')[1])}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${fmt(entry.prsMerged)}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${fmt(entry.prsClosedUnmerged)}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${formatHours(entry.medianTimeToFirstReviewHours)}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${formatHours(entry.medianTimeToMergeHours)}</td>
+          </tr>`).join('');
+
+  const headerCell = (label, align = 'right') =>
+    `<th style="padding:6px 8px;font-size:11px;color:#6b7280;text-align:${align};font-weight:600;border-bottom:1px solid #e5e7eb;">${label}</th>`;
+
+  return `
+    <tr>
+      <td style="padding:0 24px 24px;">
+        <h2 style="margin:0 0 16px;font-size:16px;color:#111827;border-bottom:2px solid #0d9488;padding-bottom:8px;">Pull Request Flow</h2>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+          <tr>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#0f766e;">${fmt(teamFlow.prsMerged)}</div>
+              <div style="font-size:11px;color:#6b7280;">Merged</div>
+            </td>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#dc2626;">${fmt(teamFlow.prsClosedUnmerged)}</div>
+              <div style="font-size:11px;color:#6b7280;">Closed Unmerged</div>
+            </td>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#92400e;">${formatHours(teamFlow.medianTimeToFirstReviewHours)}</div>
+              <div style="font-size:11px;color:#6b7280;">Median to First Review</div>
+            </td>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#92400e;">${formatHours(teamFlow.medianTimeToMergeHours)}</div>
+              <div style="font-size:11px;color:#6b7280;">Median to Merge</div>
+            </td>
+          </tr>
+        </table>
+        ${repoRows ? `
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-top:12px;border-collapse:collapse;">
+          <tr>
+            ${headerCell('Repository', 'left')}
+            ${headerCell('Merged')}
+            ${headerCell('Closed')}
+            ${headerCell('First Review')}
+            ${headerCell('Merge')}
+          </tr>
+          ${repoRows}
+        </table>` : ''}
+      </td>
+    </tr>`;
+}
+
+// ─── Issues Section ───
+
+/**
+ * Generate the issues section: opened/closed/reopened, median time to close, open backlog
+ * and label categories for the team and each repository in the report week
+ */
+function generateIssuesSection(weekStr, multiWeekData, repositoriesData) {
+  const teamIssues = multiWeekData?.team?.find(t => t.week === weekStr);
+  if (!teamIssues || (teamIssues.issuesOpened === 0 && teamIssues.issuesClosed === 0 && teamIssues.openIssues == null)) {
+    return '';
+  }
+
+  const repoRows = Object.entries(repositoriesData || {})
+    .map(([repo, weekEntries]) => [repo, weekEntries.find(e => e.week === weekStr)])
+    .filter(([, entry]) => entry && ((entry.issuesOpened || 0) + (entry.issuesClosed || 0) + (entry.issuesReopened || 0) > 0 || entry.openIssues > 0))
+    .sort(([repoA], [repoB]) => repoA.localeCompare(repoB))
+    .map(([repo, entry]) => `
+          <tr>
+            <td style="padding:6px 8px;font-size:13px;color:#111827;border-bottom:1px solid #f3f4f6;">${escapeHtml(repo.split('/')[1])}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${fmt(entry.issuesOpened)}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${fmt(entry.issuesClosed)}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${formatHours(entry.medianTimeToCloseHours)}</td>
+            <td style="padding:6px 8px;font-size:13px;text-align:right;border-bottom:1px solid #f3f4f6;">${entry.openIssues != null ? fmt(entry.openIssues) : '—'}</td>
+          </tr>`).join('');
+
+  const categoriesText = Object.entries(teamIssues.issueCategories || {})
+    .map(([category, counts]) => `${escapeHtml(category)}: ${fmt(counts.opened)} opened, ${fmt(counts.closed)} closed`)
+    .join(' &middot; ');
+
+  const headerCell = (label, align = 'right') =>
+    `<th style="padding:6px 8px;font-size:11px;color:#6b7280;text-align:${align};font-weight:600;border-bottom:1px solid #e5e7eb;">${label}</th>`;
+
+  return `
+    <tr>
+      <td style="padding:0 24px 24px;">
+        <h2 style="margin:0 0 16px;font-size:16px;color:#111827;border-bottom:2px solid #0d9488;padding-bottom:8px;">Issues</h2>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+          <tr>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#0f766e;">${fmt(teamIssues.issuesOpened)}</div>
+              <div style="font-size:11px;color:#6b7280;">Opened</div>
+            </td>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#0f766e;">${fmt(teamIssues.issuesClosed)}</div>
+              <div style="font-size:11px;color:#6b7280;">Closed${teamIssues.issuesReopened > 0 ? ` (${fmt(teamIssues.issuesReopened)} reopened)` : ''}</div>
+            </td>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#92400e;">${formatHours(teamIssues.medianTimeToCloseHours)}</div>
+              <div style="font-size:11px;color:#6b7280;">Median to Close</div>
+            </td>
+            <td width="25%" style="padding:4px;text-align:center;">
+              <div style="font-size:20px;font-weight:700;color:#dc2626;">${teamIssues.openIssues != null ? fmt(teamIssues.openIssues) : '—'}</div>
+              <div style="font-size:11px;color:#6b7280;">Open Backlog</div>
+            </td>
+          </tr>
+        </table>
+        ${categoriesText ? `<div style="font-size:12px;color:#6b7280;margin-top:8px;text-align:center;">${categoriesText}</div>` : ''}
+        ${repoRows ? `
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-top:12px;border-collapse:collapse;">
+          <tr>
+            ${headerCell('Repository', 'left')}
+            ${headerCell('Opened')}
+            ${headerCell('Closed')}
+            ${headerCell('To Close')}
+            ${headerCell('Open')}
+          </tr>
+          ${repoRows}
+        </table>` : ''}
+      </td>
+    </tr>`;
+}
+
+// ─── Shipped Section ───
+
+/**
+ * Generate the "Shipped this week" section: releases with the PRs they include,
+ * tags without a release and deployments per environment
+ */
+function generateShippedSection(weekStr, multiWeekData) {
+  const shipped = multiWeekData?.shipped?.[weekStr];
+  if (!shipped || (shipped.releases.length === 0 && shipped.tags.length === 0 && shipped.deployments.length === 0)) {
+    return '';
+  }
+
+  const releaseRows = shipped.releases.map(release => {
+    const prList = release.pullRequests.length > 0
+      ? release.pullRequests.map(pr =>
+        `<div style="font-size:12px;color:#6b7280;padding-left:12px;"><a href="${escapeHtml(toWebUrl(pr.url))}" style="color:#6b7280;">#${pr.number}</a> ${escapeHtml(pr.title)} <span style="color:#9ca3af;">(${escapeHtml(pr.author)})</span></div>`
+      ).join('')
+      : '<div style="font-size:12px;color:#9ca3af;padding-left:12px;">No merged PRs since the previous release</div>';
+
+    return `
+          <div style="margin-bottom:10px;">
+            <div style="font-size:13px;color:#111827;">
+              <strong>${escapeHtml(release.repository.split('/')[1])}</strong>
+              <a href="${escapeHtml(toWebUrl(release.url))}" style="color:#0d9488;text-decoration:none;">${escapeHtml(release.name)}</a>${release.prerelease ? ' <span style="font-size:11px;color:#92400e;">pre-release</span>' : ''}
+              <span style="font-size:11px;color:#9ca3af;">${toReportingDate(release.publishedAt)}${release.previousTagName ? ` &middot; since ${escapeHtml(release.previousTagName)}` : ''}</span>
+            </div>
+            ${prList}
+          </div>`;
+  }).join('');
+
+  const tagsText = shipped.tags
+    .map(tag => `${escapeHtml(tag.repository.split('/')[1])} ${escapeHtml(tag.name)}`)
+    .join(' &middot; ');
+
+  // Deployments grouped by repository and environment, with failures called out
+  const deploymentGroups = {};
+  for (const deployment of shipped.deployments) {
+    const key = `${deployment.repository.split('/')[1]} → ${deployment.environment}`;
+    deploymentGroups[key] = deploymentGroups[key] || { total: 0, failed: 0 };
+    deploymentGroups[key].total++;
+    if (['failure', 'error'].includes(deployment.state)) {
+      deploymentGroups[key].failed++;
+    }
+  }
+  const deploymentsText = Object.entries(deploymentGroups)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, counts]) => `${escapeHtml(key)}: ${fmt(counts.total)}${counts.failed > 0 ? ` <span style="color:#dc2626;">(${fmt(counts.failed)} failed)</span>` : ''}`)
+    .join('<br>');
+
+  return `
+    <tr>
+      <td style="padding:0 24px 24px;">
+        <h2 style="margin:0 0 16px;font-size:16px;color:#111827;border-bottom:2px solid #0d9488;padding-bottom:8px;">Shipped This Week</h2>
+        ${releaseRows}
+        ${tagsText ? `<p style="margin:8px 0 0;font-size:13px;color:#374151;"><strong>Tags:</strong> ${tagsText}</p>` : ''}
+        ${deploymentsText ? `<p style="margin:8px 0 0;font-size:13px;color:#374151;line-height:1.6;"><strong>Deployments:</strong><br>${deploymentsText}</p>` : ''}
+      </td>
+    </tr>`;
+}
+
 // ─── Team Trend Section ───
 
 function generateTeamTrendSection(multiWeekData) {
@@ -349,8 +565,8 @@ export function generateEnhancedEmailHTML(emailData) {
 
   // Separate bots from regular users
   const allUsers = Object.entries(users);
-  const regularUsers = allUsers.filter(([username]) => !isBot(username));
-  const botUsers = allUsers.filter(([username]) => isBot(username));
+  const regularUsers = allUsers.filter(([username]) => !isBotAccount(username));
+  const botUsers = allUsers.filter(([username]) => isBotAccount(username));
 
   const sortedRegularUsers = regularUsers.sort((a, b) =>
     a[0].toLowerCase().localeCompare(b[0].toLowerCase())
@@ -401,7 +617,8 @@ export function generateEnhancedEmailHTML(emailData) {
       contributorAnalysis[username],
       userWeeklyScores[username] || [],
       globalMaxScore,
-      enrichedData
+      enrichedData,
+      multiWeekData?.users?.[username]?.find(entry => entry.week === weekStr)
     );
     const divider = i < sortedRegularUsers.length - 1 ? generatePersonDivider() : '';
     return section + divider;
@@ -551,6 +768,10 @@ export function generateEnhancedEmailHTML(emailData) {
 
           ${teamMetricsHtml}
 
+          ${generatePRFlowSection(weekStr, multiWeekData, repositoriesData)}
+          ${generateIssuesSection(weekStr, multiWeekData, repositoriesData)}
+          ${generateShippedSection(weekStr, multiWeekData)}
+
           ${generateTeamTrendSection(multiWeekData)}
 
           ${codeQualityHtml}
@@ -583,8 +804,8 @@ export function generateEnhancedEmailText(emailData) {
   const reviewStats = enrichedData?.reviewActivity?.stats || {};
 
   const allUsers = Object.entries(users);
-  const regularUsers = allUsers.filter(([username]) => !isBot(username));
-  const botUsersArr = allUsers.filter(([username]) => isBot(username));
+  const regularUsers = allUsers.filter(([username]) => !isBotAccount(username));
+  const botUsersArr = allUsers.filter(([username]) => isBotAccount(username));
 
   const sortedRegularUsers = regularUsers.sort((a, b) =>
     a[0].toLowerCase().localeCompare(b[0].toLowerCase())
@@ -643,6 +864,17 @@ ${'='.repeat(60)}
     }
     text += `  Commits: ${fmt(metrics.commits?.current)}, PRs: ${fmt(metrics.prs?.current)}\n`;
     text += `  Lines: +${fmt(metrics.linesAdded?.current)} -${fmt(metrics.linesDeleted?.current)}\n`;
+
+    const weekEntry = multiWeekData?.users?.[username]?.find(entry => entry.week === weekStr);
+    if (weekEntry?.coAuthoredCommits > 0) {
+      text += `  Co-authored commits: ${fmt(weekEntry.coAuthoredCommits)}\n`;
+    }
+    if (weekEntry && (weekEntry.prsMerged > 0 || weekEntry.prsClosedUnmerged > 0)) {
+      text += `  PRs merged: ${fmt(weekEntry.prsMerged)} (median ${formatHours(weekEntry.medianTimeToMergeHours)} to merge), closed unmerged: ${fmt(weekEntry.prsClosedUnmerged)}\n`;
+    }
+    if (weekEntry && (weekEntry.issuesOpened > 0 || weekEntry.issuesClosed > 0)) {
+      text += `  Issues opened: ${fmt(weekEntry.issuesOpened)}, closed: ${fmt(weekEntry.issuesClosed)}\n`;
+    }
   }
 
   // Repository Activity
@@ -673,6 +905,49 @@ ${'='.repeat(60)}
   text += `Lines Added:     ${fmt(team.linesAdded?.current)}\n`;
   text += `Lines Deleted:   ${fmt(team.linesDeleted?.current)}\n`;
 
+  // Pull Request Flow
+  const teamFlow = multiWeekData?.team?.find(t => t.week === weekStr);
+  if (teamFlow) {
+    text += `\nPULL REQUEST FLOW\n${'-'.repeat(40)}\n`;
+    text += `Merged:                 ${fmt(teamFlow.prsMerged)}\n`;
+    text += `Closed unmerged:        ${fmt(teamFlow.prsClosedUnmerged)}\n`;
+    text += `Median to first review: ${formatHours(teamFlow.medianTimeToFirstReviewHours)}\n`;
+    text += `Median to merge:        ${formatHours(teamFlow.medianTimeToMergeHours)}\n`;
+  }
+
+  // Issues
+  if (teamFlow && (teamFlow.issuesOpened > 0 || teamFlow.issuesClosed > 0 || teamFlow.openIssues != null)) {
+    text += `\nISSUES\n${'-'.repeat(40)}\n`;
+    text += `Opened:                 ${fmt(teamFlow.issuesOpened)}\n`;
+    text += `Closed:                 ${fmt(teamFlow.issuesClosed)}\n`;
+    text += `Reopened:               ${fmt(teamFlow.issuesReopened)}\n`;
+    text += `Median to close:        ${formatHours(teamFlow.medianTimeToCloseHours)}\n`;
+    if (teamFlow.openIssues != null) {
+      text += `Open backlog:           ${fmt(teamFlow.openIssues)}\n`;
+    }
+    for (const [category, counts] of Object.entries(teamFlow.issueCategories || {})) {
+      text += `  ${category}: ${fmt(counts.opened)} opened, ${fmt(counts.closed)} closed\n`;
+    }
+  }
+
+  // Shipped This Week
+  const shipped = multiWeekData?.shipped?.[weekStr];
+  if (shipped && (shipped.releases.length > 0 || shipped.tags.length > 0 || shipped.deployments.length > 0)) {
+    text += `\nSHIPPED THIS WEEK\n${'-'.repeat(40)}\n`;
+    for (const release of shipped.releases) {
+      text += `${release.repository.split('/')[1]} ${release.name} (${toReportingDate(release.publishedAt)})${release.prerelease ? ' [pre-release]' : ''}\n`;
+      for (const pr of release.pullRequests) {
+        text += `  #${pr.number} ${pr.title} (${pr.author})\n`;
+      }
+    }
+    if (shipped.tags.length > 0) {
+      text += `Tags: ${shipped.tags.map(tag => `${tag.repository.split('/')[1]} ${tag.name}`).join(', ')}\n`;
+    }
+    for (const deployment of shipped.deployments) {
+      text += `Deployed ${deployment.repository.split('/')[1]} ${deployment.ref} to ${deployment.environment}: ${deployment.state}\n`;
+    }
+  }
+
   // Code Quality
   const prQuality = aiAnalysis.prQualityAnalysis || {};
   if (prQuality.overallQuality) {
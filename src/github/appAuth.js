@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import chalk from 'chalk';
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// App JWTs may live at most 10 minutes; backdate to allow for clock drift
+const JWT_LIFETIME_SECONDS = 9 * 60;
+const JWT_CLOCK_DRIFT_SECONDS = 60;
+
+// Mint a new installation token this long before the current one expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Encode a value as base64url, as used in JWTs
+ * @param {string|Buffer} value - Value to encode
+ * @returns {string}
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * GitHub App authentication: signs app JWTs and mints installation tokens,
+ * refreshing them before they expire (installation tokens are valid for one hour)
+ */
+export class GitHubAppAuth {
+  /**
+   * @param {Object} options - { appId, privateKey, installationId, baseUrl }
+   *   privateKey is the PEM key downloaded from the app settings,
+   *   baseUrl is the REST API URL (default https://api.github.com)
+   */
+  constructor({ appId, privateKey, installationId, baseUrl = DEFAULT_API_URL }) {
+    if (!appId || !privateKey || !installationId) {
+      throw new Error('GitHub App authentication requires an app ID, private key and installation ID');
+    }
+
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.installationId = installationId;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.token = null;
+    this.expiresAt = 0;
+    this.tokenRefresh = null;
+  }
+
+  /**
+   * Create a JWT identifying the app, signed with its private key (RS256)
+   * @returns {string} Signed JWT
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      iat: now - JWT_CLOCK_DRIFT_SECONDS,
+      exp: now + JWT_LIFETIME_SECONDS,
+      iss: String(this.appId)
+    }));
+
+    const signature = crypto
+      .createSign('RSA-SHA256')
+      .update(`${header}.${payload}`)
+      .sign(this.privateKey);
+
+    return `${header}.${payload}.${base64url(signature)}`;
+  }
+
+  /**
+   * Exchange an app JWT for an installation access token
+   * @returns {Promise<Object>} { token, expiresAt } with expiresAt in milliseconds
+   * @throws {Error} If GitHub rejects the app credentials
+   */
+  async createInstallationToken() {
+    const response = await fetch(
+      `${this.baseUrl}/app/installations/${this.installationId}/access_tokens`,
+      {
+        method: 'POST',
+        headers: {
+          accept: 'application/vnd.github+json',
+          authorization: `Bearer ${this.createJwt()}`,
+          'user-agent': 'ssn-reporting'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(
+        `Could not create installation token for GitHub App ${this.appId}: ` +
+        `${response.status} ${body.message || response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    const { token, expires_at: expiresAt } = await response.json();
+    return { token, expiresAt: new Date(expiresAt).getTime() };
+  }
+
+  /**
+   * Get a valid installation token, minting a new one when the current one is about to expire.
+   * Concurrent callers share a single in-flight refresh.
+   * @returns {Promise<string>} Installation access token
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+
+    if (!this.tokenRefresh) {
+      const isRefresh = this.token !== null;
+      this.tokenRefresh = this.createInstallationToken()
+        .then(({ token, expiresAt }) => {
+          this.token = token;
+          this.expiresAt = expiresAt;
+          if (isRefresh) {
+            console.log(chalk.dim('  Refreshed GitHub App installation token'));
+          }
+          return token;
+        })
+        .finally(() => {
+          this.tokenRefresh = null;
+        });
+    }
+
+    return this.tokenRefresh;
+  }
+
+  /**
+   * Authenticate every request an Octokit instance sends (REST and GraphQL)
+   * with the current installation token
+   * @param {Octokit} octokit - Octokit instance created without auth
+   */
+  attach(octokit) {
+    octokit.hook.before('request', async options => {
+      options.headers.authorization = `token ${await this.getToken()}`;
+    });
+  }
+}
@@ -1,25 +1,242 @@
+import path from 'path';
 import { Octokit } from '@octokit/rest';
 import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { ResponseCache } from './responseCache.js';
+import { GitHubAppAuth } from './appAuth.js';
+import { GitHubFixtureRecorder } from './fixtureRecorder.js';
+import { getServerConfig } from '../config/serverConfig.js';
+import { getFixtureConfig } from '../config/fixtureConfig.js';
+import { toReportingDate, getReportingDayStart, getReportingDayEnd } from '../utils/dateUtils.js';
+
+// Pause all workers when fewer core requests than this remain
+const RATE_LIMIT_THRESHOLD = 100;
+
+// Re-read /rate_limit at most this often; response headers keep it current in between
+const RATE_LIMIT_REFRESH_MS = 60 * 1000;
+
+// Retry settings for transient errors
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Never wait longer than this on a single secondary rate limit
+const MAX_RETRY_WAIT_MS = 15 * 60 * 1000;
+
+// Network failures worth retrying (fetch reports them as a TypeError with the code on its cause)
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT'
+]);
 
 /**
  * GitHub API client wrapper with rate limiting and error handling
  */
 export class GitHubClient {
-  constructor(token) {
-    if (!token) {
+  /**
+   * @param {string|Object} auth - GitHub token, or an auth config from getAuthConfig()
+   *   ({ mode: 'token', token }, { mode: 'app', appId, privateKey, installationId } or { mode: 'replay' })
+   * @param {Object} options - { cacheDirectory, concurrency, maxRetries }
+   *   cacheDirectory enables the conditional-request cache,
+   *   concurrency bounds parallel API requests (default 1),
+   *   maxRetries bounds retries of transient errors (default 3).
+   *   REST and GraphQL URLs come from getServerConfig() (github.com or GitHub Enterprise Server),
+   *   record/replay of fixtures from getFixtureConfig()
+   */
+  constructor(auth, options = {}) {
+    const authConfig = typeof auth === 'string' ? { mode: 'token', token: auth } : auth;
+
+    if (!authConfig || (authConfig.mode === 'token' && !authConfig.token)) {
       throw new Error('GitHub token is required. Please set GITHUB_TOKEN in .env');
     }
 
+    const { apiUrl, graphqlUrl } = getServerConfig();
+
     this.octokit = new Octokit({
-      auth: token,
+      auth: authConfig.mode === 'token' ? authConfig.token : undefined,
+      baseUrl: apiUrl,
       request: {
         timeout: 30000
       }
     });
 
+    // GraphQL requests (collector and Projects client) go to the configured endpoint
+    const graphqlEndpoint = new URL(graphqlUrl);
+    this.octokit.graphql = this.octokit.graphql.defaults({
+      baseUrl: graphqlEndpoint.origin,
+      url: graphqlEndpoint.pathname
+    });
+
+    // Installation tokens are minted on first use and refreshed before they expire
+    this.appAuth = null;
+    if (authConfig.mode === 'app') {
+      this.appAuth = new GitHubAppAuth({ ...authConfig, baseUrl: apiUrl });
+      this.appAuth.attach(this.octokit);
+    }
+
+    // Fixtures sit below retries and the limiter; replayed requests never reach the network
+    const fixtureConfig = getFixtureConfig();
+    this.fixtureRecorder = null;
+    if (fixtureConfig.mode !== 'off') {
+      this.fixtureRecorder = new GitHubFixtureRecorder(
+        path.join(fixtureConfig.directory, 'github'),
+        fixtureConfig.mode
+      );
+      this.fixtureRecorder.attach(this.octokit);
+    }
+
     this.requestCount = 0;
     this.rateLimitCheckedAt = 0;
     this.lastRateLimit = null;
+    this.rateLimitRefresh = null;
+    this.rateLimitWait = null;
+    this.retryCount = 0;
+    this.failures = [];
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+    // Every HTTP request goes through one limiter so parallel workers share a budget
+    this.concurrency = options.concurrency || 1;
+    const requestLimit = pLimit(this.concurrency);
+    this.octokit.hook.wrap('request', (request, requestOptions) =>
+      requestLimit(() => request(requestOptions))
+    );
+    this.octokit.hook.after('request', response => {
+      this.updateRateLimitFromHeaders(response.headers);
+    });
+
+    // Retries wait outside the limiter so a sleeping worker doesn't hold a slot
+    this.octokit.hook.wrap('request', (request, requestOptions) =>
+      this.requestWithRetry(request, requestOptions)
+    );
+
+    // Registered last so cached responses skip the limiter.
+    // Off while recording or replaying, so every request reaches the fixtures
+    this.responseCache = null;
+    if (options.cacheDirectory && !this.fixtureRecorder) {
+      this.responseCache = new ResponseCache(options.cacheDirectory);
+      this.responseCache.attach(this.octokit);
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures.
+   * 5xx responses, network failures and timeouts are retried with jittered exponential
+   * backoff; secondary rate limits wait for Retry-After or x-ratelimit-reset.
+   * Any other error is thrown at once.
+   * @param {Function} request - Octokit request function
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Octokit response
+   */
+  async requestWithRetry(request, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request(options);
+      } catch (error) {
+        const delayMs = this.getRetryDelay(error, attempt);
+        if (delayMs === null || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        this.retryCount++;
+        console.warn(
+          chalk.yellow(
+            `⚠️  ${options.method} ${options.url} failed (${error.status || error.message}), ` +
+            `retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1}/${this.maxRetries})`
+          )
+        );
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Decide whether a failed request should be retried and how long to wait
+   * @param {Error} error - Request error
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number|null} Delay in milliseconds, or null if the error is not retryable
+   */
+  getRetryDelay(error, attempt) {
+    const status = error.status;
+    const headers = error.response?.headers || {};
+
+    // Replaying again cannot find a fixture that was never recorded
+    if (error.fixtureMissing) {
+      return null;
+    }
+
+    if (status === 403 || status === 429) {
+      const retryAfter = parseInt(headers['retry-after'], 10);
+      if (!isNaN(retryAfter)) {
+        return Math.min(retryAfter * 1000, MAX_RETRY_WAIT_MS);
+      }
+
+      const isRateLimited = headers['x-ratelimit-remaining'] === '0' ||
+        /secondary rate limit|abuse/i.test(error.message || '');
+      if (!isRateLimited) {
+        return null;
+      }
+
+      const reset = parseInt(headers['x-ratelimit-reset'], 10);
+      if (!isNaN(reset)) {
+        const waitMs = reset * 1000 - Date.now() + 1000; // Add 1 second buffer
+        return Math.min(Math.max(waitMs, RETRY_BASE_DELAY_MS), MAX_RETRY_WAIT_MS);
+      }
+
+      // Secondary limits without headers: GitHub asks for at least a minute
+      return 60 * 1000;
+    }
+
+    // 5xx responses (Octokit also reports failed fetches as 500), and network errors/timeouts.
+    // Errors without a status are otherwise bugs, which retrying would only delay
+    const isTransient = status ? status >= 500 : this.isNetworkError(error);
+    if (!isTransient) {
+      return null;
+    }
+
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return backoff + Math.floor(Math.random() * backoff);
+  }
+
+  /**
+   * Check whether an error without an HTTP status is a network failure or timeout
+   * @param {Error} error - Request error
+   * @returns {boolean}
+   */
+  isNetworkError(error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      return true;
+    }
+    return TRANSIENT_NETWORK_CODES.has(error.code) || TRANSIENT_NETWORK_CODES.has(error.cause?.code);
+  }
+
+  /**
+   * Record a repository-level failure so the run can report partial success
+   * @param {string} repository - Repository name (e.g., 'sisp-sweden/ssn-admin')
+   * @param {string} stage - What was being fetched (e.g., 'commits', 'reviews')
+   * @param {Error} error - The error that caused the failure
+   */
+  recordFailure(repository, stage, error) {
+    this.failures.push({
+      repository,
+      stage,
+      status: error.status || null,
+      message: error.message,
+      failedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get failures recorded during this run
+   * @returns {Array} Array of { repository, stage, status, message, failedAt }
+   */
+  getFailures() {
+    return this.failures;
   }
 
   /**
@@ -37,19 +254,83 @@ export class GitHubClient {
   }
 
   /**
-   * Check rate limit and wait if needed
+   * Get core rate limit status, shared by all parallel workers.
+   * /rate_limit is only re-read when the cached value is stale or past its reset;
+   * concurrent callers share a single in-flight refresh.
+   * @returns {Promise<Object>} { remaining, limit, reset }
+   */
+  async getCoreRateLimit() {
+    const core = this.lastRateLimit?.resources?.core;
+    const now = Date.now();
+    const isFresh = core &&
+      now - this.rateLimitCheckedAt < RATE_LIMIT_REFRESH_MS &&
+      now < core.reset * 1000;
+
+    if (isFresh) {
+      return core;
+    }
+
+    if (!this.rateLimitRefresh) {
+      this.rateLimitRefresh = this.getRateLimit()
+        .then(rateLimit => {
+          this.lastRateLimit = rateLimit;
+          this.rateLimitCheckedAt = Date.now();
+          return rateLimit.resources.core;
+        })
+        .finally(() => {
+          this.rateLimitRefresh = null;
+        });
+    }
+
+    return this.rateLimitRefresh;
+  }
+
+  /**
+   * Keep the cached core rate limit current from response headers.
+   * Only newer information is applied, so replayed cached responses are ignored.
+   * @param {Object} headers - Response headers
+   */
+  updateRateLimitFromHeaders(headers = {}) {
+    if (headers['x-ratelimit-resource'] !== 'core' || !this.lastRateLimit) {
+      return;
+    }
+
+    const core = this.lastRateLimit.resources.core;
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+    if (isNaN(remaining) || isNaN(reset)) {
+      return;
+    }
+
+    if (reset > core.reset || (reset === core.reset && remaining < core.remaining)) {
+      core.remaining = remaining;
+      core.limit = isNaN(limit) ? core.limit : limit;
+      core.reset = reset;
+    }
+  }
+
+  /**
+   * Check rate limit and wait if needed.
+   * When the budget runs low every worker waits on the same reset timer.
    * @returns {Promise<void>}
    */
   async checkAndWaitForRateLimit() {
-    try {
-      const rateLimit = await this.getRateLimit();
-      const remaining = rateLimit.resources.core.remaining;
-      const limit = rateLimit.resources.core.limit;
-      const resetTime = rateLimit.resources.core.reset;
+    // Replayed responses cost nothing
+    if (this.fixtureRecorder?.mode === 'replay') {
+      return;
+    }
 
-      this.lastRateLimit = rateLimit;
+    if (this.rateLimitWait) {
+      await this.rateLimitWait;
+      return;
+    }
+
+    try {
+      const { remaining, limit, reset: resetTime } = await this.getCoreRateLimit();
 
-      if (remaining < 100) {
+      if (remaining < RATE_LIMIT_THRESHOLD && !this.rateLimitWait) {
         const now = Math.floor(Date.now() / 1000);
         const waitSeconds = resetTime - now;
 
@@ -60,9 +341,17 @@ export class GitHubClient {
             )
           );
           console.warn(chalk.yellow(`Waiting ${waitSeconds} seconds for reset...`));
-          await this.sleep(waitSeconds * 1000 + 1000); // Add 1 second buffer
+          this.rateLimitWait = this.sleep(waitSeconds * 1000 + 1000) // Add 1 second buffer
+            .finally(() => {
+              this.rateLimitWait = null;
+              this.rateLimitCheckedAt = 0;
+            });
         }
       }
+
+      if (this.rateLimitWait) {
+        await this.rateLimitWait;
+      }
     } catch (error) {
       console.warn(chalk.yellow('Could not check rate limit:'), error.message);
       // Continue anyway, don't fail the whole process
@@ -75,9 +364,10 @@ export class GitHubClient {
    * @param {string} repo - Repository name
    * @param {string} since - Start date (ISO 8601)
    * @param {string} until - End date (ISO 8601)
+   * @param {string|null} branch - Branch to list (defaults to the repository's default branch)
    * @returns {Promise<Array>} Array of commits
    */
-  async getCommits(owner, repo, since, until) {
+  async getCommits(owner, repo, since, until, branch = null) {
     const commits = [];
     let page = 1;
     let hasMore = true;
@@ -89,8 +379,9 @@ export class GitHubClient {
         const response = await this.octokit.rest.repos.listCommits({
           owner,
           repo,
-          since,
-          until,
+          ...(branch && { sha: branch }),
+          since: getReportingDayStart(since),
+          until: getReportingDayEnd(until),
           per_page: 100,
           page
         });
@@ -113,6 +404,52 @@ export class GitHubClient {
     return commits;
   }
 
+  /**
+   * Get the name of a repository's default branch
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<string>} Default branch name
+   */
+  async getDefaultBranch(owner, repo) {
+    await this.checkAndWaitForRateLimit();
+
+    const response = await this.octokit.rest.repos.get({ owner, repo });
+    this.requestCount++;
+
+    return response.data.default_branch;
+  }
+
+  /**
+   * List all branch names in a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array<string>>} Branch names
+   */
+  async getBranches(owner, repo) {
+    const branches = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      await this.checkAndWaitForRateLimit();
+
+      const response = await this.octokit.rest.repos.listBranches({
+        owner,
+        repo,
+        per_page: 100,
+        page
+      });
+
+      branches.push(...response.data.map(branch => branch.name));
+      this.requestCount++;
+
+      hasMore = response.data.length === 100;
+      page++;
+    }
+
+    return branches;
+  }
+
   /**
    * Fetch pull requests for a repository within a date range
    * @param {string} owner - Repository owner
@@ -141,7 +478,7 @@ export class GitHubClient {
 
         // Filter by date in application layer
         const filtered = response.data.filter(pr => {
-          const prDate = new Date(pr.created_at).toISOString().split('T')[0];
+          const prDate = toReportingDate(pr.created_at);
           return prDate >= since;
         });
 
@@ -151,9 +488,7 @@ export class GitHubClient {
         // Stop if we've gone past the since date
         if (
           response.data.length > 0 &&
-          new Date(response.data[response.data.length - 1].created_at)
-            .toISOString()
-            .split('T')[0] < since
+          toReportingDate(response.data[response.data.length - 1].created_at) < since
         ) {
           hasMore = false;
         } else if (response.data.length < 100) {
@@ -174,6 +509,60 @@ export class GitHubClient {
     return pullRequests;
   }
 
+  /**
+   * Fetch pull requests for a repository that were updated since a date,
+   * whenever they were opened (reviews and comments bump updated_at)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (ISO 8601)
+   * @returns {Promise<Array>} Array of pull requests
+   */
+  async getPullRequestsUpdatedSince(owner, repo, since) {
+    const pullRequests = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      try {
+        await this.checkAndWaitForRateLimit();
+
+        const response = await this.octokit.rest.pulls.list({
+          owner,
+          repo,
+          state: 'all',
+          sort: 'updated',
+          direction: 'desc',
+          per_page: 100,
+          page
+        });
+
+        const filtered = response.data.filter(pr => {
+          const updatedDate = toReportingDate(pr.updated_at);
+          return updatedDate >= since;
+        });
+
+        pullRequests.push(...filtered);
+        this.requestCount++;
+
+        // Stop once PRs were last touched before the since date
+        if (filtered.length < response.data.length || response.data.length < 100) {
+          hasMore = false;
+        } else {
+          page++;
+        }
+      } catch (error) {
+        if (error.status === 404) {
+          console.warn(chalk.yellow(`Repository ${owner}/${repo} not found`));
+          hasMore = false;
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    return pullRequests;
+  }
+
   /**
    * Get detailed information about a commit including stats
    * @param {string} owner - Repository owner
@@ -202,6 +591,313 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Fetch issues (and pull requests, which the issues API includes) updated since a date
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (ISO 8601)
+   * @returns {Promise<Array>} Array of issues
+   */
+  async getIssuesUpdatedSince(owner, repo, since) {
+    const issues = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      await this.checkAndWaitForRateLimit();
+
+      const response = await this.octokit.rest.issues.listForRepo({
+        owner,
+        repo,
+        state: 'all',
+        since: getReportingDayStart(since),
+        sort: 'updated',
+        direction: 'desc',
+        per_page: 100,
+        page
+      });
+
+      issues.push(...response.data);
+      this.requestCount++;
+
+      hasMore = response.data.length === 100;
+      page++;
+    }
+
+    return issues;
+  }
+
+  /**
+   * Fetch issue events (closed, reopened, labeled, ...) created since a date, newest first
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (ISO 8601)
+   * @returns {Promise<Array>} Array of issue events
+   */
+  async getIssueEventsSince(owner, repo, since) {
+    const events = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      await this.checkAndWaitForRateLimit();
+
+      const response = await this.octokit.rest.issues.listEventsForRepo({
+        owner,
+        repo,
+        per_page: 100,
+        page
+      });
+
+      const filtered = response.data.filter(event =>
+        toReportingDate(event.created_at) >= toReportingDate(since)
+      );
+
+      events.push(...filtered);
+      this.requestCount++;
+
+      // Stop once events are older than the since date
+      if (filtered.length < response.data.length || response.data.length < 100) {
+        hasMore = false;
+      } else {
+        page++;
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Count a repository's open issues (excluding pull requests)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<number>} Open issue count
+   */
+  async getOpenIssueCount(owner, repo) {
+    await this.checkAndWaitForRateLimit();
+
+    const response = await this.octokit.rest.search.issuesAndPullRequests({
+      q: `repo:${owner}/${repo} is:issue is:open`,
+      per_page: 1
+    });
+    this.requestCount++;
+
+    return response.data.total_count;
+  }
+
+  /**
+   * Fetch published releases created since a date, plus the latest release before it
+   * (so the first release in the period can be compared with its predecessor)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Releases, newest first
+   */
+  async getReleasesSince(owner, repo, since) {
+    const releases = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      await this.checkAndWaitForRateLimit();
+
+      const response = await this.octokit.rest.repos.listReleases({
+        owner,
+        repo,
+        per_page: 100,
+        page
+      });
+      this.requestCount++;
+
+      for (const release of response.data) {
+        // Drafts have no published date and haven't shipped
+        if (release.draft) {
+          continue;
+        }
+
+        releases.push(release);
+
+        if (toReportingDate(release.published_at) < since) {
+          hasMore = false;
+          break;
+        }
+      }
+
+      if (response.data.length < 100) {
+        hasMore = false;
+      }
+      page++;
+    }
+
+    return releases;
+  }
+
+  /**
+   * Fetch a repository's most recent tags
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} count - Number of tags to fetch (max 100)
+   * @returns {Promise<Array>} Tags { name, commit: { sha } }
+   */
+  async getRecentTags(owner, repo, count = 30) {
+    await this.checkAndWaitForRateLimit();
+
+    const response = await this.octokit.rest.repos.listTags({
+      owner,
+      repo,
+      per_page: count
+    });
+    this.requestCount++;
+
+    return response.data;
+  }
+
+  /**
+   * Fetch deployments created since a date
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Deployments, newest first
+   */
+  async getDeploymentsSince(owner, repo, since) {
+    const deployments = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      await this.checkAndWaitForRateLimit();
+
+      const response = await this.octokit.rest.repos.listDeployments({
+        owner,
+        repo,
+        per_page: 100,
+        page
+      });
+
+      const filtered = response.data.filter(deployment =>
+        toReportingDate(deployment.created_at) >= since
+      );
+
+      deployments.push(...filtered);
+      this.requestCount++;
+
+      // Stop once deployments are older than the since date
+      if (filtered.length < response.data.length || response.data.length < 100) {
+        hasMore = false;
+      } else {
+        page++;
+      }
+    }
+
+    return deployments;
+  }
+
+  /**
+   * Get the latest status of a deployment
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} deploymentId - Deployment ID
+   * @returns {Promise<Object|null>} Latest deployment status, or null if none was reported
+   */
+  async getLatestDeploymentStatus(owner, repo, deploymentId) {
+    await this.checkAndWaitForRateLimit();
+
+    const response = await this.octokit.rest.repos.listDeploymentStatuses({
+      owner,
+      repo,
+      deployment_id: deploymentId,
+      per_page: 1
+    });
+    this.requestCount++;
+
+    return response.data[0] || null;
+  }
+
+  /**
+   * Fetch GitHub Actions workflow runs created in a date range
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (YYYY-MM-DD)
+   * @param {string} until - End date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Workflow runs (latest attempt of each run)
+   */
+  async getWorkflowRuns(owner, repo, since, until) {
+    const runs = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      await this.checkAndWaitForRateLimit();
+
+      const response = await this.octokit.rest.actions.listWorkflowRunsForRepo({
+        owner,
+        repo,
+        created: `${getReportingDayStart(since)}..${getReportingDayEnd(until)}`,
+        per_page: 100,
+        page
+      });
+
+      runs.push(...response.data.workflow_runs);
+      this.requestCount++;
+
+      hasMore = response.data.workflow_runs.length === 100;
+      page++;
+    }
+
+    return runs;
+  }
+
+  /**
+   * Fetch the check runs reported for a commit
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Commit SHA, branch or tag
+   * @returns {Promise<Array>} Check runs
+   */
+  async getCheckRuns(owner, repo, ref) {
+    await this.checkAndWaitForRateLimit();
+
+    const response = await this.octokit.rest.checks.listForRef({
+      owner,
+      repo,
+      ref,
+      per_page: 100
+    });
+    this.requestCount++;
+
+    return response.data.check_runs;
+  }
+
+  /**
+   * List all repositories in an organization
+   * @param {string} org - Organization login
+   * @returns {Promise<Array>} Repositories, including their topics and archived flag
+   */
+  async getOrgRepositories(org) {
+    const repositories = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      await this.checkAndWaitForRateLimit();
+
+      const response = await this.octokit.rest.repos.listForOrg({
+        org,
+        type: 'all',
+        per_page: 100,
+        page
+      });
+
+      repositories.push(...response.data);
+      this.requestCount++;
+
+      hasMore = response.data.length === 100;
+      page++;
+    }
+
+    return repositories;
+  }
+
   /**
    * Sleep helper function
    * @param {number} ms - Milliseconds to sleep
@@ -219,6 +915,24 @@ export class GitHubClient {
     return this.requestCount;
   }
 
+  /**
+   * Get response cache statistics
+   * @returns {Object|null} { hits, notModified, immutableHits, misses } or null if caching is disabled
+   */
+  getCacheStats() {
+    return this.responseCache ? this.responseCache.getStats() : null;
+  }
+
+  /**
+   * Get fixture statistics
+   * @returns {Object|null} { mode, recorded, replayed } or null if fixtures are off
+   */
+  getFixtureStats() {
+    return this.fixtureRecorder
+      ? { mode: this.fixtureRecorder.mode, ...this.fixtureRecorder.getStats() }
+      : null;
+  }
+
   /**
    * Get last cached rate limit info
    * @returns {Object|null}
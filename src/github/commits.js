@@ -1,4 +1,47 @@
 import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { isIncluded } from '../utils/patternMatcher.js';
+import { resolveIdentity, canonicalLogin, slugifyName } from '../utils/identityRegistry.js';
+import { getLanguageBreakdown, addLanguageStats } from '../utils/languageDetector.js';
+import { splitGeneratedChanges } from '../utils/generatedFiles.js';
+import { toReportingDate } from '../utils/dateUtils.js';
+
+/**
+ * List commits in a date range across the default branch and every other branch
+ * that passes the repository's branch filter, de-duplicated by SHA
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Start date (ISO 8601)
+ * @param {string} until - End date (ISO 8601)
+ * @param {Object} branchFilter - { include, exclude } branch name globs
+ * @returns {Promise<Array>} Unique commits from all selected branches
+ */
+async function getCommitsOnBranches(client, owner, repo, since, until, branchFilter = {}) {
+  const defaultBranch = await client.getDefaultBranch(owner, repo);
+  const otherBranches = (await client.getBranches(owner, repo))
+    .filter(name => name !== defaultBranch && isIncluded(name, branchFilter));
+  const branches = [defaultBranch, ...otherBranches];
+
+  const commitsPerBranch = await Promise.all(
+    branches.map(branch => client.getCommits(owner, repo, since, until, branch))
+  );
+
+  // A commit reachable from several branches is counted once
+  const uniqueCommits = new Map();
+  for (const branchCommits of commitsPerBranch) {
+    for (const commit of branchCommits) {
+      if (!uniqueCommits.has(commit.sha)) {
+        uniqueCommits.set(commit.sha, commit);
+      }
+    }
+  }
+
+  const activeBranches = commitsPerBranch.filter(branchCommits => branchCommits.length > 0).length;
+  console.log(chalk.dim(`  ${activeBranches}/${branches.length} branches active in ${owner}/${repo}`));
+
+  return [...uniqueCommits.values()];
+}
 
 /**
  * Fetch commits for a specific repository within a date range
@@ -7,41 +50,39 @@ import chalk from 'chalk';
  * @param {string} repo - Repository name
  * @param {string} since - Start date (ISO 8601)
  * @param {string} until - End date (ISO 8601)
+ * @param {Object} options - { allBranches, branches: { include, exclude } }
  * @returns {Promise<Array>} Array of processed commits
  */
-export async function fetchCommitsForRepo(client, owner, repo, since, until) {
+export async function fetchCommitsForRepo(client, owner, repo, since, until, options = {}) {
   console.log(
     chalk.cyan(`Fetching commits from ${owner}/${repo}...`)
   );
 
   try {
-    const commits = await client.getCommits(owner, repo, since, until);
+    const commits = options.allBranches
+      ? await getCommitsOnBranches(client, owner, repo, since, until, options.branches)
+      : await client.getCommits(owner, repo, since, until);
+
+    // Skip merge commits (they have multiple parents)
+    const nonMergeCommits = commits.filter(
+      commit => !(commit.parents && commit.parents.length > 1)
+    );
+
+    // Detail requests run in parallel, bounded by the client's request limiter
+    const details = await Promise.all(
+      nonMergeCommits.map(commit => client.getCommitDetails(owner, repo, commit.sha))
+    );
 
     const processed = [];
-    for (const commit of commits) {
-      // Skip merge commits (they have multiple parents)
-      if (commit.parents && commit.parents.length > 1) {
-        continue;
-      }
+    nonMergeCommits.forEach((commit, index) => {
+      const commitDetails = details[index];
+      if (!commitDetails) return;
 
-      const details = await client.getCommitDetails(owner, repo, commit.sha);
-      if (!details) continue;
-
-      processed.push({
-        repository: `${owner}/${repo}`,
-        sha: commit.sha,
-        author: commit.commit?.author?.name || 'Unknown',
-        authorLogin: commit.author?.login || null,
-        email: commit.commit?.author?.email || null,
-        date: commit.commit?.author?.date || null,
-        message: commit.commit?.message || '',
-        additions: details.stats?.additions || 0,
-        deletions: details.stats?.deletions || 0
-      });
-    }
+      processed.push(processCommit(commit, commitDetails, owner, repo));
+    });
 
     console.log(
-      chalk.green(`  ✓ Found ${processed.length} commits`)
+      chalk.green(`  ✓ Found ${processed.length} commits in ${owner}/${repo}`)
     );
     return processed;
   } catch (error) {
@@ -49,43 +90,96 @@ export async function fetchCommitsForRepo(client, owner, repo, since, until) {
       chalk.red(`Error fetching commits from ${owner}/${repo}:`),
       error.message
     );
+    client.recordFailure(`${owner}/${repo}`, 'commits', error);
     return [];
   }
 }
 
+/**
+ * Convert a REST commit and its details to the processed shape used across collectors
+ * @param {Object} commit - Commit from the REST API (list or single-commit endpoint)
+ * @param {Object} commitDetails - Single-commit response with stats and files
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Object} Processed commit
+ */
+export function processCommit(commit, commitDetails, owner, repo) {
+  return {
+    repository: `${owner}/${repo}`,
+    sha: commit.sha,
+    author: commit.commit?.author?.name || 'Unknown',
+    authorLogin: commit.author?.login || null,
+    authorType: commit.author?.type || null,
+    email: commit.commit?.author?.email || null,
+    date: commit.commit?.author?.date || null,
+    // Commits are listed by commit date, which differs from the author date after a rebase
+    committedAt: commit.commit?.committer?.date || null,
+    message: commit.commit?.message || '',
+    additions: commitDetails.stats?.additions || 0,
+    deletions: commitDetails.stats?.deletions || 0,
+    files: processCommitFiles(commitDetails.files)
+  };
+}
+
+/**
+ * Convert the files of a REST single-commit response to the processed shape
+ * @param {Array|undefined} files - Files from the single-commit endpoint
+ * @returns {Array} Array of { path, previousPath, status, additions, deletions }
+ */
+export function processCommitFiles(files = []) {
+  return files.map(file => ({
+    path: file.filename,
+    previousPath: file.previous_filename || null,
+    status: file.status,
+    additions: file.additions || 0,
+    deletions: file.deletions || 0
+  }));
+}
+
 /**
  * Fetch commits from all repositories within a date range
  * @param {GitHubClient} client - GitHub API client
  * @param {Array} repositories - Array of { owner, repo } objects
  * @param {string} since - Start date (ISO 8601)
  * @param {string} until - End date (ISO 8601)
+ * @param {boolean} allBranches - If true, collect from all branches instead of only the default one
  * @returns {Promise<Array>} Array of all commits from all repos
  */
 export async function fetchCommitsForDateRange(
   client,
   repositories,
   since,
-  until
+  until,
+  allBranches = false
 ) {
-  const allCommits = [];
+  const limit = pLimit(client.concurrency);
 
-  for (let i = 0; i < repositories.length; i++) {
-    const { owner, repo } = repositories[i];
-    console.log(chalk.blue(`[${i + 1}/${repositories.length}]`));
-
-    const commits = await fetchCommitsForRepo(client, owner, repo, since, until);
-    allCommits.push(...commits);
-  }
+  const results = await Promise.all(
+    repositories.map(({ owner, repo, branches }, i) => limit(() => {
+      console.log(chalk.blue(`[${i + 1}/${repositories.length}]`));
+      return fetchCommitsForRepo(client, owner, repo, since, until, { allBranches, branches });
+    }))
+  );
 
-  return allCommits;
+  return results.flat();
 }
 
 /**
  * Extract user login from commit (handles various formats)
+ * Registered contributors resolve to their canonical login from the identity registry
  * @param {Object} commit - Processed commit object
  * @returns {string} GitHub username or email
  */
 export function extractUsername(commit) {
+  const registered = resolveIdentity({
+    login: commit.authorLogin,
+    email: commit.email,
+    name: commit.author
+  });
+  if (registered) {
+    return registered;
+  }
+
   if (commit.authorLogin) {
     return commit.authorLogin;
   }
@@ -100,12 +194,62 @@ export function extractUsername(commit) {
 
   // Fallback to sanitized author name
   if (commit.author) {
-    return commit.author.toLowerCase().replace(/\s+/g, '-');
+    return slugifyName(commit.author);
   }
 
   return 'unknown';
 }
 
+// Git trailer crediting another author, e.g. "Co-authored-by: Jane Doe <jane@example.com>"
+const CO_AUTHOR_TRAILER = /^co-authored-by:\s*(.*?)\s*<([^>]+)>\s*$/gim;
+
+// GitHub noreply addresses carry the login: "12345+login@users.noreply.github.com"
+const NOREPLY_EMAIL = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+/**
+ * Parse Co-authored-by trailers from a commit message
+ * @param {string} message - Commit message
+ * @returns {Array} Array of { name, email }
+ */
+export function parseCoAuthors(message) {
+  return [...(message || '').matchAll(CO_AUTHOR_TRAILER)].map(match => ({
+    name: match[1],
+    email: match[2].trim()
+  }));
+}
+
+/**
+ * Map commit author emails to GitHub logins, from commits GitHub could attribute
+ * @param {Array} commits - Array of processed commits
+ * @returns {Map} Lower-cased email → login
+ */
+function buildEmailLoginMap(commits) {
+  const emailLogins = new Map();
+  for (const commit of commits) {
+    if (commit.authorLogin && commit.email) {
+      emailLogins.set(commit.email.toLowerCase(), commit.authorLogin);
+    }
+  }
+  return emailLogins;
+}
+
+/**
+ * Resolve a commit's co-authors to GitHub logins (noreply address, then a login seen
+ * for the same email, then the same fallback as commit authors), excluding the author
+ * @param {Object} commit - Processed commit
+ * @param {Map} emailLogins - Lower-cased email → login
+ * @returns {Array<string>} Unique co-author logins
+ */
+export function resolveCoAuthors(commit, emailLogins = new Map()) {
+  const author = extractUsername(commit);
+  const logins = parseCoAuthors(commit.message).map(({ name, email }) => {
+    const login = email.match(NOREPLY_EMAIL)?.[1] || emailLogins.get(email.toLowerCase());
+    return login ? canonicalLogin(login) : extractUsername({ email, author: name });
+  });
+
+  return [...new Set(logins)].filter(login => login !== author);
+}
+
 /**
  * Group commits by username and date
  * @param {Array} commits - Array of commits
@@ -116,7 +260,7 @@ export function groupCommitsByUserAndDate(commits) {
 
   for (const commit of commits) {
     const username = extractUsername(commit);
-    const dateStr = commit.date.split('T')[0]; // Extract date portion
+    const dateStr = toReportingDate(commit.date); // Day in the reporting timezone
 
     if (!grouped[username]) {
       grouped[username] = {};
@@ -133,23 +277,60 @@ export function groupCommitsByUserAndDate(commits) {
 }
 
 /**
- * Aggregate commit stats by user and date
+ * Aggregate commit stats by user and date, crediting Co-authored-by trailers.
+ * With coAuthorLines 'full' the commit author keeps all lines and co-authors only
+ * get coAuthoredCommits; with 'split' lines are divided evenly between them.
+ * Lines in generated, vendored and lock files are left out and counted as
+ * generatedLinesChanged instead. Generated lines and the per-language breakdown are
+ * always credited to the commit author.
  * @param {Array} commits - Array of commits
- * @returns {Object} Aggregated stats { user: { date: { commits, additions, deletions } } }
+ * @param {Object} options - { coAuthorLines: 'full' | 'split' }
+ * @returns {Object} Aggregated stats { user: { date: { commits, linesAdded, linesDeleted,
+ *   coAuthoredCommits, coAuthorLinesAdded, coAuthorLinesDeleted, generatedLinesChanged, languages } } }
  */
-export function aggregateCommitStats(commits) {
-  const grouped = groupCommitsByUserAndDate(commits);
+export function aggregateCommitStats(commits, options = {}) {
+  const splitLines = options.coAuthorLines === 'split';
+  const emailLogins = buildEmailLoginMap(commits);
   const stats = {};
 
-  for (const [username, dateMap] of Object.entries(grouped)) {
-    stats[username] = {};
+  const ensureEntry = (username, date) => {
+    stats[username] = stats[username] || {};
+    stats[username][date] = stats[username][date] || {
+      commits: 0,
+      linesAdded: 0,
+      linesDeleted: 0,
+      coAuthoredCommits: 0,
+      coAuthorLinesAdded: 0,
+      coAuthorLinesDeleted: 0,
+      generatedLinesChanged: 0,
+      languages: {}
+    };
+    return stats[username][date];
+  };
+
+  for (const commit of commits) {
+    const username = extractUsername(commit);
+    const date = toReportingDate(commit.date);
+    const coAuthors = resolveCoAuthors(commit, emailLogins);
+    const { additions, deletions, generatedLinesChanged, files } = splitGeneratedChanges(commit);
+
+    // Co-authors get an equal share; rounding leftovers stay with the author
+    const shares = splitLines ? coAuthors.length + 1 : 1;
+    const sharedAdded = splitLines ? Math.floor(additions / shares) : 0;
+    const sharedDeleted = splitLines ? Math.floor(deletions / shares) : 0;
+
+    const authorEntry = ensureEntry(username, date);
+    authorEntry.commits += 1;
+    authorEntry.linesAdded += additions - sharedAdded * coAuthors.length;
+    authorEntry.linesDeleted += deletions - sharedDeleted * coAuthors.length;
+    authorEntry.generatedLinesChanged += generatedLinesChanged;
+    addLanguageStats(authorEntry.languages, getLanguageBreakdown(files));
 
-    for (const [date, userCommits] of Object.entries(dateMap)) {
-      stats[username][date] = {
-        commits: userCommits.length,
-        linesAdded: userCommits.reduce((sum, c) => sum + c.additions, 0),
-        linesDeleted: userCommits.reduce((sum, c) => sum + c.deletions, 0)
-      };
+    for (const coAuthor of coAuthors) {
+      const coAuthorEntry = ensureEntry(coAuthor, date);
+      coAuthorEntry.coAuthoredCommits += 1;
+      coAuthorEntry.coAuthorLinesAdded += sharedAdded;
+      coAuthorEntry.coAuthorLinesDeleted += sharedDeleted;
     }
   }
 
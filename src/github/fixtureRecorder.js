@@ -0,0 +1,102 @@
+import { FixtureStore } from '../storage/fixtureStore.js';
+
+/**
+ * Copy a request body with object keys in sorted order, so the fixture key of a GraphQL
+ * query does not depend on the order its variables were written in
+ * @param {*} value - Parsed request body (or part of it)
+ * @returns {*} Copy with sorted keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort().map(key => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Records GitHub REST and GraphQL traffic to fixture files, or replays it offline.
+ * Error responses (404s for missing releases, 409s for empty repositories, ...) are
+ * recorded too, and replayed as errors with the same status.
+ */
+export class GitHubFixtureRecorder {
+  /**
+   * @param {string} directory - Fixture directory for GitHub traffic
+   * @param {string} mode - 'record' or 'replay'
+   */
+  constructor(directory, mode) {
+    this.store = new FixtureStore(directory, mode);
+    this.mode = mode;
+  }
+
+  /**
+   * Install the recorder as an Octokit request hook
+   * @param {Octokit} octokit - Octokit instance
+   */
+  attach(octokit) {
+    this.endpoint = octokit.request.endpoint;
+    octokit.hook.wrap('request', (request, options) => this.handleRequest(request, options));
+  }
+
+  /**
+   * Send a request and record its outcome, or serve it from the fixtures
+   * @param {Function} request - Octokit request function
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Octokit response
+   */
+  async handleRequest(request, options) {
+    // endpoint.parse() leaves the body as an object; it is serialized when the request is sent
+    const { method, url, body } = this.endpoint.parse(options);
+    const key = { method, url, body: sortKeys(body ?? null) };
+
+    if (this.mode === 'replay') {
+      const entry = await this.store.replay(key, `${method} ${url}`);
+      if (entry.error) {
+        throw Object.assign(new Error(entry.error.message), {
+          status: entry.error.status,
+          response: entry.error.response
+        });
+      }
+      return entry.response;
+    }
+
+    try {
+      const response = await request(options);
+      await this.store.record(key, {
+        response: {
+          status: response.status,
+          url: response.url,
+          headers: response.headers,
+          data: response.data
+        }
+      });
+      return response;
+    } catch (error) {
+      // Network errors have no status and are not worth replaying
+      if (error.status) {
+        await this.store.record(key, {
+          error: {
+            status: error.status,
+            message: error.message,
+            response: error.response
+              ? { status: error.response.status, headers: error.response.headers, data: error.response.data }
+              : null
+          }
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get fixture statistics
+   * @returns {Object} { recorded, replayed }
+   */
+  getStats() {
+    return this.store.getStats();
+  }
+}
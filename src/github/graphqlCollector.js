@@ -0,0 +1,534 @@
+import chalk from 'chalk';
+import pLimit from 'p-limit';
+import {
+  fetchReviewsForPR,
+  fetchReviewCommentsForPR,
+  fetchDiscussionCommentsForPR,
+  findFirstReviewAt,
+  findTruncatedCounts
+} from './reviews.js';
+import { processCommitFiles } from './commits.js';
+import { isIncluded } from '../utils/patternMatcher.js';
+import { toReportingDate, getReportingDayStart, getReportingDayEnd } from '../utils/dateUtils.js';
+
+const COMMIT_HISTORY_QUERY = `
+  query($owner: String!, $repo: String!, $branch: String!, $since: GitTimestamp!, $until: GitTimestamp!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      ref(qualifiedName: $branch) {
+        target {
+          ... on Commit {
+            history(first: 100, since: $since, until: $until, after: $cursor) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                oid
+                message
+                committedDate
+                additions
+                deletions
+                parents {
+                  totalCount
+                }
+                author {
+                  name
+                  email
+                  date
+                  user {
+                    login
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const BRANCHES_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      defaultBranchRef {
+        name
+      }
+      refs(refPrefix: "refs/heads/", first: 100, after: $cursor) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          name
+        }
+      }
+    }
+  }
+`;
+
+const PULL_REQUESTS_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(first: 25, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          number
+          title
+          state
+          createdAt
+          updatedAt
+          mergedAt
+          closedAt
+          isDraft
+          additions
+          deletions
+          changedFiles
+          url
+          author {
+            __typename
+            login
+          }
+          mergedBy {
+            __typename
+            login
+          }
+          reviews(first: 50) {
+            totalCount
+            nodes {
+              databaseId
+              state
+              body
+              submittedAt
+              commit {
+                oid
+              }
+              author {
+                __typename
+                login
+              }
+              comments(first: 50) {
+                totalCount
+                nodes {
+                  databaseId
+                  body
+                  path
+                  line
+                  createdAt
+                  updatedAt
+                  author {
+                    __typename
+                    login
+                  }
+                }
+              }
+            }
+          }
+          comments(first: 100) {
+            totalCount
+            nodes {
+              databaseId
+              body
+              createdAt
+              updatedAt
+              author {
+                __typename
+                login
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Convert a GraphQL actor to the login the REST API would report
+ * (REST appends "[bot]" to app logins, GraphQL does not)
+ * @param {Object|null} actor - GraphQL actor { __typename, login }
+ * @returns {string} Login or 'Unknown'
+ */
+function toRestLogin(actor) {
+  if (!actor?.login) {
+    return 'Unknown';
+  }
+  return actor.__typename === 'Bot' ? `${actor.login}[bot]` : actor.login;
+}
+
+/**
+ * GitHub GraphQL client that collects weekly commit, PR and review data in batched
+ * queries, producing the same processed shapes as the REST collectors
+ */
+export class GitHubGraphQLCollector {
+  constructor(client) {
+    if (!client) {
+      throw new Error('GitHub client is required');
+    }
+    this.client = client;
+    this.graphql = client.octokit.graphql;
+  }
+
+  /**
+   * Run a GraphQL query and count it as an API request
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Query response
+   */
+  async query(query, variables) {
+    const response = await this.graphql(query, variables);
+    this.client.requestCount++;
+    return response;
+  }
+
+  /**
+   * Get the default branch and all branch names of a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Object>} { defaultBranch, branches }
+   */
+  async fetchBranches(owner, repo) {
+    const branches = [];
+    let defaultBranch = null;
+    let hasNextPage = true;
+    let cursor = null;
+
+    while (hasNextPage) {
+      const response = await this.query(BRANCHES_QUERY, { owner, repo, cursor });
+      const refs = response.repository?.refs;
+      defaultBranch = response.repository?.defaultBranchRef?.name || null;
+      if (!refs) {
+        break;
+      }
+
+      branches.push(...refs.nodes.map(ref => ref.name));
+      hasNextPage = refs.pageInfo.hasNextPage;
+      cursor = refs.pageInfo.endCursor;
+    }
+
+    return { defaultBranch, branches };
+  }
+
+  /**
+   * Fetch commits with line stats in a date range from the default branch, or from
+   * the default branch plus every branch passing the filter (de-duplicated by SHA)
+   * Commit history has no per-file stats; with commitFiles each commit's files (for the
+   * language breakdown and generated-file exclusion) come from the REST commit details.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (ISO 8601)
+   * @param {string} until - End date (ISO 8601)
+   * @param {Object} options - { allBranches, branches: { include, exclude }, commitFiles }
+   * @returns {Promise<Array>} Array of processed commits
+   */
+  async fetchCommits(owner, repo, since, until, options = {}) {
+    const { defaultBranch, branches } = await this.fetchBranches(owner, repo);
+    if (!defaultBranch) {
+      return [];
+    }
+
+    const selectedBranches = options.allBranches
+      ? [defaultBranch, ...branches.filter(name => name !== defaultBranch && isIncluded(name, options.branches))]
+      : [defaultBranch];
+
+    // A commit reachable from several branches is counted once
+    const uniqueCommits = new Map();
+    for (const branch of selectedBranches) {
+      const branchCommits = await this.fetchBranchCommits(owner, repo, branch, since, until);
+      for (const commit of branchCommits) {
+        if (!uniqueCommits.has(commit.sha)) {
+          uniqueCommits.set(commit.sha, commit);
+        }
+      }
+    }
+
+    const commits = [...uniqueCommits.values()];
+    if (!options.commitFiles) {
+      return commits.map(commit => ({ ...commit, files: [] }));
+    }
+
+    const details = await Promise.all(
+      commits.map(commit => this.client.getCommitDetails(owner, repo, commit.sha))
+    );
+    return commits.map((commit, index) => ({ ...commit, files: processCommitFiles(details[index]?.files) }));
+  }
+
+  /**
+   * Fetch commits with line stats in a date range from one branch
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @param {string} since - Start date (ISO 8601)
+   * @param {string} until - End date (ISO 8601)
+   * @returns {Promise<Array>} Array of processed commits
+   */
+  async fetchBranchCommits(owner, repo, branch, since, until) {
+    const processed = [];
+    let hasNextPage = true;
+    let cursor = null;
+
+    while (hasNextPage) {
+      const response = await this.query(COMMIT_HISTORY_QUERY, {
+        owner,
+        repo,
+        branch: `refs/heads/${branch}`,
+        since: getReportingDayStart(since),
+        until: getReportingDayEnd(until),
+        cursor
+      });
+
+      const history = response.repository?.ref?.target?.history;
+      if (!history) {
+        break;
+      }
+
+      for (const commit of history.nodes) {
+        // Skip merge commits (they have multiple parents)
+        if (commit.parents.totalCount > 1) {
+          continue;
+        }
+
+        processed.push({
+          repository: `${owner}/${repo}`,
+          sha: commit.oid,
+          author: commit.author?.name || 'Unknown',
+          authorLogin: commit.author?.user?.login || null,
+          email: commit.author?.email || null,
+          date: commit.author?.date || null,
+          committedAt: commit.committedDate || null,
+          message: commit.message || '',
+          additions: commit.additions || 0,
+          deletions: commit.deletions || 0
+        });
+      }
+
+      hasNextPage = history.pageInfo.hasNextPage;
+      cursor = history.pageInfo.endCursor;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Fetch PRs created in a date range, and every PR updated since its start
+   * (activePRs) with its lifecycle fields, reviews and comments
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - Start date (YYYY-MM-DD)
+   * @param {string} until - End date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { prs, activePRs, reviews, reviewComments, discussionComments, truncatedPRs }
+   */
+  async fetchPullRequests(owner, repo, since, until) {
+    const repository = `${owner}/${repo}`;
+    const prs = [];
+    const activePRs = [];
+    const reviews = [];
+    const reviewComments = [];
+    const discussionComments = [];
+    const truncatedPRs = [];
+    let hasNextPage = true;
+    let cursor = null;
+
+    while (hasNextPage) {
+      const response = await this.query(PULL_REQUESTS_QUERY, { owner, repo, cursor });
+      const connection = response.repository?.pullRequests;
+      if (!connection) {
+        break;
+      }
+
+      let reachedSince = false;
+      for (const pr of connection.nodes) {
+        // Reviews and comments bump updatedAt, so older PRs reviewed this week are included
+        if (toReportingDate(pr.updatedAt) < since) {
+          reachedSince = true;
+          break;
+        }
+
+        const prAuthor = toRestLogin(pr.author);
+        const prContext = { repository, prNumber: pr.number, prAuthor };
+
+        const pullRequest = {
+          repository,
+          number: pr.number,
+          author: prAuthor,
+          authorType: pr.author?.__typename || null,
+          createdAt: pr.createdAt,
+          updatedAt: pr.updatedAt,
+          mergedAt: pr.mergedAt,
+          closedAt: pr.closedAt,
+          draft: pr.isDraft,
+          title: pr.title || '',
+          state: pr.state === 'OPEN' ? 'open' : 'closed',
+          url: pr.url,
+          additions: pr.additions,
+          deletions: pr.deletions,
+          changedFiles: pr.changedFiles,
+          mergedBy: pr.mergedBy ? toRestLogin(pr.mergedBy) : null
+        };
+        activePRs.push(pullRequest);
+        const created = toReportingDate(pr.createdAt);
+        if (created >= since && created <= until) {
+          prs.push(pullRequest);
+        }
+
+        const prReviews = [];
+        const prReviewComments = [];
+
+        for (const review of pr.reviews.nodes) {
+          prReviews.push({
+            id: review.databaseId,
+            reviewer: toRestLogin(review.author),
+            reviewerType: review.author?.__typename || null,
+            state: review.state,
+            body: review.body || '',
+            submittedAt: review.submittedAt,
+            commitId: review.commit?.oid || null,
+            ...prContext
+          });
+
+          for (const comment of review.comments.nodes) {
+            prReviewComments.push({
+              id: comment.databaseId,
+              author: toRestLogin(comment.author),
+              authorType: comment.author?.__typename || null,
+              body: comment.body || '',
+              path: comment.path,
+              line: comment.line,
+              createdAt: comment.createdAt,
+              updatedAt: comment.updatedAt,
+              ...prContext
+            });
+          }
+        }
+
+        const prDiscussionComments = pr.comments.nodes.map(comment => ({
+          id: comment.databaseId,
+          author: toRestLogin(comment.author),
+          authorType: comment.author?.__typename || null,
+          body: comment.body || '',
+          createdAt: comment.createdAt,
+          updatedAt: comment.updatedAt,
+          ...prContext
+        }));
+
+        // Review comment total is a lower bound when the reviews themselves are cut off
+        const totals = {
+          reviews: pr.reviews.totalCount,
+          reviewComments: pr.reviews.nodes.reduce((sum, review) => sum + review.comments.totalCount, 0),
+          discussionComments: pr.comments.totalCount
+        };
+        const truncated = findTruncatedCounts({
+          reviews: prReviews.length,
+          reviewComments: prReviewComments.length,
+          discussionComments: prDiscussionComments.length
+        }, totals);
+
+        if (truncated.length > 0) {
+          // Busy PR: page through its full history over REST instead
+          const full = await this.fetchFullReviewData(owner, repo, pr.number, prContext);
+          const remaining = findTruncatedCounts({
+            reviews: full.reviews.length,
+            reviewComments: full.reviewComments.length,
+            discussionComments: full.discussionComments.length
+          }, totals);
+
+          pullRequest.firstReviewAt = findFirstReviewAt(full.reviews, prAuthor);
+          reviews.push(...full.reviews);
+          reviewComments.push(...full.reviewComments);
+          discussionComments.push(...full.discussionComments);
+          if (remaining.length > 0) {
+            truncatedPRs.push({ ...prContext, truncated: remaining });
+          }
+        } else {
+          pullRequest.firstReviewAt = findFirstReviewAt(prReviews, prAuthor);
+          reviews.push(...prReviews);
+          reviewComments.push(...prReviewComments);
+          discussionComments.push(...prDiscussionComments);
+        }
+      }
+
+      hasNextPage = !reachedSince && connection.pageInfo.hasNextPage;
+      cursor = connection.pageInfo.endCursor;
+    }
+
+    return { prs, activePRs, reviews, reviewComments, discussionComments, truncatedPRs };
+  }
+
+  /**
+   * Fetch every review and comment on a PR through the paginated REST endpoints
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - PR number
+   * @param {Object} prContext - { repository, prNumber, prAuthor } added to each item
+   * @returns {Promise<Object>} { reviews, reviewComments, discussionComments }
+   */
+  async fetchFullReviewData(owner, repo, pullNumber, prContext) {
+    const [reviews, reviewComments, discussionComments] = await Promise.all([
+      fetchReviewsForPR(this.client, owner, repo, pullNumber),
+      fetchReviewCommentsForPR(this.client, owner, repo, pullNumber),
+      fetchDiscussionCommentsForPR(this.client, owner, repo, pullNumber)
+    ]);
+
+    return {
+      reviews: reviews.map(r => ({ ...r, ...prContext })),
+      reviewComments: reviewComments.map(c => ({ ...c, ...prContext })),
+      discussionComments: discussionComments.map(c => ({ ...c, ...prContext }))
+    };
+  }
+}
+
+/**
+ * Fetch commits, PRs and review data from all repositories using GraphQL
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Array} repositories - Array of { owner, repo } objects
+ * @param {string} since - Start date (ISO 8601)
+ * @param {string} until - End date (ISO 8601)
+ * @param {boolean} allBranches - If true, collect commits from all branches instead of only the default one
+ * @param {boolean} commitFiles - If true, fetch each commit's changed files (one REST request per commit)
+ * @returns {Promise<Object>} { commits, prs, activePRs, reviewData: { reviews, reviewComments, discussionComments, truncatedPRs } }
+ */
+export async function fetchWeekDataGraphQL(client, repositories, since, until, allBranches = false, commitFiles = false) {
+  const collector = new GitHubGraphQLCollector(client);
+  const limit = pLimit(client.concurrency);
+
+  const results = await Promise.all(repositories.map(({ owner, repo, branches }, i) => limit(async () => {
+    console.log(chalk.blue(`[${i + 1}/${repositories.length}]`));
+    console.log(chalk.cyan(`Fetching activity from ${owner}/${repo} (GraphQL)...`));
+
+    await client.checkAndWaitForRateLimit();
+
+    try {
+      const repoCommits = await collector.fetchCommits(owner, repo, since, until, { allBranches, branches, commitFiles });
+      const repoData = await collector.fetchPullRequests(owner, repo, since, until);
+
+      console.log(chalk.green(
+        `  ✓ Found ${repoCommits.length} commits, ${repoData.prs.length} pull requests, ` +
+        `${repoData.reviews.length} reviews, ${repoData.reviewComments.length + repoData.discussionComments.length} comments in ${owner}/${repo}`
+      ));
+
+      return { commits: repoCommits, ...repoData };
+    } catch (error) {
+      console.error(
+        chalk.red(`Error fetching GraphQL data from ${owner}/${repo}:`),
+        error.message
+      );
+      client.recordFailure(`${owner}/${repo}`, 'graphql', error);
+      return { commits: [], prs: [], activePRs: [], reviews: [], reviewComments: [], discussionComments: [], truncatedPRs: [] };
+    }
+  })));
+
+  return {
+    commits: results.flatMap(r => r.commits),
+    prs: results.flatMap(r => r.prs),
+    activePRs: results.flatMap(r => r.activePRs),
+    reviewData: {
+      reviews: results.flatMap(r => r.reviews),
+      reviewComments: results.flatMap(r => r.reviewComments),
+      discussionComments: results.flatMap(r => r.discussionComments),
+      truncatedPRs: results.flatMap(r => r.truncatedPRs)
+    }
+  };
+}
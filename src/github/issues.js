@@ -0,0 +1,170 @@
+import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { issueCategories } from '../config/issueCategories.js';
+import { matchesAnyPattern } from '../utils/patternMatcher.js';
+import { canonicalLogin } from '../utils/identityRegistry.js';
+import { toReportingDate } from '../utils/dateUtils.js';
+
+/**
+ * Pick an issue's category from its labels (first matching category wins)
+ * @param {Array<string>} labels - Label names
+ * @returns {string} Category name, or 'other'
+ */
+export function categorizeIssue(labels = []) {
+  const normalized = labels.map(label => label.toLowerCase());
+  const match = issueCategories.find(({ labels: patterns }) =>
+    normalized.some(label => matchesAnyPattern(label, patterns))
+  );
+  return match ? match.category : 'other';
+}
+
+/**
+ * Convert a REST issue to the processed shape used for issue metrics
+ * @param {Object} issue - Issue from the REST API (or embedded in an issue event)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Object} Processed issue
+ */
+function processIssue(issue, owner, repo) {
+  const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+  return {
+    repository: `${owner}/${repo}`,
+    number: issue.number,
+    author: issue.user?.login || 'Unknown',
+    authorType: issue.user?.type || null,
+    title: issue.title || '',
+    state: issue.state,
+    labels,
+    category: categorizeIssue(labels),
+    createdAt: issue.created_at,
+    closedAt: issue.closed_at || null,
+    url: issue.html_url
+  };
+}
+
+/**
+ * Fetch issue activity for a repository since a date
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Start date (ISO 8601)
+ * @returns {Promise<Object>} { issues, events, openIssues } where events are closed/reopened
+ *   events { repository, number, event, actor, actorType, createdAt, issue }
+ */
+export async function fetchIssueActivityForRepo(client, owner, repo, since) {
+  try {
+    const [issues, events, openIssues] = await Promise.all([
+      client.getIssuesUpdatedSince(owner, repo, since),
+      client.getIssueEventsSince(owner, repo, since),
+      client.getOpenIssueCount(owner, repo)
+    ]);
+
+    // The issues API includes pull requests; they are tracked separately
+    const processedIssues = issues
+      .filter(issue => !issue.pull_request)
+      .map(issue => processIssue(issue, owner, repo));
+
+    const processedEvents = events
+      .filter(event => ['closed', 'reopened'].includes(event.event) && event.issue && !event.issue.pull_request)
+      .map(event => ({
+        repository: `${owner}/${repo}`,
+        number: event.issue.number,
+        event: event.event,
+        actor: event.actor?.login || 'Unknown',
+        actorType: event.actor?.type || null,
+        createdAt: event.created_at,
+        issue: processIssue(event.issue, owner, repo)
+      }));
+
+    console.log(chalk.green(
+      `  ✓ Found ${processedIssues.length} issues with activity in ${owner}/${repo} (${openIssues} open)`
+    ));
+
+    return { issues: processedIssues, events: processedEvents, openIssues };
+  } catch (error) {
+    console.error(
+      chalk.red(`Error fetching issues from ${owner}/${repo}:`),
+      error.message
+    );
+    client.recordFailure(`${owner}/${repo}`, 'issues', error);
+    return { issues: [], events: [], openIssues: null };
+  }
+}
+
+/**
+ * Fetch issue activity from all repositories since a date
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Array} repositories - Array of { owner, repo } objects
+ * @param {string} since - Start date (ISO 8601)
+ * @returns {Promise<Object>} { issues, events, backlog: { repository: openIssues } }
+ */
+export async function fetchIssueActivityForDateRange(client, repositories, since) {
+  const limit = pLimit(client.concurrency);
+
+  const results = await Promise.all(
+    repositories.map(({ owner, repo }) => limit(() => fetchIssueActivityForRepo(client, owner, repo, since)))
+  );
+
+  const backlog = {};
+  repositories.forEach(({ owner, repo }, i) => {
+    if (results[i].openIssues !== null) {
+      backlog[`${owner}/${repo}`] = results[i].openIssues;
+    }
+  });
+
+  return {
+    issues: results.flatMap(result => result.issues),
+    events: results.flatMap(result => result.events),
+    backlog
+  };
+}
+
+/**
+ * Extract issue events that happened within a date range.
+ * Openings are attributed to the issue author, closes and reopens to whoever did them.
+ * @param {Object} issueActivity - { issues, events } from fetchIssueActivityForDateRange
+ * @param {string} since - Start date (YYYY-MM-DD or ISO 8601)
+ * @param {string} until - End date (YYYY-MM-DD or ISO 8601)
+ * @returns {Object} { opened, closed, reopened } arrays of
+ *   { user, repository, number, category, date } (closed also has hours from creation)
+ */
+export function getIssueEvents({ issues, events }, since, until) {
+  const startDate = toReportingDate(since);
+  const endDate = toReportingDate(until);
+  const inRange = (timestamp) => {
+    const date = toReportingDate(timestamp);
+    return date >= startDate && date <= endDate;
+  };
+
+  const opened = issues
+    .filter(issue => inRange(issue.createdAt))
+    .map(issue => ({
+      user: canonicalLogin(issue.author),
+      repository: issue.repository,
+      number: issue.number,
+      category: issue.category,
+      date: toReportingDate(issue.createdAt)
+    }));
+
+  const toEvent = (event) => ({
+    user: canonicalLogin(event.actor),
+    repository: event.repository,
+    number: event.number,
+    category: event.issue.category,
+    date: toReportingDate(event.createdAt)
+  });
+
+  const closed = events
+    .filter(event => event.event === 'closed' && inRange(event.createdAt))
+    .map(event => ({
+      ...toEvent(event),
+      hours: Math.round((new Date(event.createdAt) - new Date(event.issue.createdAt)) / 360000) / 10
+    }));
+
+  const reopened = events
+    .filter(event => event.event === 'reopened' && inRange(event.createdAt))
+    .map(toEvent);
+
+  return { opened, closed, reopened };
+}
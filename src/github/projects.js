@@ -1,13 +1,20 @@
 import chalk from 'chalk';
+import { GitHubClient } from './client.js';
 
 /**
  * GitHub Projects V2 GraphQL client for fetching kanban board data
  */
 export class GitHubProjectsClient {
-  constructor(octokit) {
-    if (!octokit) {
-      throw new Error('Octokit instance is required');
+  /**
+   * @param {Octokit|string|Object} auth - Authenticated Octokit instance (GitHubClient.octokit),
+   *   or a GitHub token or auth config from getAuthConfig() to build one with GitHubClient, so
+   *   GraphQL requests use the same server, token or GitHub App installation token as the REST client
+   */
+  constructor(auth) {
+    if (!auth) {
+      throw new Error('GitHub token, auth config or Octokit instance is required');
     }
+    const octokit = auth.graphql ? auth : new GitHubClient(auth).octokit;
     this.graphql = octokit.graphql.defaults({
       headers: { 'X-GitHub-Media-Type': 'github.v3+json' }
     });
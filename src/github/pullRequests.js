@@ -1,4 +1,31 @@
 import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { canonicalLogin } from '../utils/identityRegistry.js';
+import { toReportingDate } from '../utils/dateUtils.js';
+
+/**
+ * Convert a REST pull request to the processed shape used across collectors
+ * @param {Object} pr - Pull request from the REST API
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Object} Processed pull request
+ */
+export function processPR(pr, owner, repo) {
+  return {
+    repository: `${owner}/${repo}`,
+    number: pr.number,
+    author: pr.user?.login || 'Unknown',
+    authorType: pr.user?.type || null,
+    createdAt: pr.created_at,
+    updatedAt: pr.updated_at,
+    mergedAt: pr.merged_at || null,
+    closedAt: pr.closed_at || null,
+    draft: pr.draft || false,
+    title: pr.title || '',
+    state: pr.state,
+    url: pr.html_url
+  };
+}
 
 /**
  * Fetch pull requests for a specific repository within a date range
@@ -16,18 +43,10 @@ export async function fetchPRsForRepo(client, owner, repo, since) {
   try {
     const prs = await client.getPullRequests(owner, repo, since);
 
-    const processed = prs.map(pr => ({
-      repository: `${owner}/${repo}`,
-      number: pr.number,
-      author: pr.user?.login || 'Unknown',
-      createdAt: pr.created_at,
-      title: pr.title || '',
-      state: pr.state,
-      url: pr.html_url
-    }));
+    const processed = prs.map(pr => processPR(pr, owner, repo));
 
     console.log(
-      chalk.green(`  ✓ Found ${processed.length} pull requests`)
+      chalk.green(`  ✓ Found ${processed.length} pull requests in ${owner}/${repo}`)
     );
     return processed;
   } catch (error) {
@@ -35,6 +54,7 @@ export async function fetchPRsForRepo(client, owner, repo, since) {
       chalk.red(`Error fetching PRs from ${owner}/${repo}:`),
       error.message
     );
+    client.recordFailure(`${owner}/${repo}`, 'pull requests', error);
     return [];
   }
 }
@@ -47,17 +67,92 @@ export async function fetchPRsForRepo(client, owner, repo, since) {
  * @returns {Promise<Array>} Array of all PRs from all repos
  */
 export async function fetchPRsForDateRange(client, repositories, since) {
-  const allPRs = [];
+  const limit = pLimit(client.concurrency);
 
-  for (let i = 0; i < repositories.length; i++) {
-    const { owner, repo } = repositories[i];
-    console.log(chalk.blue(`[${i + 1}/${repositories.length}]`));
+  const results = await Promise.all(
+    repositories.map(({ owner, repo }, i) => limit(() => {
+      console.log(chalk.blue(`[${i + 1}/${repositories.length}]`));
+      return fetchPRsForRepo(client, owner, repo, since);
+    }))
+  );
 
-    const prs = await fetchPRsForRepo(client, owner, repo, since);
-    allPRs.push(...prs);
+  return results.flat();
+}
+
+/**
+ * Fetch PRs from all repositories that had any activity since a date,
+ * including PRs opened before it (used to find reviews given in the week)
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Array} repositories - Array of { owner, repo } objects
+ * @param {string} since - Start date (ISO 8601)
+ * @returns {Promise<Array>} Array of all active PRs from all repos
+ */
+export async function fetchActivePRsForDateRange(client, repositories, since) {
+  const limit = pLimit(client.concurrency);
+
+  const results = await Promise.all(
+    repositories.map(({ owner, repo }) => limit(async () => {
+      try {
+        const prs = await client.getPullRequestsUpdatedSince(owner, repo, since);
+        console.log(chalk.green(`  ✓ Found ${prs.length} PRs with activity in ${owner}/${repo}`));
+        return prs.map(pr => processPR(pr, owner, repo));
+      } catch (error) {
+        console.error(
+          chalk.red(`Error fetching active PRs from ${owner}/${repo}:`),
+          error.message
+        );
+        client.recordFailure(`${owner}/${repo}`, 'active pull requests', error);
+        return [];
+      }
+    }))
+  );
+
+  return results.flat();
+}
+
+/**
+ * Find PR lifecycle events (merges, unmerged closes, first reviews) within a date range.
+ * Events are attributed to the PR author on the day they happened.
+ * @param {Array} prs - Pull requests with createdAt, mergedAt, closedAt and firstReviewAt
+ * @param {string} since - Start date (YYYY-MM-DD or ISO 8601)
+ * @param {string} until - End date (YYYY-MM-DD or ISO 8601), inclusive
+ * @returns {Object} { merged, closedUnmerged, firstReviews } arrays of
+ *   { author, repository, number, date, hours }
+ */
+export function getPRLifecycleEvents(prs, since, until) {
+  const startDate = toReportingDate(since);
+  const endDate = toReportingDate(until);
+  const inRange = (timestamp) => {
+    const date = toReportingDate(timestamp);
+    return date >= startDate && date <= endDate;
+  };
+  const hoursSinceCreated = (pr, timestamp) =>
+    Math.round((new Date(timestamp) - new Date(pr.createdAt)) / 360000) / 10;
+  const toEvent = (pr, timestamp) => ({
+    author: canonicalLogin(pr.author),
+    repository: pr.repository,
+    number: pr.number,
+    date: toReportingDate(timestamp),
+    hours: hoursSinceCreated(pr, timestamp)
+  });
+
+  const merged = [];
+  const closedUnmerged = [];
+  const firstReviews = [];
+
+  for (const pr of prs) {
+    if (pr.mergedAt && inRange(pr.mergedAt)) {
+      merged.push(toEvent(pr, pr.mergedAt));
+    } else if (!pr.mergedAt && pr.closedAt && inRange(pr.closedAt)) {
+      closedUnmerged.push(toEvent(pr, pr.closedAt));
+    }
+
+    if (pr.firstReviewAt && inRange(pr.firstReviewAt)) {
+      firstReviews.push(toEvent(pr, pr.firstReviewAt));
+    }
   }
 
-  return allPRs;
+  return { merged, closedUnmerged, firstReviews };
 }
 
 /**
@@ -69,8 +164,8 @@ export function groupPRsByUserAndDate(prs) {
   const grouped = {};
 
   for (const pr of prs) {
-    const username = pr.author;
-    const dateStr = pr.createdAt.split('T')[0]; // Extract date portion
+    const username = canonicalLogin(pr.author);
+    const dateStr = toReportingDate(pr.createdAt); // Day in the reporting timezone
 
     if (!grouped[username]) {
       grouped[username] = {};
@@ -0,0 +1,203 @@
+import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { canonicalLogin } from '../utils/identityRegistry.js';
+import { toReportingDate } from '../utils/dateUtils.js';
+
+/**
+ * Check whether a timestamp falls within a date range (whole days)
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isWithinRange(timestamp, since, until) {
+  const date = toReportingDate(timestamp);
+  return date >= since && date <= until;
+}
+
+/**
+ * Find the PRs merged between a release and the one before it
+ * @param {Array} pullRequests - PRs from the REST API
+ * @param {string} previousPublishedAt - Previous release timestamp (exclusive), or null
+ * @param {string} publishedAt - Release timestamp (inclusive)
+ * @param {string} since - Start date used when there is no previous release
+ * @returns {Array} Array of { number, title, author, mergedAt, url }
+ */
+function findPRsInRelease(pullRequests, previousPublishedAt, publishedAt, since) {
+  const from = previousPublishedAt ? new Date(previousPublishedAt) : new Date(since);
+  const to = new Date(publishedAt);
+
+  return pullRequests
+    .filter(pr => pr.merged_at && new Date(pr.merged_at) > from && new Date(pr.merged_at) <= to)
+    .sort((a, b) => new Date(a.merged_at) - new Date(b.merged_at))
+    .map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      author: canonicalLogin(pr.user?.login || 'Unknown'),
+      mergedAt: pr.merged_at,
+      url: pr.html_url
+    }));
+}
+
+/**
+ * Fetch releases published in a date range, each linked to the PRs merged since the
+ * previous release
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of processed releases
+ */
+async function fetchReleases(client, owner, repo, since, until) {
+  // Newest first, ending with the last release before the period (if any)
+  const allReleases = await client.getReleasesSince(owner, repo, since);
+  const releases = allReleases.filter(release => isWithinRange(release.published_at, since, until));
+
+  if (releases.length === 0) {
+    return [];
+  }
+
+  // PRs merged since the oldest release's predecessor have been updated since then too
+  const oldest = allReleases[allReleases.indexOf(releases[releases.length - 1]) + 1];
+  const pullRequests = await client.getPullRequestsUpdatedSince(
+    owner,
+    repo,
+    toReportingDate(oldest?.published_at || since)
+  );
+
+  return releases.map(release => {
+    const previous = allReleases[allReleases.indexOf(release) + 1] || null;
+
+    return {
+      repository: `${owner}/${repo}`,
+      name: release.name || release.tag_name,
+      tagName: release.tag_name,
+      author: canonicalLogin(release.author?.login || 'Unknown'),
+      prerelease: release.prerelease,
+      publishedAt: release.published_at,
+      url: release.html_url,
+      previousTagName: previous?.tag_name || null,
+      pullRequests: findPRsInRelease(pullRequests, previous?.published_at, release.published_at, since)
+    };
+  });
+}
+
+/**
+ * Fetch tags pointing at commits made in a date range
+ * Tags carry no date of their own, so the tagged commit's date is used
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of { repository, name, sha, date }
+ */
+async function fetchTags(client, owner, repo, since, until) {
+  const tags = await client.getRecentTags(owner, repo);
+  const commits = await Promise.all(
+    tags.map(tag => client.getCommitDetails(owner, repo, tag.commit.sha))
+  );
+
+  const processed = [];
+  tags.forEach((tag, index) => {
+    const date = commits[index]?.commit?.committer?.date;
+    if (date && isWithinRange(date, since, until)) {
+      processed.push({
+        repository: `${owner}/${repo}`,
+        name: tag.name,
+        sha: tag.commit.sha,
+        date
+      });
+    }
+  });
+
+  return processed;
+}
+
+/**
+ * Fetch deployments created in a date range with their latest status
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of { repository, id, environment, ref, sha, creator, createdAt, state }
+ */
+async function fetchDeployments(client, owner, repo, since, until) {
+  const deployments = (await client.getDeploymentsSince(owner, repo, since))
+    .filter(deployment => isWithinRange(deployment.created_at, since, until));
+  const statuses = await Promise.all(
+    deployments.map(deployment => client.getLatestDeploymentStatus(owner, repo, deployment.id))
+  );
+
+  return deployments.map((deployment, index) => ({
+    repository: `${owner}/${repo}`,
+    id: deployment.id,
+    environment: deployment.environment,
+    ref: deployment.ref,
+    sha: deployment.sha,
+    creator: canonicalLogin(deployment.creator?.login || 'Unknown'),
+    createdAt: deployment.created_at,
+    state: statuses[index]?.state || 'pending'
+  }));
+}
+
+/**
+ * Fetch releases, tags and deployments for a repository in a date range
+ * Tags that belong to a release are only listed as the release
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} { releases, tags, deployments }
+ */
+export async function fetchReleaseActivityForRepo(client, owner, repo, since, until) {
+  try {
+    const [releases, tags, deployments] = await Promise.all([
+      fetchReleases(client, owner, repo, since, until),
+      fetchTags(client, owner, repo, since, until),
+      fetchDeployments(client, owner, repo, since, until)
+    ]);
+
+    const releaseTags = new Set(releases.map(release => release.tagName));
+    const plainTags = tags.filter(tag => !releaseTags.has(tag.name));
+
+    console.log(chalk.green(
+      `  ✓ Found ${releases.length} releases, ${plainTags.length} tags and ` +
+      `${deployments.length} deployments in ${owner}/${repo}`
+    ));
+
+    return { releases, tags: plainTags, deployments };
+  } catch (error) {
+    console.error(
+      chalk.red(`Error fetching releases from ${owner}/${repo}:`),
+      error.message
+    );
+    client.recordFailure(`${owner}/${repo}`, 'releases', error);
+    return { releases: [], tags: [], deployments: [] };
+  }
+}
+
+/**
+ * Fetch releases, tags and deployments from all repositories in a date range
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Array} repositories - Array of { owner, repo } objects
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} { releases, tags, deployments }
+ */
+export async function fetchReleaseActivityForDateRange(client, repositories, since, until) {
+  const limit = pLimit(client.concurrency);
+
+  const results = await Promise.all(
+    repositories.map(({ owner, repo }) => limit(() => fetchReleaseActivityForRepo(client, owner, repo, since, until)))
+  );
+
+  return {
+    releases: results.flatMap(result => result.releases),
+    tags: results.flatMap(result => result.tags),
+    deployments: results.flatMap(result => result.deployments)
+  };
+}
@@ -0,0 +1,88 @@
+import chalk from 'chalk';
+import { matchesAnyPattern } from '../utils/patternMatcher.js';
+
+/**
+ * Check whether an organization repository matches the discovery filters
+ * @param {Object} repository - Repository from the REST API
+ * @param {Object} discovery - Discovery config { namePatterns, topics, includeArchived }
+ * @returns {boolean}
+ */
+function matchesDiscoveryFilters(repository, { namePatterns = [], topics = [], includeArchived = false }) {
+  if (repository.archived && !includeArchived) {
+    return false;
+  }
+
+  const repositoryTopics = repository.topics || [];
+  return matchesAnyPattern(repository.name, namePatterns) ||
+    topics.some(topic => repositoryTopics.includes(topic));
+}
+
+/**
+ * Resolve the repositories to track from the explicit list and organization discovery
+ * Explicit entries are always tracked and keep their per-repo options (branches, generated);
+ * exclude patterns win over both. If discovery fails, the explicit list is used as is.
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Object} discovery - Discovery config { enabled, org, namePatterns, topics, includeArchived, exclude }
+ * @param {Array} explicitRepositories - Array of { owner, repo, ... } objects from the config
+ * @returns {Promise<Array>} Configured repositories followed by discovered ones (by name)
+ */
+export async function discoverRepositories(client, discovery, explicitRepositories) {
+  const exclude = discovery.exclude || [];
+  const isExcluded = ({ owner, repo }) =>
+    matchesAnyPattern(repo, exclude) || matchesAnyPattern(`${owner}/${repo}`, exclude);
+
+  const tracked = new Map(
+    explicitRepositories
+      .filter(repository => !isExcluded(repository))
+      .map(repository => [`${repository.owner}/${repository.repo}`, repository])
+  );
+
+  if (!discovery.enabled) {
+    return [...tracked.values()];
+  }
+
+  try {
+    const orgRepositories = await client.getOrgRepositories(discovery.org);
+    let discovered = 0;
+
+    const byName = [...orgRepositories].sort((a, b) => a.name.localeCompare(b.name));
+    for (const repository of byName) {
+      const entry = { owner: repository.owner?.login || discovery.org, repo: repository.name };
+      const key = `${entry.owner}/${entry.repo}`;
+
+      if (!tracked.has(key) && !isExcluded(entry) && matchesDiscoveryFilters(repository, discovery)) {
+        tracked.set(key, entry);
+        discovered++;
+      }
+    }
+
+    console.log(chalk.green(
+      `  ✓ Discovered ${discovered} repositories in ${discovery.org} beyond the ${explicitRepositories.length} configured`
+    ));
+  } catch (error) {
+    console.error(
+      chalk.red(`Error discovering repositories in ${discovery.org}:`),
+      error.message
+    );
+    console.log(chalk.yellow('  Falling back to the configured repository list'));
+    client.recordFailure(discovery.org, 'discovery', error);
+  }
+
+  return [...tracked.values()];
+}
+
+/**
+ * Compare two tracked repository lists
+ * @param {Array<string>} previous - 'owner/repo' names tracked previously
+ * @param {Array<string>} current - 'owner/repo' names tracked now
+ * @returns {Object} { added, dropped } arrays of 'owner/repo' names
+ */
+export function compareRepositoryLists(previous = [], current = []) {
+  const previousSet = new Set(previous);
+  const currentSet = new Set(current);
+
+  return {
+    added: current.filter(name => !previousSet.has(name)),
+    dropped: previous.filter(name => !currentSet.has(name))
+  };
+}
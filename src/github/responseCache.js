@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Commit details addressed by full SHA never change
+const IMMUTABLE_URL_PATTERN = /\/repos\/[^/]+\/[^/]+\/commits\/[0-9a-f]{40}(\?|$)/i;
+
+// Endpoints that must always hit the API
+const UNCACHED_URL_PATTERN = /\/rate_limit(\?|$)/;
+
+/**
+ * On-disk cache of GitHub REST responses using conditional requests.
+ * Stored ETag / Last-Modified values are sent back as If-None-Match /
+ * If-Modified-Since; a 304 reply is served from the cache and does not
+ * count against the rate limit.
+ */
+export class ResponseCache {
+  constructor(directory) {
+    if (!directory) {
+      throw new Error('Cache directory is required');
+    }
+
+    this.directory = directory;
+    this.stats = {
+      notModified: 0,
+      immutableHits: 0,
+      misses: 0
+    };
+  }
+
+  /**
+   * Install the cache as an Octokit request hook
+   * @param {Octokit} octokit - Octokit instance
+   */
+  attach(octokit) {
+    this.endpoint = octokit.request.endpoint;
+    octokit.hook.wrap('request', (request, options) => this.handleRequest(request, options));
+  }
+
+  /**
+   * Serve a request from the cache or revalidate it against GitHub
+   * @param {Function} request - Octokit request function
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Octokit response
+   */
+  async handleRequest(request, options) {
+    const { method, url } = this.endpoint.parse(options);
+
+    if (method !== 'GET' || UNCACHED_URL_PATTERN.test(url)) {
+      return request(options);
+    }
+
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    const entry = await this.read(key);
+
+    if (entry?.immutable) {
+      this.stats.immutableHits++;
+      return entry.response;
+    }
+
+    // Hooks share one options object, so validators are set in place
+    if (entry?.etag) {
+      options.headers['if-none-match'] = entry.etag;
+    } else if (entry?.lastModified) {
+      options.headers['if-modified-since'] = entry.lastModified;
+    }
+
+    try {
+      const response = await request(options);
+      this.stats.misses++;
+
+      await this.write(key, {
+        url,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        immutable: IMMUTABLE_URL_PATTERN.test(url),
+        response: {
+          status: response.status,
+          url: response.url,
+          headers: response.headers,
+          data: response.data
+        }
+      });
+
+      return response;
+    } catch (error) {
+      if (error.status === 304 && entry) {
+        this.stats.notModified++;
+        return entry.response;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cache entry or null if not cached
+   */
+  async read(key) {
+    try {
+      const content = await fs.readFile(this.getEntryPath(key), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      // Missing or corrupt entries are treated as cache misses
+      return null;
+    }
+  }
+
+  /**
+   * Write a cache entry (entries without validators are not worth keeping)
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   * @returns {Promise<void>}
+   */
+  async write(key, entry) {
+    if (!entry.etag && !entry.lastModified && !entry.immutable) {
+      return;
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.getEntryPath(key), JSON.stringify(entry), 'utf-8');
+  }
+
+  /**
+   * Get the file path for a cache key
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  getEntryPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} { notModified, immutableHits, misses, hits }
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      hits: this.stats.notModified + this.stats.immutableHits
+    };
+  }
+}
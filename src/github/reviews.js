@@ -1,4 +1,25 @@
 import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { canonicalLogin } from '../utils/identityRegistry.js';
+import { toReportingDate } from '../utils/dateUtils.js';
+
+/**
+ * Fetch every page of a list endpoint
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Function} method - Octokit REST method
+ * @param {Object} params - Request parameters
+ * @returns {Promise<Array>} All items across pages
+ */
+async function fetchAllPages(client, method, params) {
+  const items = [];
+
+  for await (const response of client.octokit.paginate.iterator(method, { ...params, per_page: 100 })) {
+    client.requestCount++;
+    items.push(...response.data);
+  }
+
+  return items;
+}
 
 /**
  * Fetch reviews for a specific pull request
@@ -12,18 +33,16 @@ export async function fetchReviewsForPR(client, owner, repo, pullNumber) {
   try {
     await client.checkAndWaitForRateLimit();
 
-    const response = await client.octokit.rest.pulls.listReviews({
+    const items = await fetchAllPages(client, client.octokit.rest.pulls.listReviews, {
       owner,
       repo,
-      pull_number: pullNumber,
-      per_page: 100
+      pull_number: pullNumber
     });
 
-    client.requestCount++;
-
-    return response.data.map(review => ({
+    return items.map(review => ({
       id: review.id,
       reviewer: review.user?.login || 'Unknown',
+      reviewerType: review.user?.type || null,
       state: review.state, // APPROVED, CHANGES_REQUESTED, COMMENTED, etc.
       body: review.body || '',
       submittedAt: review.submitted_at,
@@ -50,18 +69,16 @@ export async function fetchReviewCommentsForPR(client, owner, repo, pullNumber)
   try {
     await client.checkAndWaitForRateLimit();
 
-    const response = await client.octokit.rest.pulls.listReviewComments({
+    const items = await fetchAllPages(client, client.octokit.rest.pulls.listReviewComments, {
       owner,
       repo,
-      pull_number: pullNumber,
-      per_page: 100
+      pull_number: pullNumber
     });
 
-    client.requestCount++;
-
-    return response.data.map(comment => ({
+    return items.map(comment => ({
       id: comment.id,
       author: comment.user?.login || 'Unknown',
+      authorType: comment.user?.type || null,
       body: comment.body || '',
       path: comment.path,
       line: comment.line,
@@ -89,18 +106,16 @@ export async function fetchDiscussionCommentsForPR(client, owner, repo, pullNumb
   try {
     await client.checkAndWaitForRateLimit();
 
-    const response = await client.octokit.rest.issues.listComments({
+    const items = await fetchAllPages(client, client.octokit.rest.issues.listComments, {
       owner,
       repo,
-      issue_number: pullNumber,
-      per_page: 100
+      issue_number: pullNumber
     });
 
-    client.requestCount++;
-
-    return response.data.map(comment => ({
+    return items.map(comment => ({
       id: comment.id,
       author: comment.user?.login || 'Unknown',
+      authorType: comment.user?.type || null,
       body: comment.body || '',
       createdAt: comment.created_at,
       updatedAt: comment.updated_at
@@ -114,58 +129,180 @@ export async function fetchDiscussionCommentsForPR(client, owner, repo, pullNumb
   }
 }
 
+/**
+ * Fetch size, merger and comment totals for a pull request
+ * (only the single-PR endpoint has these; the REST API has no total for reviews)
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @returns {Promise<Object|null>} { additions, deletions, changedFiles, mergedBy, reviewComments, discussionComments } or null if not found
+ */
+export async function fetchPRDetailsForPR(client, owner, repo, pullNumber) {
+  try {
+    await client.checkAndWaitForRateLimit();
+
+    const response = await client.octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: pullNumber
+    });
+
+    client.requestCount++;
+
+    return {
+      additions: response.data.additions,
+      deletions: response.data.deletions,
+      changedFiles: response.data.changed_files,
+      mergedBy: response.data.merged_by?.login || null,
+      reviewComments: response.data.review_comments,
+      discussionComments: response.data.comments
+    };
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find when a PR first got a review from someone other than its author
+ * @param {Array} reviews - Reviews of the PR (with reviewer and submittedAt)
+ * @param {string} prAuthor - PR author login
+ * @returns {string|null} Earliest review timestamp or null if not reviewed yet
+ */
+export function findFirstReviewAt(reviews, prAuthor) {
+  const timestamps = reviews
+    .filter(r => r.submittedAt && canonicalLogin(r.reviewer) !== canonicalLogin(prAuthor))
+    .map(r => r.submittedAt)
+    .sort();
+
+  return timestamps[0] || null;
+}
+
+/**
+ * Compare fetched counts with the totals GitHub reports
+ * @param {Object} fetched - Fetched counts by kind, e.g. { reviews: 12 }
+ * @param {Object|null} totals - Reported totals by kind (kinds without a total are skipped)
+ * @returns {Array} Array of { kind, fetched, total } for each kind that came back short
+ */
+export function findTruncatedCounts(fetched, totals) {
+  if (!totals) {
+    return [];
+  }
+
+  return Object.entries(fetched)
+    .filter(([kind, count]) => Number.isInteger(totals[kind]) && count < totals[kind])
+    .map(([kind, count]) => ({ kind, fetched: count, total: totals[kind] }));
+}
+
 /**
  * Fetch all review data for PRs in a repository within a date range
  * @param {GitHubClient} client - GitHub API client
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {Array} prs - Array of PR objects with number, created_at, author
- * @returns {Promise<Object>} Object with reviews, reviewComments, discussionComments arrays
+ * @returns {Promise<Object>} Object with reviews, reviewComments, discussionComments, truncatedPRs arrays,
+ *   and pullRequests (the given PRs with size, merger and first review time added)
  */
 export async function fetchReviewDataForPRs(client, owner, repo, prs) {
   console.log(chalk.cyan(`Fetching review data for ${prs.length} PRs from ${owner}/${repo}...`));
 
-  const allReviews = [];
-  const allReviewComments = [];
-  const allDiscussionComments = [];
+  const limit = pLimit(client.concurrency);
 
-  for (const pr of prs) {
-    // Fetch reviews
-    const reviews = await fetchReviewsForPR(client, owner, repo, pr.number);
-    allReviews.push(...reviews.map(r => ({
-      ...r,
+  // Each PR's reviews, review comments and discussion comments are fetched together
+  const results = await Promise.all(prs.map(pr => limit(async () => {
+    const prContext = {
       repository: `${owner}/${repo}`,
       prNumber: pr.number,
       prAuthor: pr.author
-    })));
+    };
+
+    let reviews, reviewComments, discussionComments, details;
+    try {
+      [reviews, reviewComments, discussionComments, details] = await Promise.all([
+        fetchReviewsForPR(client, owner, repo, pr.number),
+        fetchReviewCommentsForPR(client, owner, repo, pr.number),
+        fetchDiscussionCommentsForPR(client, owner, repo, pr.number),
+        fetchPRDetailsForPR(client, owner, repo, pr.number)
+      ]);
+    } catch (error) {
+      console.error(
+        chalk.red(`Error fetching review data for PR #${pr.number} in ${owner}/${repo}:`),
+        error.message
+      );
+      client.recordFailure(`${owner}/${repo}`, `reviews for PR #${pr.number}`, error);
+      return { pullRequest: pr, reviews: [], reviewComments: [], discussionComments: [], truncatedPRs: [] };
+    }
 
-    // Fetch review comments (line-specific)
-    const reviewComments = await fetchReviewCommentsForPR(client, owner, repo, pr.number);
-    allReviewComments.push(...reviewComments.map(c => ({
-      ...c,
-      repository: `${owner}/${repo}`,
-      prNumber: pr.number,
-      prAuthor: pr.author
-    })));
+    const truncated = findTruncatedCounts(
+      { reviewComments: reviewComments.length, discussionComments: discussionComments.length },
+      details
+    );
+    if (truncated.length > 0) {
+      console.warn(chalk.yellow(`  PR #${pr.number} in ${owner}/${repo} returned fewer comments than GitHub reports`));
+    }
 
-    // Fetch discussion comments
-    const discussionComments = await fetchDiscussionCommentsForPR(client, owner, repo, pr.number);
-    allDiscussionComments.push(...discussionComments.map(c => ({
-      ...c,
-      repository: `${owner}/${repo}`,
-      prNumber: pr.number,
-      prAuthor: pr.author
-    })));
-  }
+    return {
+      pullRequest: {
+        ...pr,
+        additions: details?.additions ?? null,
+        deletions: details?.deletions ?? null,
+        changedFiles: details?.changedFiles ?? null,
+        mergedBy: details?.mergedBy ?? null,
+        firstReviewAt: findFirstReviewAt(reviews, pr.author)
+      },
+      reviews: reviews.map(r => ({ ...r, ...prContext })),
+      reviewComments: reviewComments.map(c => ({ ...c, ...prContext })),
+      discussionComments: discussionComments.map(c => ({ ...c, ...prContext })),
+      truncatedPRs: truncated.length > 0 ? [{ ...prContext, truncated }] : []
+    };
+  })));
+
+  const allReviews = results.flatMap(r => r.reviews);
+  const allReviewComments = results.flatMap(r => r.reviewComments);
+  const allDiscussionComments = results.flatMap(r => r.discussionComments);
+  const truncatedPRs = results.flatMap(r => r.truncatedPRs);
+  const pullRequests = results.map(r => r.pullRequest);
 
   console.log(chalk.green(
-    `  ✓ Found ${allReviews.length} reviews, ${allReviewComments.length} review comments, ${allDiscussionComments.length} discussion comments`
+    `  ✓ Found ${allReviews.length} reviews, ${allReviewComments.length} review comments, ${allDiscussionComments.length} discussion comments in ${owner}/${repo}`
   ));
 
   return {
     reviews: allReviews,
     reviewComments: allReviewComments,
-    discussionComments: allDiscussionComments
+    discussionComments: allDiscussionComments,
+    truncatedPRs,
+    pullRequests
+  };
+}
+
+/**
+ * Keep only reviews and comments made within a date range, judged by their own
+ * timestamps rather than when the PR was opened (pending reviews are dropped)
+ * @param {Object} reviewData - { reviews, reviewComments, discussionComments, ... }
+ * @param {string} since - Start date (YYYY-MM-DD or ISO 8601)
+ * @param {string} until - End date (YYYY-MM-DD or ISO 8601), inclusive
+ * @returns {Object} Review data with the same shape, filtered to the range
+ */
+export function filterReviewDataByDateRange(reviewData, since, until) {
+  const startDate = toReportingDate(since);
+  const endDate = toReportingDate(until);
+  const inRange = (timestamp) => {
+    if (!timestamp) {
+      return false;
+    }
+    const date = toReportingDate(timestamp);
+    return date >= startDate && date <= endDate;
+  };
+
+  return {
+    ...reviewData,
+    reviews: reviewData.reviews.filter(r => inRange(r.submittedAt)),
+    reviewComments: reviewData.reviewComments.filter(c => inRange(c.createdAt)),
+    discussionComments: reviewData.discussionComments.filter(c => inRange(c.createdAt))
   };
 }
 
@@ -178,8 +315,8 @@ export function countReviewsByUserAndDate(reviews) {
   const stats = {};
 
   for (const review of reviews) {
-    const reviewer = review.reviewer;
-    const dateStr = review.submittedAt.split('T')[0];
+    const reviewer = canonicalLogin(review.reviewer);
+    const dateStr = toReportingDate(review.submittedAt);
 
     if (!stats[reviewer]) {
       stats[reviewer] = {};
@@ -204,8 +341,8 @@ export function countReviewCommentsByUserAndDate(comments) {
   const stats = {};
 
   for (const comment of comments) {
-    const author = comment.author;
-    const dateStr = comment.createdAt.split('T')[0];
+    const author = canonicalLogin(comment.author);
+    const dateStr = toReportingDate(comment.createdAt);
 
     if (!stats[author]) {
       stats[author] = {};
@@ -230,8 +367,8 @@ export function countDiscussionCommentsByUserAndDate(comments) {
   const stats = {};
 
   for (const comment of comments) {
-    const author = comment.author;
-    const dateStr = comment.createdAt.split('T')[0];
+    const author = canonicalLogin(comment.author);
+    const dateStr = toReportingDate(comment.createdAt);
 
     if (!stats[author]) {
       stats[author] = {};
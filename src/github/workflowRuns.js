@@ -0,0 +1,113 @@
+import chalk from 'chalk';
+import pLimit from 'p-limit';
+
+// Check and workflow conclusions that count as a failed build
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+/**
+ * Classify a workflow run conclusion
+ * @param {string} conclusion - Run conclusion from the Actions API
+ * @returns {string} 'success', 'failure', 'cancelled' or 'other' (skipped, neutral, ...)
+ */
+function getOutcome(conclusion) {
+  if (conclusion === 'success') return 'success';
+  if (FAILED_CONCLUSIONS.includes(conclusion)) return 'failure';
+  if (conclusion === 'cancelled') return 'cancelled';
+  return 'other';
+}
+
+/**
+ * Convert a REST workflow run to the processed shape used for CI health metrics
+ * @param {Object} run - Workflow run from the Actions API
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Object} Processed workflow run
+ */
+function processWorkflowRun(run, owner, repo) {
+  // updated_at is when the latest attempt finished
+  const startedAt = run.run_started_at || run.created_at;
+  const durationMinutes = Math.round((new Date(run.updated_at) - new Date(startedAt)) / 6000) / 10;
+
+  return {
+    repository: `${owner}/${repo}`,
+    id: run.id,
+    workflow: run.name || `workflow ${run.workflow_id}`,
+    event: run.event,
+    branch: run.head_branch,
+    conclusion: run.conclusion,
+    outcome: getOutcome(run.conclusion),
+    attempt: run.run_attempt || 1,
+    createdAt: run.created_at,
+    durationMinutes
+  };
+}
+
+/**
+ * Fetch completed GitHub Actions workflow runs for a repository in a date range
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of processed workflow runs
+ */
+export async function fetchWorkflowRunsForRepo(client, owner, repo, since, until) {
+  try {
+    const runs = await client.getWorkflowRuns(owner, repo, since, until);
+
+    // Runs still queued or in progress have no outcome yet
+    const processed = runs
+      .filter(run => run.status === 'completed')
+      .map(run => processWorkflowRun(run, owner, repo));
+
+    console.log(chalk.green(`  ✓ Found ${processed.length} workflow runs in ${owner}/${repo}`));
+    return processed;
+  } catch (error) {
+    console.error(
+      chalk.red(`Error fetching workflow runs from ${owner}/${repo}:`),
+      error.message
+    );
+    client.recordFailure(`${owner}/${repo}`, 'workflow runs', error);
+    return [];
+  }
+}
+
+/**
+ * Fetch completed workflow runs from all repositories in a date range
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Array} repositories - Array of { owner, repo } objects
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of all processed workflow runs
+ */
+export async function fetchWorkflowRunsForDateRange(client, repositories, since, until) {
+  const limit = pLimit(client.concurrency);
+
+  const results = await Promise.all(
+    repositories.map(({ owner, repo }) => limit(() => fetchWorkflowRunsForRepo(client, owner, repo, since, until)))
+  );
+
+  return results.flat();
+}
+
+/**
+ * Summarize the check runs on a commit
+ * @param {Array} checkRuns - Check runs from the Checks API
+ * @returns {Object} { state: 'failing' | 'pending' | 'passing' | 'none', failing: [check names] }
+ */
+export function summarizeCheckRuns(checkRuns = []) {
+  const failing = checkRuns
+    .filter(check => FAILED_CONCLUSIONS.includes(check.conclusion))
+    .map(check => check.name);
+
+  let state = 'none';
+  if (failing.length > 0) {
+    state = 'failing';
+  } else if (checkRuns.some(check => check.status !== 'completed')) {
+    state = 'pending';
+  } else if (checkRuns.length > 0) {
+    state = 'passing';
+  }
+
+  return { state, failing: [...new Set(failing)] };
+}
@@ -1,40 +1,33 @@
 import dotenv from 'dotenv';
 import chalk from 'chalk';
+import pLimit from 'p-limit';
 import { GitHubClient } from './github/client.js';
+import { fetchCommitsForDateRange } from './github/commits.js';
+import { fetchActivePRsForDateRange } from './github/pullRequests.js';
 import {
-  fetchCommitsForDateRange,
-  aggregateCommitStats
-} from './github/commits.js';
-import {
-  fetchPRsForDateRange,
-  countPRsByUserAndDate
-} from './github/pullRequests.js';
-import {
-  createEmptyWeekStructure,
-  addCommitToData,
-  addPRToData,
-  addMetricsToRepository,
-  mergeWithExisting,
   getMissingDates,
-  getWeekStatistics,
-  calculateWeeklyTotals
+  getWeekStatistics
 } from './storage/dataAggregator.js';
 import {
   loadWeekData,
   saveWeekData,
-  weekFileExists,
-  listWeekFiles,
-  getPreviousWeek
+  listWeekFiles
 } from './storage/fileManager.js';
 import {
   getCurrentWeek,
   getWeekDateRange,
   getAllDatesInWeek,
-  formatWeekString
+  formatWeekString,
+  parseWeekString,
+  getPreviousWeek
 } from './utils/weekCalculator.js';
-import { repositories, startDate, outputDirectory, kanbanOutputDirectory } from './config/repositories.js';
+import { repositories, repositoryDiscovery, startDate, outputDirectory, kanbanOutputDirectory } from './config/repositories.js';
 import { parseArguments, describeWeek } from './cli/argumentParser.js';
 import { runBackfill } from './cli/backfillManager.js';
+import { runWebhookServer } from './webhooks/webhookServer.js';
+import { rebucketWeeks } from './cli/timezoneMigration.js';
+import { rebuildFromLedger, rebuildWeek } from './cli/ledgerRebuild.js';
+import { listUnresolvedIdentities, rewriteIdentities } from './cli/identityManager.js';
 import { generateDashboardHTML } from './reports/dashboardGenerator.js';
 import { collectKanbanSnapshot } from './kanban/snapshotCollector.js';
 import { generateKanbanDashboard } from './kanban/dashboardGenerator.js';
@@ -43,8 +36,19 @@ import { generateOpenPRsPage } from './openPrs/openPrsHtmlGenerator.js';
 import { sendWeeklyEmailReport } from './email/emailOrchestrator.js';
 import { sendEnhancedWeeklyEmailReport } from './email/emailOrchestratorEnhanced.js';
 import { getEmailConfig } from './config/emailConfig.js';
-import { fetchReviewDataForPRs, countReviewsByUserAndDate, countReviewCommentsByUserAndDate, countDiscussionCommentsByUserAndDate } from './github/reviews.js';
-import { addReviewToData, addReviewCommentsToData, addDiscussionCommentsToData } from './storage/dataAggregator.js';
+import { getCollectionConfig } from './config/collectionConfig.js';
+import { getAuthConfig } from './config/authConfig.js';
+import { getTimezoneConfig } from './config/timezoneConfig.js';
+import { toReportingDate } from './utils/dateUtils.js';
+import { fetchWeekDataGraphQL } from './github/graphqlCollector.js';
+import { fetchIssueActivityForDateRange } from './github/issues.js';
+import { fetchReleaseActivityForDateRange } from './github/releases.js';
+import { fetchWorkflowRunsForDateRange } from './github/workflowRuns.js';
+import { discoverRepositories, compareRepositoryLists } from './github/repositoryDiscovery.js';
+import { fetchReviewDataForPRs } from './github/reviews.js';
+import { buildWeekFromLedger } from './storage/activityAggregator.js';
+import { EventLedger } from './storage/eventLedger.js';
+import { getLedgerConfig } from './config/ledgerConfig.js';
 import { saveEnrichedWeekData, buildEnrichedData } from './storage/enrichedDataManager.js';
 import { runAIAnalysis } from './ai/analysisWorkflow.js';
 import { runDailySummary } from './dailySummary.js';
@@ -54,7 +58,6 @@ import fs from 'fs/promises';
 // Load environment variables
 dotenv.config();
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_MODEL_CONFIG = {
   extraction: process.env.OPENAI_MODEL_EXTRACTION || 'gpt-4o-mini',
@@ -66,27 +69,24 @@ const OPENAI_MODEL_CONFIG = {
  */
 async function runCLI() {
   try {
-    // Parse command-line arguments first (before token check)
+    // Parse command-line arguments first (before credentials check)
     const args = parseArguments();
 
     console.log(chalk.bold.cyan('\n🔍 SSN GitHub Data Collector\n'));
 
     // Daily standup route
     if (args.dailyStandup) {
-      if (!GITHUB_TOKEN) {
-        console.error(chalk.red('❌ Error: GITHUB_TOKEN not found in .env file'));
-        process.exit(1);
-      }
+      const githubAuth = getAuthConfig();
       const githubUsername = process.env.GITHUB_USERNAME;
       if (!githubUsername) {
         console.error(chalk.red('❌ Error: GITHUB_USERNAME not found in .env file'));
         process.exit(1);
       }
-      await runDailySummary(args.date, GITHUB_TOKEN, githubUsername, true);
+      await runDailySummary(args.date, githubAuth, githubUsername, true);
       return;
     }
 
-    // Send email route (doesn't need GITHUB_TOKEN)
+    // Send email route (doesn't need GitHub credentials)
     if (args.sendEmail) {
       const emailConfig = getEmailConfig();
       console.log(chalk.bold.cyan('📧 Sending Weekly Email Report\n'));
@@ -96,14 +96,28 @@ async function runCLI() {
       return;
     }
 
-    // Validate GitHub token for all other routes
-    if (!GITHUB_TOKEN) {
-      console.error(
-        chalk.red('❌ Error: GITHUB_TOKEN not found in .env file')
-      );
-      process.exit(1);
+    // Identity registry routes (work on stored week files only)
+    if (args.identities || args.rewriteIdentities) {
+      if (args.rewriteIdentities) {
+        await rewriteIdentities(outputDirectory, args.dryRun);
+      } else {
+        await listUnresolvedIdentities(outputDirectory);
+      }
+      console.log(chalk.green('\n✓ Complete!\n'));
+      return;
+    }
+
+    // Ledger rebuild route (works on the event ledger only)
+    if (args.rebuild) {
+      const weekGiven = process.argv.indexOf('--week') !== -1;
+      await rebuildFromLedger(outputDirectory, weekGiven ? args.week : null);
+      console.log(chalk.green('\n✓ Complete!\n'));
+      return;
     }
 
+    // Validate GitHub credentials (token or GitHub App) for all other routes
+    const githubAuth = getAuthConfig();
+
     // Route based on arguments
     // Open PRs dashboard
     if (args.openPrs) {
@@ -111,7 +125,7 @@ async function runCLI() {
     }
     // Kanban snapshot collection
     else if (args.kanbanSnapshot) {
-      await collectKanbanSnapshot(args.date, GITHUB_TOKEN);
+      await collectKanbanSnapshot(args.date, githubAuth);
 
       // Optionally generate dashboard after snapshot
       if (args.generateKanbanDashboard) {
@@ -131,6 +145,12 @@ async function runCLI() {
     } else if (args.backfill) {
       // Interactive backfill mode
       await runBackfill(outputDirectory, fetchWeekData);
+    } else if (args.rebucketTimezone) {
+      // Re-collect week files bucketed in another timezone
+      await rebucketWeeks(outputDirectory, fetchWeekData, args.dryRun);
+    } else if (args.webhookServer) {
+      // Webhook receiver (runs until stopped)
+      await runWebhookServer(outputDirectory, fetchWeekData);
     } else {
       // Normal data fetch mode
       console.log(chalk.cyan(`Fetching data for ${describeWeek(args.week)}`));
@@ -158,276 +178,276 @@ async function runCLI() {
 
 /**
  * Fetch GitHub data for a specific week and save it
+ * Only days that aren't complete yet are fetched. The week file is then rebuilt from
+ * everything the event ledger holds for the week, so re-running gives the same result.
  * @param {number} year - The year
  * @param {number} week - The ISO week number
  * @param {boolean} forceRefresh - If true, re-fetch even if data exists
+ * @param {Object} options - { aiAnalysis } (set aiAnalysis to false to only refresh github-data)
  */
-async function fetchWeekData(year, week, forceRefresh = false) {
+async function fetchWeekData(year, week, forceRefresh = false, { aiAnalysis: runAI = true } = {}) {
   try {
     // Initialize GitHub client
     console.log(chalk.dim('Initializing GitHub API client...'));
-    const client = new GitHubClient(GITHUB_TOKEN);
+    const collectionConfig = getCollectionConfig();
+    const client = new GitHubClient(getAuthConfig(), {
+      cacheDirectory: collectionConfig.cacheDirectory,
+      concurrency: collectionConfig.concurrency,
+      maxRetries: collectionConfig.maxRetries
+    });
 
     // Get date range for this week
     const { start: weekStart, end: weekEnd } = getWeekDateRange(year, week);
+    const weekStr = formatWeekString(year, week);
     console.log(chalk.cyan(`Period: ${weekStart} to ${weekEnd}\n`));
 
-    // Check for existing data (unless forcing refresh)
-    const exists = await weekFileExists(outputDirectory, year, week);
-    let existingData = null;
-    let missingDates = getAllDatesInWeek(year, week);
-
-    if (exists && !forceRefresh) {
-      console.log(chalk.green('✓ Found existing data file'));
-      existingData = await loadWeekData(outputDirectory, year, week);
-
-      // Determine which dates are missing
-      missingDates = getMissingDates(existingData, missingDates);
-
-      if (missingDates.length === 0) {
-        console.log(chalk.green('✓ All data already collected for this week\n'));
-        console.log(chalk.dim(`Existing data summary:`));
-        const stats = getWeekStatistics(existingData);
-        displaySummary(stats);
-        return;
-      } else {
-        console.log(
-          chalk.yellow(
-            `⚠️  Missing data for ${missingDates.length} days: ${missingDates.join(', ')}`
-          )
-        );
-      }
-    } else if (forceRefresh && exists) {
-      console.log(chalk.yellow('Force refresh: re-fetching all data'));
-    } else {
-      console.log(chalk.dim('No existing data found, creating new file'));
+    // Resolve tracked repositories and report changes since the previous week
+    console.log(chalk.bold('Repositories:'));
+    const trackedRepositories = await discoverRepositories(client, repositoryDiscovery, repositories);
+    const trackedNames = trackedRepositories.map(r => `${r.owner}/${r.repo}`);
+    const previousWeek = getPreviousWeek(year, week);
+    const previousWeekData = await loadWeekData(outputDirectory, previousWeek.year, previousWeek.week);
+    const repositoryChanges = previousWeekData?.repositories
+      ? compareRepositoryLists(previousWeekData.repositories, trackedNames)
+      : null;
+    if (repositoryChanges) {
+      displayRepositoryChanges(repositoryChanges);
     }
-
-    // Fetch data from GitHub
-    console.log(chalk.bold.cyan('\n📊 Fetching GitHub data...\n'));
-
-    const since = missingDates[0];
-    const until = missingDates[missingDates.length - 1];
-
-    console.log(chalk.dim(`Fetching data from ${since} to ${until}\n`));
-
-    // Fetch commits
-    console.log(chalk.bold('Commits:'));
-    const commits = await fetchCommitsForDateRange(
-      client,
-      repositories,
-      since,
-      until
-    );
     console.log();
 
-    // Fetch PRs
-    console.log(chalk.bold('Pull Requests:'));
-    const prs = await fetchPRsForDateRange(client, repositories, since);
-    console.log();
-
-    // Fetch review data for all PRs
-    console.log(chalk.bold('Review Data:'));
-    let allReviewData = { reviews: [], reviewComments: [], discussionComments: [] };
-
-    for (const repository of repositories) {
-      const { owner, repo } = repository;
-      const repoPRs = prs.filter(pr => pr.repository === `${owner}/${repo}`);
-
-      if (repoPRs.length > 0) {
-        const reviewData = await fetchReviewDataForPRs(client, owner, repo, repoPRs);
-        allReviewData.reviews.push(...reviewData.reviews);
-        allReviewData.reviewComments.push(...reviewData.reviewComments);
-        allReviewData.discussionComments.push(...reviewData.discussionComments);
-      }
-    }
-    console.log();
-
-    // Aggregate data
-    console.log(chalk.dim('Aggregating data by user and date...\n'));
-
-    // Create or load data structure
-    let weekData = existingData ||
-      createEmptyWeekStructure(year, week);
-
-    if (!existingData) {
-      weekData.repositories = repositories.map(r => `${r.owner}/${r.repo}`);
-    }
-
-    // Add commits to data (track repo metrics while aggregating)
-    const commitStats = aggregateCommitStats(commits);
-    for (const [username, dateStats] of Object.entries(commitStats)) {
-      for (const [date, stats] of Object.entries(dateStats)) {
-        addCommitToData(
-          weekData,
-          username,
-          date,
-          stats.linesAdded,
-          stats.linesDeleted
-        );
-      }
-    }
-    // Track per-repo commit metrics
-    for (const commit of commits) {
-      const commitDate = new Date(commit.date).toISOString().split('T')[0];
-      addMetricsToRepository(weekData, commit.repository, {
-        commits: 1,
-        linesAdded: commit.additions,
-        linesDeleted: commit.deletions
-      });
-    }
-
-    // Add PRs to data (track repo metrics while aggregating)
-    const prStats = countPRsByUserAndDate(prs);
-    for (const [username, dateStats] of Object.entries(prStats)) {
-      for (const [date, prCount] of Object.entries(dateStats)) {
-        for (let i = 0; i < prCount; i++) {
-          addPRToData(weekData, username, date);
-        }
-      }
-    }
-    // Track per-repo PR metrics
-    for (const pr of prs) {
-      const prDate = new Date(pr.createdAt).toISOString().split('T')[0];
-      addMetricsToRepository(weekData, pr.repository, { prs: 1 });
-    }
-
-    // Add review data
-    const reviewStats = countReviewsByUserAndDate(allReviewData.reviews);
-    for (const [username, dateStats] of Object.entries(reviewStats)) {
-      for (const [date, count] of Object.entries(dateStats)) {
-        addReviewToData(weekData, username, date, count);
+    // The event ledger holds the collected records and when each repository's days were fetched
+    const ledger = await new EventLedger(getLedgerConfig().directory).load();
+    const storedData = await loadWeekData(outputDirectory, year, week);
+
+    if (storedData && !forceRefresh) {
+      const { timeZone } = getTimezoneConfig();
+      // Files from before the reporting timezone was configurable were bucketed in UTC
+      const storedTimeZone = storedData.timeZone || 'UTC';
+
+      // Days updated by the webhook receiver may be missing deliveries,
+      // so weeks with unreconciled webhook updates are always re-fetched in full
+      if (storedData.webhookEvents) {
+        console.log(chalk.yellow('Week has unreconciled webhook updates - re-fetching all data'));
+        forceRefresh = true;
+      } else if (storedTimeZone !== timeZone) {
+        console.log(chalk.yellow(`Week was bucketed in ${storedTimeZone} - re-fetching all data in ${timeZone}`));
+        forceRefresh = true;
       }
     }
 
-    const reviewCommentStats = countReviewCommentsByUserAndDate(allReviewData.reviewComments);
-    for (const [username, dateStats] of Object.entries(reviewCommentStats)) {
-      for (const [date, count] of Object.entries(dateStats)) {
-        addReviewCommentsToData(weekData, username, date, count);
-      }
+    const allDates = getAllDatesInWeek(year, week);
+    const collection = ledger.get('collections', weekStr);
+    const missingDates = forceRefresh || !collection
+      ? allDates
+      : getMissingDates(collection.collectedDays, allDates, trackedNames);
+
+    // The week is built from ledger records, so a stored file's collected days don't help without them
+    if (!forceRefresh && !collection && storedData?.collectedDays) {
+      console.log(chalk.yellow(
+        `⚠️  The event ledger in ${getLedgerConfig().directory} has no record of this week - re-fetching all data. ` +
+        'Keep the ledger between runs (LEDGER_DIR) so only incomplete days are fetched.'
+      ));
     }
 
-    const discussionCommentStats = countDiscussionCommentsByUserAndDate(allReviewData.discussionComments);
-    for (const [username, dateStats] of Object.entries(discussionCommentStats)) {
-      for (const [date, count] of Object.entries(dateStats)) {
-        addDiscussionCommentsToData(weekData, username, date, count);
+    if (forceRefresh && storedData) {
+      console.log(chalk.yellow('Force refresh: re-fetching all data'));
+    } else if (!storedData && missingDates.length > 0) {
+      console.log(chalk.dim('No existing data found, creating new file'));
+    } else if (missingDates.length > 0) {
+      console.log(
+        chalk.yellow(
+          `⚠️  Missing data for ${missingDates.length} days: ${missingDates.join(', ')}`
+        )
+      );
+    } else if (storedData?.collectedDays) {
+      console.log(chalk.green('✓ All data already collected for this week\n'));
+      console.log(chalk.dim(`Existing data summary:`));
+      const stats = getWeekStatistics(storedData);
+      displaySummary(stats);
+      if (storedData.collectionFailures?.length > 0) {
+        console.log(chalk.yellow(
+          `\n⚠️  Last collection was partial (${storedData.collectionFailures.length} failures). ` +
+          'Re-run with --force to fetch everything again.'
+        ));
       }
+      return;
+    } else {
+      // Written before per-day tracking, or deleted: everything needed is in the ledger
+      console.log(chalk.dim('All days are in the event ledger - rebuilding the week file'));
     }
 
-    // Track per-repo review metrics
-    for (const review of allReviewData.reviews) {
-      const reviewDate = new Date(review.submittedAt).toISOString().split('T')[0];
-      addMetricsToRepository(weekData, review.repository, { reviewsGiven: 1 });
-    }
-
-    // Track per-repo review comment metrics
-    for (const comment of allReviewData.reviewComments) {
-      const commentDate = new Date(comment.createdAt).toISOString().split('T')[0];
-      addMetricsToRepository(weekData, comment.repository, { reviewCommentsGiven: 1 });
-    }
-
-    // Track per-repo discussion comment metrics
-    for (const comment of allReviewData.discussionComments) {
-      const commentDate = new Date(comment.createdAt).toISOString().split('T')[0];
-      addMetricsToRepository(weekData, comment.repository, { discussionCommentsGiven: 1 });
-    }
+    if (missingDates.length > 0) {
+      // Fetch data from GitHub
+      console.log(chalk.bold.cyan('\n📊 Fetching GitHub data...\n'));
 
-    // If we had existing data, merge properly
-    if (existingData) {
-      const newData = createEmptyWeekStructure(year, week);
-      newData.repositories = repositories.map(r => `${r.owner}/${r.repo}`);
-
-      const commitStats = aggregateCommitStats(commits);
-      for (const [username, dateStats] of Object.entries(commitStats)) {
-        for (const [date, stats] of Object.entries(dateStats)) {
-          addCommitToData(
-            newData,
-            username,
-            date,
-            stats.linesAdded,
-            stats.linesDeleted
-          );
-        }
-      }
+      const since = missingDates[0];
+      const until = missingDates[missingDates.length - 1];
 
-      const prStats = countPRsByUserAndDate(prs);
-      for (const [username, dateStats] of Object.entries(prStats)) {
-        for (const [date, prCount] of Object.entries(dateStats)) {
-          for (let i = 0; i < prCount; i++) {
-            addPRToData(newData, username, date);
-          }
-        }
-      }
+      console.log(chalk.dim(`Fetching data from ${since} to ${until}\n`));
 
-      // Add review data to newData
-      const reviewStats = countReviewsByUserAndDate(allReviewData.reviews);
-      for (const [username, dateStats] of Object.entries(reviewStats)) {
-        for (const [date, count] of Object.entries(dateStats)) {
-          addReviewToData(newData, username, date, count);
-        }
-      }
+      // Days count as complete once fetched after they ended, so note when fetching started
+      const fetchedAt = new Date().toISOString();
+      const collected = await collectPeriod(client, trackedRepositories, since, until, collectionConfig);
 
-      const reviewCommentStats = countReviewCommentsByUserAndDate(allReviewData.reviewComments);
-      for (const [username, dateStats] of Object.entries(reviewCommentStats)) {
-        for (const [date, count] of Object.entries(dateStats)) {
-          addReviewCommentsToData(newData, username, date, count);
-        }
+      // Keep the raw records so the week can be rebuilt without calling GitHub (see --rebuild)
+      const { appended, touchedWeeks } = await ledger.recordCollection(weekStr, collected, {
+        since,
+        until,
+        fetchedAt,
+        repositories: trackedNames,
+        collectionFailures: client.getFailures()
+      });
+      console.log(chalk.dim(`Recorded ${appended} new or changed records in the event ledger\n`));
+
+      // Commits pushed now can be authored in earlier weeks, and records removed since then
+      // may have counted in them, so refresh those weeks too (weeks never collected have no file)
+      for (const touchedWeek of touchedWeeks.filter(touched => ledger.get('collections', touched))) {
+        console.log(chalk.cyan(`Records for ${touchedWeek} changed - rebuilding it from the event ledger`));
+        const touched = parseWeekString(touchedWeek);
+        await rebuildWeek(ledger, outputDirectory, touched.year, touched.week);
       }
+    }
 
-      const discussionCommentStats = countDiscussionCommentsByUserAndDate(allReviewData.discussionComments);
-      for (const [username, dateStats] of Object.entries(discussionCommentStats)) {
-        for (const [date, count] of Object.entries(dateStats)) {
-          addDiscussionCommentsToData(newData, username, date, count);
-        }
-      }
+    // Recompute the week from everything collected for it (repository metrics included)
+    console.log(chalk.dim('Aggregating data by user and date...\n'));
+    const { botMode, coAuthorLines } = collectionConfig;
+    const { weekData, prs, reviewData } = buildWeekFromLedger(ledger, year, week, { botMode, coAuthorLines });
 
-      weekData = mergeWithExisting(existingData, newData);
-    } else {
-      calculateWeeklyTotals(weekData);
+    if (repositoryChanges) {
+      weekData.repositoryChanges = repositoryChanges;
     }
 
     // Save basic data to github-data
     console.log(chalk.bold.cyan('\n💾 Saving data...\n'));
     await saveWeekData(outputDirectory, year, week, weekData);
 
-    // Run AI analysis automatically
-    const previousWeekData = await loadWeekData(
-      outputDirectory,
-      getPreviousWeek(year, week).year,
-      getPreviousWeek(year, week).week
-    );
-
-    const aiAnalysis = await runAIAnalysis(
-      weekData,
-      previousWeekData,
-      allReviewData,
-      prs,
-      OPENAI_API_KEY,
-      OPENAI_MODEL_CONFIG
-    );
+    // Run AI analysis automatically (webhook reconciliation skips it and leaves /data to the scheduled run)
+    if (runAI) {
+      const aiAnalysis = await runAIAnalysis(
+        weekData,
+        previousWeekData,
+        reviewData,
+        prs,
+        OPENAI_API_KEY,
+        OPENAI_MODEL_CONFIG
+      );
 
-    // Build and save enriched data to /data directory
-    const enrichedData = buildEnrichedData(weekData, allReviewData, aiAnalysis);
-    await saveEnrichedWeekData(year, week, enrichedData);
+      // Build and save enriched data to /data directory
+      const enrichedData = buildEnrichedData(weekData, reviewData, aiAnalysis);
+      await saveEnrichedWeekData(year, week, enrichedData);
+    }
 
     // Display summary
     console.log(chalk.bold.cyan('\n📈 Summary\n'));
     const stats = getWeekStatistics(weekData);
     displaySummary(stats);
 
-    // Display rate limit info
-    const rateLimit = client.getLastRateLimit();
-    if (rateLimit) {
-      const remaining = rateLimit.resources.core.remaining;
-      const limit = rateLimit.resources.core.limit;
-      console.log(chalk.dim(`\nRate limit: ${remaining}/${limit} remaining`));
-    }
+    // Display rate limit and cache info
+    displayApiUsage(client);
+    displayFailureReport(client);
   } catch (error) {
     console.error(chalk.red('❌ Error fetching week data:'), error.message);
     throw error;
   }
 }
 
+/**
+ * Fetch everything the week data is built from for a date range
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Array} trackedRepositories - Array of { owner, repo, branches } objects
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @param {Object} collectionConfig - Collection configuration (collector, allBranches)
+ * @returns {Promise<Object>} { commits, prs, activePRs, reviewData, issueActivity, shipped, workflowRuns }
+ */
+async function collectPeriod(client, trackedRepositories, since, until, collectionConfig) {
+  let commits;
+  let prs;
+  let activePRs;
+  let allReviewData;
+
+  if (collectionConfig.collector === 'graphql') {
+    // Fetch commits, PRs and review data in batched GraphQL queries
+    console.log(chalk.bold('Commits, Pull Requests & Review Data (GraphQL):'));
+    if (!collectionConfig.commitFiles) {
+      console.log(chalk.yellow(
+        '⚠️  Commit history has no changed files, so there is no language breakdown and generated files ' +
+        'count as lines changed. Set GITHUB_COMMIT_FILES=true to fetch them (one request per commit).'
+      ));
+    }
+    ({ commits, prs, activePRs, reviewData: allReviewData } = await fetchWeekDataGraphQL(
+      client,
+      trackedRepositories,
+      since,
+      until,
+      collectionConfig.allBranches,
+      collectionConfig.commitFiles
+    ));
+    console.log();
+  } else {
+    // Fetch commits
+    console.log(chalk.bold('Commits:'));
+    commits = await fetchCommitsForDateRange(
+      client,
+      trackedRepositories,
+      since,
+      until,
+      collectionConfig.allBranches
+    );
+    console.log();
+
+    // Fetch every PR with activity in the period, not just new ones
+    console.log(chalk.bold('Pull Requests:'));
+    const updatedPRs = await fetchActivePRsForDateRange(client, trackedRepositories, since);
+    console.log();
+
+    // Fetch review data and PR details for all active PRs
+    console.log(chalk.bold('Review Data:'));
+    allReviewData = { reviews: [], reviewComments: [], discussionComments: [], truncatedPRs: [] };
+    activePRs = [];
+
+    const repoLimit = pLimit(client.concurrency);
+    const repoReviewData = await Promise.all(trackedRepositories.map(({ owner, repo }) => repoLimit(() => {
+      const repoPRs = updatedPRs.filter(pr => pr.repository === `${owner}/${repo}`);
+      return repoPRs.length > 0
+        ? fetchReviewDataForPRs(client, owner, repo, repoPRs)
+        : null;
+    })));
+
+    for (const reviewData of repoReviewData.filter(Boolean)) {
+      allReviewData.reviews.push(...reviewData.reviews);
+      allReviewData.reviewComments.push(...reviewData.reviewComments);
+      allReviewData.discussionComments.push(...reviewData.discussionComments);
+      allReviewData.truncatedPRs.push(...reviewData.truncatedPRs);
+      activePRs.push(...reviewData.pullRequests);
+    }
+    console.log();
+
+    // PRs opened in the period are the active ones created between the start and end dates
+    prs = activePRs.filter(pr => {
+      const created = toReportingDate(pr.createdAt);
+      return created >= since && created <= until;
+    });
+  }
+
+  // Fetch issue activity (both collectors use the REST issues API)
+  console.log(chalk.bold('Issues:'));
+  const issueActivity = await fetchIssueActivityForDateRange(client, trackedRepositories, since);
+  console.log();
+
+  // Fetch releases, tags and deployments (REST for both collectors)
+  console.log(chalk.bold('Releases & Deployments:'));
+  const shipped = await fetchReleaseActivityForDateRange(client, trackedRepositories, since, until);
+  console.log();
+
+  // Fetch GitHub Actions workflow runs for CI health
+  console.log(chalk.bold('Workflow Runs:'));
+  const workflowRuns = await fetchWorkflowRunsForDateRange(client, trackedRepositories, since, until);
+  console.log();
+
+  return { commits, prs, activePRs, reviewData: allReviewData, issueActivity, shipped, workflowRuns };
+}
+
 /**
  * Fetch open PRs and generate the dashboard
  */
@@ -436,10 +456,12 @@ async function runOpenPRsCollection() {
     console.log(chalk.bold.cyan('📋 Fetching Open Pull Requests\n'));
 
     // Initialize GitHub client
-    const client = new GitHubClient(GITHUB_TOKEN);
+    const { cacheDirectory, concurrency, maxRetries } = getCollectionConfig();
+    const client = new GitHubClient(getAuthConfig(), { cacheDirectory, concurrency, maxRetries });
 
     // Fetch all open PRs
-    const openPRs = await fetchAllOpenPRs(client, repositories);
+    const trackedRepositories = await discoverRepositories(client, repositoryDiscovery, repositories);
+    const openPRs = await fetchAllOpenPRs(client, trackedRepositories);
 
     // Generate HTML
     console.log(chalk.dim('Generating HTML dashboard...'));
@@ -451,19 +473,82 @@ async function runOpenPRsCollection() {
 
     console.log(chalk.green(`\n✓ Dashboard saved to: ${outputPath}`));
 
-    // Display rate limit info
-    const rateLimit = client.getLastRateLimit();
-    if (rateLimit) {
-      const remaining = rateLimit.resources.core.remaining;
-      const limit = rateLimit.resources.core.limit;
-      console.log(chalk.dim(`\nRate limit: ${remaining}/${limit} remaining`));
-    }
+    // Display rate limit and cache info
+    displayApiUsage(client);
+    displayFailureReport(client);
   } catch (error) {
     console.error(chalk.red('❌ Error fetching open PRs:'), error.message);
     throw error;
   }
 }
 
+/**
+ * Display rate limit, response cache and fixture statistics
+ * @param {GitHubClient} client - GitHub API client
+ */
+function displayApiUsage(client) {
+  const rateLimit = client.getLastRateLimit();
+  if (rateLimit) {
+    const remaining = rateLimit.resources.core.remaining;
+    const limit = rateLimit.resources.core.limit;
+    console.log(chalk.dim(`\nRate limit: ${remaining}/${limit} remaining`));
+  }
+
+  const cacheStats = client.getCacheStats();
+  if (cacheStats) {
+    console.log(chalk.dim(
+      `Cache: ${cacheStats.hits} hits (${cacheStats.notModified} not modified, ` +
+      `${cacheStats.immutableHits} immutable), ${cacheStats.misses} misses`
+    ));
+  }
+
+  const fixtureStats = client.getFixtureStats();
+  if (fixtureStats) {
+    console.log(chalk.dim(
+      `Fixtures (${fixtureStats.mode}): ${fixtureStats.recorded} recorded, ${fixtureStats.replayed} replayed`
+    ));
+  }
+}
+
+/**
+ * Display retry count and the repositories that could not be fully fetched
+ * @param {GitHubClient} client - GitHub API client
+ */
+function displayFailureReport(client) {
+  if (client.retryCount > 0) {
+    console.log(chalk.dim(`Retried requests: ${client.retryCount}`));
+  }
+
+  const failures = client.getFailures();
+  if (failures.length === 0) {
+    return;
+  }
+
+  console.log(chalk.bold.yellow(`\n⚠️  Partial success: ${failures.length} fetches failed\n`));
+  for (const failure of failures) {
+    const status = failure.status ? ` (${failure.status})` : '';
+    console.log(chalk.yellow(`  ${failure.repository} - ${failure.stage}${status}: ${failure.message}`));
+  }
+}
+
+/**
+ * Display repositories added to or dropped from tracking since the previous week
+ * @param {Object} changes - { added, dropped } arrays of 'owner/repo' names
+ */
+function displayRepositoryChanges({ added, dropped }) {
+  if (added.length === 0 && dropped.length === 0) {
+    console.log(chalk.dim('  No repository changes since the previous week'));
+    return;
+  }
+
+  for (const name of added) {
+    console.log(chalk.green(`  + ${name} (new since the previous week)`));
+  }
+  for (const name of dropped) {
+    console.log(chalk.yellow(`  - ${name} (no longer tracked)`));
+  }
+}
+
 /**
  * Display summary statistics
  * @param {Object} stats - Statistics object
@@ -473,12 +558,32 @@ function displaySummary(stats) {
 
   console.log(`  Commits:     ${chalk.cyan(formatNumber(stats.totalCommits))}`);
   console.log(`  PRs:         ${chalk.cyan(formatNumber(stats.totalPRs))}`);
+  console.log(`  PRs merged:  ${chalk.cyan(formatNumber(stats.totalPRsMerged))}`);
+  console.log(
+    `  Issues:      ${chalk.cyan(formatNumber(stats.totalIssuesOpened))} opened, ` +
+    `${chalk.cyan(formatNumber(stats.totalIssuesClosed))} closed`
+  );
   console.log(
     `  Lines added: ${chalk.green(formatNumber(stats.totalLinesAdded))}`
   );
   console.log(
     `  Lines deleted: ${chalk.red(formatNumber(stats.totalLinesDeleted))}`
   );
+  if (stats.totalGeneratedLinesChanged > 0) {
+    console.log(
+      `  Generated lines (excluded): ${chalk.dim(formatNumber(stats.totalGeneratedLinesChanged))}`
+    );
+  }
+  console.log(
+    `  Shipped:     ${chalk.cyan(formatNumber(stats.totalReleases))} releases, ` +
+    `${chalk.cyan(formatNumber(stats.totalDeployments))} deployments`
+  );
+  if (stats.ciRuns > 0) {
+    console.log(
+      `  CI runs:     ${chalk.cyan(formatNumber(stats.ciRuns))}` +
+      (stats.ciPassRate !== null ? ` (${stats.ciPassRate}% passing)` : '')
+    );
+  }
   console.log(`  Active users: ${chalk.magenta(stats.activeUsers)}`);
 
   if (stats.activeUsers > 0) {
@@ -1,4 +1,7 @@
 import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { summarizeCheckRuns } from '../github/workflowRuns.js';
+import { toWebUrl } from '../utils/githubUrls.js';
 
 /**
  * Fetch all open pull requests from a specific repository
@@ -34,10 +37,11 @@ export async function fetchOpenPRsForRepo(client, owner, repo) {
         number: pr.number,
         title: pr.title || '',
         author: pr.user?.login || 'Unknown',
-        url: pr.html_url,
+        url: toWebUrl(pr.html_url),
         createdAt: pr.created_at,
         updatedAt: pr.updated_at,
         isDraft: pr.draft || false,
+        headSha: pr.head?.sha || null,
         labels: (pr.labels || []).map(l => ({
           name: l.name,
           color: l.color
@@ -59,10 +63,41 @@ export async function fetchOpenPRsForRepo(client, owner, repo) {
     }
   }
 
-  console.log(chalk.green(`  Found ${openPRs.length} open PRs`));
+  await addCheckStatus(client, owner, repo, openPRs);
+
+  console.log(chalk.green(`  Found ${openPRs.length} open PRs in ${owner}/${repo}`));
   return openPRs;
 }
 
+/**
+ * Attach the state of each open PR's checks on its head commit
+ * (checks: { state, failing }, or null if they could not be fetched)
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} openPRs - Processed open PRs (modified in place)
+ */
+async function addCheckStatus(client, owner, repo, openPRs) {
+  try {
+    const checkRuns = await Promise.all(
+      openPRs.map(pr => (pr.headSha ? client.getCheckRuns(owner, repo, pr.headSha) : []))
+    );
+    openPRs.forEach((pr, i) => {
+      pr.checks = summarizeCheckRuns(checkRuns[i]);
+    });
+  } catch (error) {
+    // PRs are still listed without their check status
+    console.error(
+      chalk.red(`Error fetching checks from ${owner}/${repo}:`),
+      error.message
+    );
+    client.recordFailure(`${owner}/${repo}`, 'checks', error);
+    openPRs.forEach(pr => {
+      pr.checks = null;
+    });
+  }
+}
+
 /**
  * Fetch all open PRs from all configured repositories
  * @param {GitHubClient} client - GitHub API client
@@ -72,22 +107,26 @@ export async function fetchOpenPRsForRepo(client, owner, repo) {
 export async function fetchAllOpenPRs(client, repositories) {
   console.log(chalk.bold.cyan('\n Fetching Open Pull Requests\n'));
 
-  const allOpenPRs = [];
-
-  for (let i = 0; i < repositories.length; i++) {
-    const { owner, repo } = repositories[i];
-    console.log(chalk.blue(`[${i + 1}/${repositories.length}]`));
+  const limit = pLimit(client.concurrency);
+
+  const results = await Promise.all(
+    repositories.map(({ owner, repo }, i) => limit(async () => {
+      console.log(chalk.blue(`[${i + 1}/${repositories.length}]`));
+
+      try {
+        return await fetchOpenPRsForRepo(client, owner, repo);
+      } catch (error) {
+        console.error(
+          chalk.red(`Error fetching open PRs from ${owner}/${repo}:`),
+          error.message
+        );
+        client.recordFailure(`${owner}/${repo}`, 'open PRs', error);
+        return [];
+      }
+    }))
+  );
 
-    try {
-      const prs = await fetchOpenPRsForRepo(client, owner, repo);
-      allOpenPRs.push(...prs);
-    } catch (error) {
-      console.error(
-        chalk.red(`Error fetching open PRs from ${owner}/${repo}:`),
-        error.message
-      );
-    }
-  }
+  const allOpenPRs = results.flat();
 
   // Sort by created date (newest first)
   allOpenPRs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -128,6 +167,9 @@ export function calculateOpenPRStats(prs) {
   // PRs awaiting review (has requested reviewers)
   const awaitingReview = prs.filter(pr => pr.requestedReviewers.length > 0).length;
 
+  // PRs whose head commit has failing checks
+  const failingChecks = prs.filter(pr => pr.checks?.state === 'failing').length;
+
   return {
     totalPRs: prs.length,
     uniqueAuthors: authors.size,
@@ -135,7 +177,8 @@ export function calculateOpenPRStats(prs) {
     oldestAgeDays: oldestAge,
     averageAgeDays: averageAge,
     draftCount,
-    awaitingReview
+    awaitingReview,
+    failingChecks
   };
 }
 
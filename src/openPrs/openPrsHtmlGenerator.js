@@ -76,6 +76,13 @@ ${compiledCSS}
       @apply text-subtext-color italic text-caption;
     }
 
+    .checks-failing { @apply text-error-600 font-semibold; }
+    .checks-passing { @apply text-success-600; }
+    .checks-pending { @apply text-warning-600; }
+    .failing-check {
+      @apply bg-error-100 text-error-600 px-2 py-0.5 rounded-full text-caption;
+    }
+
     .age-new { @apply text-success-600; }
     .age-moderate { @apply text-warning-600; }
     .age-old { @apply text-error-600 font-semibold; }
@@ -188,6 +195,8 @@ ${compiledCSS}
         ? pr.requestedReviewers.map(r => \`<span class="reviewer">\${r}</span>\`).join('')
         : '<span class="no-reviewers">None</span>';
 
+      const checks = formatChecks(pr.checks);
+
       return \`
         <tr class="hover:bg-neutral-50">
           <td class="p-3 border-b border-neutral-200"><span class="repo-badge">\${pr.repoShort}</span></td>
@@ -199,11 +208,14 @@ ${compiledCSS}
           </td>
           <td class="p-3 border-b border-neutral-200 hide-mobile"><div class="flex flex-wrap gap-1">\${labels || '<span class="no-reviewers">None</span>'}</div></td>
           <td class="p-3 border-b border-neutral-200 hide-mobile"><div class="flex flex-wrap gap-1">\${reviewers}</div></td>
+          <td class="p-3 border-b border-neutral-200"><div class="flex flex-wrap gap-1">\${checks}</div></td>
           <td class="p-3 border-b border-neutral-200"><span class="\${ageClass}">\${ageText}</span></td>
         </tr>
       \`;
     }
 
+    ${formatChecks.toString()}
+
     document.addEventListener('DOMContentLoaded', function() {
       document.querySelectorAll('.pr-table th[data-column]').forEach(th => {
         th.addEventListener('click', () => sortTable(th.dataset.column));
@@ -264,6 +276,13 @@ function generateOverviewCards(stats) {
           <p class="card-title">Awaiting Review</p>
         </div>
       </div>
+      <div class="metric-card">
+        <div class="card-icon">&#10060;</div>
+        <div class="flex-1">
+          <p class="card-value ${stats.failingChecks > 0 ? 'text-error-600' : 'text-brand-600'}">${stats.failingChecks}</p>
+          <p class="card-title">Failing Checks</p>
+        </div>
+      </div>
     </section>`;
 }
 
@@ -297,6 +316,8 @@ function generatePRTable(prs) {
       ? pr.requestedReviewers.map(r => `<span class="reviewer">${r}</span>`).join('')
       : '<span class="no-reviewers">None</span>';
 
+    const checks = formatChecks(pr.checks);
+
     return `
       <tr class="hover:bg-neutral-50">
         <td class="p-3 border-b border-neutral-200"><span class="repo-badge">${pr.repoShort}</span></td>
@@ -308,6 +329,7 @@ function generatePRTable(prs) {
         </td>
         <td class="p-3 border-b border-neutral-200 hide-mobile"><div class="flex flex-wrap gap-1">${labels || '<span class="no-reviewers">None</span>'}</div></td>
         <td class="p-3 border-b border-neutral-200 hide-mobile"><div class="flex flex-wrap gap-1">${reviewers}</div></td>
+        <td class="p-3 border-b border-neutral-200"><div class="flex flex-wrap gap-1">${checks}</div></td>
         <td class="p-3 border-b border-neutral-200"><span class="${ageClass}">${age.formatted}</span></td>
       </tr>`;
   }).join('');
@@ -324,6 +346,7 @@ function generatePRTable(prs) {
               <th class="p-3 text-left text-caption-bold cursor-pointer select-none hover:bg-neutral-100" data-column="title">Title <span class="sort-icon opacity-50">&#8597;</span></th>
               <th class="p-3 text-left text-caption-bold hide-mobile">Labels</th>
               <th class="p-3 text-left text-caption-bold hide-mobile">Reviewers</th>
+              <th class="p-3 text-left text-caption-bold">Checks</th>
               <th class="p-3 text-left text-caption-bold cursor-pointer select-none hover:bg-neutral-100 sorted" data-column="age">Age <span class="sort-icon">&#8595;</span></th>
             </tr>
           </thead>
@@ -335,6 +358,25 @@ function generatePRTable(prs) {
     </section>`;
 }
 
+/**
+ * Format a PR's check state, listing the names of failing checks
+ * Also embedded in the page script, so it must not use anything outside its body
+ * @param {Object|null} checks - { state, failing } or null if unknown
+ * @returns {string} HTML for the checks cell
+ */
+function formatChecks(checks) {
+  if (!checks || checks.state === 'none') {
+    return '<span class="no-reviewers">None</span>';
+  }
+  if (checks.state === 'failing') {
+    return checks.failing.map(name => `<span class="failing-check">${name}</span>`).join('');
+  }
+  if (checks.state === 'pending') {
+    return '<span class="checks-pending">Pending</span>';
+  }
+  return '<span class="checks-passing">&#10003; Passing</span>';
+}
+
 /**
  * Get the shared menu CSS for injection into other dashboards
  * @returns {string} CSS styles for shared menu
@@ -1,9 +1,13 @@
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs/promises';
-import { getExistingWeeks, loadMultipleWeeks, getPreviousWeek } from '../storage/fileManager.js';
+import { getExistingWeeks, loadMultipleWeeks } from '../storage/fileManager.js';
 import { compareWeeks } from './weekComparator.js';
+import { getPRFlowStatistics, getIssueStatistics, getLanguageStatistics, getCIStatistics } from '../storage/dataAggregator.js';
 import { generateDashboard } from './htmlTemplates.js';
+import { isBotAccount } from '../utils/botClassifier.js';
+import { toWebUrl } from '../utils/githubUrls.js';
+import { toReportingDate } from '../utils/dateUtils.js';
 
 /**
  * Main dashboard generation orchestrator
@@ -44,6 +48,26 @@ export async function generateDashboardHTML(outputDirectory, dashboardOutputPath
     console.log(chalk.dim('Calculating trends...'));
     const { trends, comparisons } = calculateTrends(weekDataArray);
 
+    // Calculate PR flow (merges, closes, review and merge times)
+    console.log(chalk.dim('Calculating PR flow...'));
+    const prFlow = calculatePRFlow(weekDataArray);
+
+    // Calculate issue metrics (opened, closed, backlog, categories)
+    console.log(chalk.dim('Calculating issue metrics...'));
+    const issues = calculateIssueMetrics(weekDataArray);
+
+    // Calculate CI health (workflow runs, pass rate, duration, flaky reruns)
+    console.log(chalk.dim('Calculating CI health...'));
+    const ciHealth = calculateCIHealth(weekDataArray);
+
+    // Calculate language breakdown (lines changed per language over time)
+    console.log(chalk.dim('Calculating language trend...'));
+    const languages = calculateLanguageTrend(weekDataArray);
+
+    // Build the releases timeline (releases, tags and deployments)
+    console.log(chalk.dim('Building releases timeline...'));
+    const releases = buildReleaseTimeline(weekDataArray);
+
     // Generate dashboard data
     const generatedAt = new Date().toISOString();
     const dateRange = {
@@ -59,6 +83,11 @@ export async function generateDashboardHTML(outputDirectory, dashboardOutputPath
       leaderboards,
       trends,
       comparisons,
+      prFlow,
+      issues,
+      ciHealth,
+      languages,
+      releases,
       weeks: weekDataArray
     };
 
@@ -118,9 +147,11 @@ function calculateTeamStats(weekDataArray) {
 function buildLeaderboards(weekDataArray) {
   const userStats = {};
 
-  // Aggregate user statistics across all weeks
+  // Aggregate user statistics across all weeks (bots are never ranked, whatever BOT_MODE is)
   for (const weekData of weekDataArray) {
     for (const username in weekData.users || {}) {
+      if (isBotAccount(username)) continue;
+
       if (!userStats[username]) {
         userStats[username] = {
           commits: 0,
@@ -199,6 +230,36 @@ function calculateTrends(weekDataArray) {
   };
 }
 
+/**
+ * Calculate PR flow metrics per week and per repository for the latest week
+ * @param {Array} weekDataArray - Array of week data objects (sorted chronologically)
+ * @returns {Object} { weeks: [{ week, prsMerged, ... }], latestWeek, repositories: [{ repository, prsMerged, ... }] }
+ */
+function calculatePRFlow(weekDataArray) {
+  const weeks = weekDataArray.map(weekData => ({
+    week: weekData.week,
+    ...getPRFlowStatistics(weekData)
+  }));
+
+  const latestWeek = weekDataArray[weekDataArray.length - 1];
+  const repositories = Object.entries(latestWeek?.repositoryMetrics || {})
+    .map(([repository, metrics]) => ({
+      repository,
+      prs: metrics.prs || 0,
+      prsMerged: metrics.prsMerged || 0,
+      prsClosedUnmerged: metrics.prsClosedUnmerged || 0,
+      medianTimeToFirstReviewHours: metrics.medianTimeToFirstReviewHours ?? null,
+      medianTimeToMergeHours: metrics.medianTimeToMergeHours ?? null
+    }))
+    .sort((a, b) => a.repository.localeCompare(b.repository));
+
+  return {
+    weeks,
+    latestWeek: latestWeek?.week || null,
+    repositories
+  };
+}
+
 /**
  * Quick dashboard generation with sensible defaults
  * Useful for calling after data fetch completes
@@ -208,3 +269,211 @@ export async function generateDashboardQuick(outputDirectory) {
   const dashboardPath = path.join(outputDirectory, '..', 'dashboard.html');
   await generateDashboardHTML(outputDirectory, dashboardPath);
 }
+
+/**
+ * Calculate issue metrics per week and per repository for the latest week
+ * @param {Array} weekDataArray - Array of week data objects (sorted chronologically)
+ * @returns {Object} { weeks: [{ week, issuesOpened, ... }], latestWeek, repositories: [{ repository, issuesOpened, ... }] }
+ */
+function calculateIssueMetrics(weekDataArray) {
+  const weeks = weekDataArray.map(weekData => ({
+    week: weekData.week,
+    ...getIssueStatistics(weekData)
+  }));
+
+  const latestWeek = weekDataArray[weekDataArray.length - 1];
+  const repositories = Object.entries(latestWeek?.repositoryMetrics || {})
+    .map(([repository, metrics]) => ({
+      repository,
+      issuesOpened: metrics.issuesOpened || 0,
+      issuesClosed: metrics.issuesClosed || 0,
+      issuesReopened: metrics.issuesReopened || 0,
+      medianTimeToCloseHours: metrics.medianTimeToCloseHours ?? null,
+      openIssues: metrics.openIssues ?? null
+    }))
+    .sort((a, b) => a.repository.localeCompare(b.repository));
+
+  return {
+    weeks,
+    latestWeek: latestWeek?.week || null,
+    repositories
+  };
+}
+
+// Languages shown on their own in the trend; the rest are grouped as 'Other'
+const TOP_LANGUAGE_COUNT = 6;
+
+/**
+ * Sum lines added and deleted per language
+ * @param {Object} languages - { language: { linesAdded, linesDeleted, files } }
+ * @returns {Object} { language: linesChanged }
+ */
+function getLinesChangedByLanguage(languages = {}) {
+  const linesChanged = {};
+  for (const [language, stats] of Object.entries(languages)) {
+    linesChanged[language] = (stats.linesAdded || 0) + (stats.linesDeleted || 0);
+  }
+  return linesChanged;
+}
+
+/**
+ * Calculate lines changed per language per week, and each repository's language mix
+ * for the latest week
+ * @param {Array} weekDataArray - Array of week data objects (sorted chronologically)
+ * @returns {Object} { languages: [top language names], weeks: [{ week, linesChanged: { language: n } }],
+ *   latestWeek, repositories: [{ repository, linesChanged, languages: [{ language, linesChanged }] }] }
+ */
+function calculateLanguageTrend(weekDataArray) {
+  const weeks = weekDataArray.map(weekData => ({
+    week: weekData.week,
+    linesChanged: getLinesChangedByLanguage(getLanguageStatistics(weekData))
+  }));
+
+  const totals = {};
+  for (const week of weeks) {
+    for (const [language, lines] of Object.entries(week.linesChanged)) {
+      totals[language] = (totals[language] || 0) + lines;
+    }
+  }
+  const languages = Object.entries(totals)
+    .filter(([language, lines]) => language !== 'Other' && lines > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_LANGUAGE_COUNT)
+    .map(([language]) => language);
+
+  // Fold everything outside the top languages into 'Other'
+  for (const week of weeks) {
+    const grouped = {};
+    for (const [language, lines] of Object.entries(week.linesChanged)) {
+      const key = languages.includes(language) ? language : 'Other';
+      grouped[key] = (grouped[key] || 0) + lines;
+    }
+    week.linesChanged = grouped;
+  }
+
+  const latestWeek = weekDataArray[weekDataArray.length - 1];
+  const repositories = Object.entries(latestWeek?.repositoryMetrics || {})
+    .map(([repository, metrics]) => {
+      const linesChanged = getLinesChangedByLanguage(metrics.languages);
+      return {
+        repository,
+        linesChanged: Object.values(linesChanged).reduce((sum, lines) => sum + lines, 0),
+        languages: Object.entries(linesChanged)
+          .filter(([, lines]) => lines > 0)
+          .sort((a, b) => b[1] - a[1])
+          .map(([language, lines]) => ({ language, linesChanged: lines }))
+      };
+    })
+    .filter(repo => repo.linesChanged > 0)
+    .sort((a, b) => a.repository.localeCompare(b.repository));
+
+  return {
+    languages,
+    weeks,
+    latestWeek: latestWeek?.week || null,
+    repositories
+  };
+}
+
+/**
+ * Build a timeline of what shipped, newest first: releases (with their PRs), tags
+ * without a release, and deployments grouped by day, repository and environment
+ * @param {Array} weekDataArray - Array of week data objects (sorted chronologically)
+ * @returns {Array} Array of { type, date, week, repository, name, url, pullRequests,
+ *   deployments, failedDeployments }
+ */
+function buildReleaseTimeline(weekDataArray) {
+  const timeline = [];
+
+  for (const weekData of weekDataArray) {
+    const shipped = weekData.shipped || { releases: [], tags: [], deployments: [] };
+
+    for (const release of shipped.releases) {
+      timeline.push({
+        type: release.prerelease ? 'pre-release' : 'release',
+        date: toReportingDate(release.publishedAt),
+        week: weekData.week,
+        repository: release.repository,
+        name: release.name,
+        url: toWebUrl(release.url),
+        pullRequests: release.pullRequests
+      });
+    }
+
+    for (const tag of shipped.tags) {
+      timeline.push({
+        type: 'tag',
+        date: toReportingDate(tag.date),
+        week: weekData.week,
+        repository: tag.repository,
+        name: tag.name
+      });
+    }
+
+    const deploymentGroups = new Map();
+    for (const deployment of shipped.deployments) {
+      const date = toReportingDate(deployment.createdAt);
+      const key = `${date}|${deployment.repository}|${deployment.environment}`;
+      if (!deploymentGroups.has(key)) {
+        deploymentGroups.set(key, {
+          type: 'deployment',
+          date,
+          week: weekData.week,
+          repository: deployment.repository,
+          name: deployment.environment,
+          deployments: 0,
+          failedDeployments: 0
+        });
+      }
+      const group = deploymentGroups.get(key);
+      group.deployments++;
+      if (['failure', 'error'].includes(deployment.state)) {
+        group.failedDeployments++;
+      }
+    }
+    timeline.push(...deploymentGroups.values());
+  }
+
+  return timeline.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Calculate CI health per week and per repository and workflow for the latest week
+ * @param {Array} weekDataArray - Array of week data objects (sorted chronologically)
+ * @returns {Object} { weeks: [{ week, runs, passRate, ... }], latestWeek,
+ *   workflows: [{ repository, workflow, runs, passRate, ... }] }
+ */
+function calculateCIHealth(weekDataArray) {
+  const weeks = weekDataArray
+    .filter(weekData => weekData.ciHealth)
+    .map(weekData => ({
+      week: weekData.week,
+      ...getCIStatistics(weekData)
+    }));
+
+  const latestWeek = weekDataArray[weekDataArray.length - 1];
+  const workflows = [];
+  for (const [repository, repoWorkflows] of Object.entries(latestWeek?.ciHealth || {})) {
+    for (const [workflow, stats] of Object.entries(repoWorkflows)) {
+      workflows.push({
+        repository,
+        workflow,
+        runs: stats.runs,
+        failed: stats.failed,
+        passRate: stats.passRate,
+        medianDurationMinutes: stats.medianDurationMinutes,
+        reruns: stats.reruns,
+        flakyReruns: stats.flakyReruns
+      });
+    }
+  }
+  workflows.sort((a, b) =>
+    a.repository.localeCompare(b.repository) || a.workflow.localeCompare(b.workflow)
+  );
+
+  return {
+    weeks,
+    latestWeek: latestWeek?.week || null,
+    workflows
+  };
+}
@@ -41,7 +41,12 @@ export function generateDashboard(dashboardData) {
     <div id="teamView" class="view-content">
       ${generateOverviewCards(dashboardData.teamStats, dashboardData.trends)}
       ${generateComparisonTable(dashboardData.weeks, dashboardData.comparisons)}
+      ${generatePRFlowSection(dashboardData.prFlow)}
+      ${generateIssuesSection(dashboardData.issues)}
+      ${generateCIHealthSection(dashboardData.ciHealth)}
       ${generateTrendCharts(dashboardData.weeks, dashboardData.trends)}
+      ${generateLanguageSection(dashboardData.languages)}
+      ${generateReleasesSection(dashboardData.releases)}
       ${generateLeaderboards(dashboardData.leaderboards)}
     </div>
     <div id="personView" class="view-content" style="display: none;">
@@ -203,6 +208,234 @@ function generateComparisonTable(weeks, comparisons) {
   return html;
 }
 
+/**
+ * Generate issues section: opened/closed/reopened, median time to close, backlog and
+ * label categories per week, plus a per-repository breakdown of the latest week
+ */
+function generateIssuesSection(issues) {
+  if (!issues || issues.weeks.length === 0) {
+    return '';
+  }
+
+  const formatCategories = (categories) => Object.entries(categories)
+    .sort((a, b) => (b[1].opened + b[1].closed) - (a[1].opened + a[1].closed))
+    .map(([category, counts]) => `${category} ${counts.opened}/${counts.closed}`)
+    .join(', ') || '—';
+
+  const weekRows = [...issues.weeks].reverse().map(week => `
+      <tr>
+        <td class="week-cell">${week.week}</td>
+        <td>${week.issuesOpened.toLocaleString()}</td>
+        <td>${week.issuesClosed.toLocaleString()}</td>
+        <td>${week.issuesReopened.toLocaleString()}</td>
+        <td>${formatHours(week.medianTimeToCloseHours)}</td>
+        <td>${week.openIssues != null ? week.openIssues.toLocaleString() : '—'}</td>
+        <td>${formatCategories(week.issueCategories)}</td>
+      </tr>
+    `).join('');
+
+  const repoRows = issues.repositories.map(repo => `
+      <tr>
+        <td>${repo.repository}</td>
+        <td>${repo.issuesOpened.toLocaleString()}</td>
+        <td>${repo.issuesClosed.toLocaleString()}</td>
+        <td>${repo.issuesReopened.toLocaleString()}</td>
+        <td>${formatHours(repo.medianTimeToCloseHours)}</td>
+        <td>${repo.openIssues != null ? repo.openIssues.toLocaleString() : '—'}</td>
+      </tr>
+    `).join('');
+
+  return `
+    <section>
+      <h2 class="section-header">Issues</h2>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Week</th>
+              <th>Opened</th>
+              <th>Closed</th>
+              <th>Reopened</th>
+              <th>Median Time to Close</th>
+              <th>Open Backlog</th>
+              <th>Categories (opened/closed)</th>
+            </tr>
+          </thead>
+          <tbody>${weekRows}</tbody>
+        </table>
+      </div>
+      ${repoRows ? `
+      <h3 class="section-header">By Repository (${issues.latestWeek})</h3>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Repository</th>
+              <th>Opened</th>
+              <th>Closed</th>
+              <th>Reopened</th>
+              <th>Median Time to Close</th>
+              <th>Open Backlog</th>
+            </tr>
+          </thead>
+          <tbody>${repoRows}</tbody>
+        </table>
+      </div>` : ''}
+    </section>
+  `;
+}
+
+/**
+ * Generate CI health section: workflow runs, pass rate, median duration and flaky reruns
+ * per week, plus a per-workflow breakdown of the latest week
+ */
+function generateCIHealthSection(ciHealth) {
+  if (!ciHealth || ciHealth.weeks.length === 0) {
+    return '';
+  }
+
+  const formatPassRate = (passRate) => {
+    if (passRate === null || passRate === undefined) return '-';
+    const trendClass = passRate >= 90 ? 'trend-positive' : (passRate >= 75 ? 'trend-neutral' : 'trend-negative');
+    return `<span class="${trendClass}">${passRate.toFixed(1)}%</span>`;
+  };
+  const formatMinutes = (minutes) => (minutes === null || minutes === undefined ? '-' : `${minutes.toFixed(1)}m`);
+
+  const weekRows = [...ciHealth.weeks].reverse().map(week => `
+      <tr>
+        <td class="week-cell">${week.week}</td>
+        <td>${week.runs.toLocaleString()}</td>
+        <td>${week.failed.toLocaleString()}</td>
+        <td>${formatPassRate(week.passRate)}</td>
+        <td>${formatMinutes(week.medianDurationMinutes)}</td>
+        <td>${week.reruns.toLocaleString()}</td>
+        <td>${week.flakyReruns.toLocaleString()}</td>
+      </tr>
+    `).join('');
+
+  const workflowRows = ciHealth.workflows.map(workflow => `
+      <tr>
+        <td>${workflow.repository}</td>
+        <td>${escapeHtml(workflow.workflow)}</td>
+        <td>${workflow.runs.toLocaleString()}</td>
+        <td>${workflow.failed.toLocaleString()}</td>
+        <td>${formatPassRate(workflow.passRate)}</td>
+        <td>${formatMinutes(workflow.medianDurationMinutes)}</td>
+        <td>${workflow.reruns.toLocaleString()}</td>
+        <td>${workflow.flakyReruns.toLocaleString()}</td>
+      </tr>
+    `).join('');
+
+  return `
+    <section>
+      <h2 class="section-header">CI Health</h2>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Week</th>
+              <th>Runs</th>
+              <th>Failed</th>
+              <th>Pass Rate</th>
+              <th>Median Duration</th>
+              <th>Reruns</th>
+              <th>Flaky Reruns</th>
+            </tr>
+          </thead>
+          <tbody>${weekRows}</tbody>
+        </table>
+      </div>
+      ${workflowRows ? `
+      <h3 class="section-header">By Workflow (${ciHealth.latestWeek})</h3>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Repository</th>
+              <th>Workflow</th>
+              <th>Runs</th>
+              <th>Failed</th>
+              <th>Pass Rate</th>
+              <th>Median Duration</th>
+              <th>Reruns</th>
+              <th>Flaky Reruns</th>
+            </tr>
+          </thead>
+          <tbody>${workflowRows}</tbody>
+        </table>
+      </div>` : ''}
+    </section>
+  `;
+}
+
+/**
+ * Generate PR flow section: merges, unmerged closes and median review/merge times
+ * per week, plus a per-repository breakdown of the latest week
+ */
+function generatePRFlowSection(prFlow) {
+  if (!prFlow || prFlow.weeks.length === 0) {
+    return '';
+  }
+
+  const weekRows = [...prFlow.weeks].reverse().map(week => `
+      <tr>
+        <td class="week-cell">${week.week}</td>
+        <td>${week.prsMerged.toLocaleString()}</td>
+        <td>${week.prsClosedUnmerged.toLocaleString()}</td>
+        <td>${formatHours(week.medianTimeToFirstReviewHours)}</td>
+        <td>${formatHours(week.medianTimeToMergeHours)}</td>
+      </tr>
+    `).join('');
+
+  const repoRows = prFlow.repositories.map(repo => `
+      <tr>
+        <td>${repo.repository}</td>
+        <td>${repo.prs.toLocaleString()}</td>
+        <td>${repo.prsMerged.toLocaleString()}</td>
+        <td>${repo.prsClosedUnmerged.toLocaleString()}</td>
+        <td>${formatHours(repo.medianTimeToFirstReviewHours)}</td>
+        <td>${formatHours(repo.medianTimeToMergeHours)}</td>
+      </tr>
+    `).join('');
+
+  return `
+    <section>
+      <h2 class="section-header">Pull Request Flow</h2>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Week</th>
+              <th>Merged</th>
+              <th>Closed Unmerged</th>
+              <th>Median Time to First Review</th>
+              <th>Median Time to Merge</th>
+            </tr>
+          </thead>
+          <tbody>${weekRows}</tbody>
+        </table>
+      </div>
+      ${repoRows ? `
+      <h3 class="section-header">By Repository (${prFlow.latestWeek})</h3>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Repository</th>
+              <th>Opened</th>
+              <th>Merged</th>
+              <th>Closed Unmerged</th>
+              <th>Median Time to First Review</th>
+              <th>Median Time to Merge</th>
+            </tr>
+          </thead>
+          <tbody>${repoRows}</tbody>
+        </table>
+      </div>` : ''}
+    </section>
+  `;
+}
+
 /**
  * Generate trend charts using Chart.js
  */
@@ -310,6 +543,135 @@ function generateTrendCharts(weeks, trends) {
   `;
 }
 
+/**
+ * Generate language section: stacked chart of lines changed per language over recent
+ * weeks, plus each repository's language mix for the latest week
+ */
+function generateLanguageSection(languages) {
+  const chartWeeks = (languages?.weeks || []).slice(-10);
+  const hasLanguageData = chartWeeks.some(week => Object.keys(week.linesChanged).length > 0);
+  if (!hasLanguageData) {
+    return '';
+  }
+
+  const colors = ['#1a1a1a', 'rgb(13, 148, 136)', 'rgb(59, 130, 246)', 'rgb(245, 158, 11)', 'rgb(139, 92, 246)', 'rgb(236, 72, 153)'];
+  const seriesNames = [...languages.languages, 'Other'];
+  const datasets = seriesNames.map((language, i) => ({
+    label: language,
+    data: chartWeeks.map(week => week.linesChanged[language] || 0),
+    backgroundColor: language === 'Other' ? 'rgb(156, 163, 175)' : colors[i]
+  }));
+
+  const repoRows = languages.repositories.map(repo => {
+    const mix = repo.languages.slice(0, 3)
+      .map(({ language, linesChanged }) => `${language} ${Math.round((linesChanged / repo.linesChanged) * 100)}%`)
+      .join(', ');
+    return `
+      <tr>
+        <td>${repo.repository}</td>
+        <td>${repo.linesChanged.toLocaleString()}</td>
+        <td>${mix}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <section>
+      <h2 class="section-header">Languages</h2>
+      <div class="chart-card">
+        <canvas id="languagesChart"></canvas>
+      </div>
+      ${repoRows ? `
+      <h3 class="section-header">By Repository (${languages.latestWeek})</h3>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Repository</th>
+              <th>Lines Changed</th>
+              <th>Top Languages</th>
+            </tr>
+          </thead>
+          <tbody>${repoRows}</tbody>
+        </table>
+      </div>` : ''}
+    </section>
+
+    <script>
+      document.addEventListener('DOMContentLoaded', function() {
+        new Chart(document.getElementById('languagesChart').getContext('2d'), {
+          type: 'bar',
+          data: {
+            labels: ${JSON.stringify(chartWeeks.map(week => `W${week.week}`))},
+            datasets: ${JSON.stringify(datasets)}
+          },
+          options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            scales: { x: { stacked: true }, y: { stacked: true, title: { display: true, text: 'Lines changed' } } }
+          }
+        });
+      });
+    </script>
+  `;
+}
+
+/**
+ * Generate releases timeline: releases with their merged PRs, tags and deployments,
+ * newest first
+ */
+function generateReleasesSection(releases) {
+  if (!releases || releases.length === 0) {
+    return '';
+  }
+
+  const rows = releases.slice(0, 50).map(item => {
+    let details = '—';
+    if (item.pullRequests) {
+      details = item.pullRequests.length > 0
+        ? item.pullRequests.map(pr => `#${pr.number} ${escapeHtml(pr.title)}`).join('<br>')
+        : '—';
+    } else if (item.type === 'deployment') {
+      details = `${item.deployments} deployment${item.deployments !== 1 ? 's' : ''}` +
+        (item.failedDeployments > 0 ? `, <span class="trend-negative">${item.failedDeployments} failed</span>` : '');
+    }
+
+    const name = item.url
+      ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.name)}</a>`
+      : escapeHtml(item.name);
+
+    return `
+      <tr>
+        <td class="week-cell">${item.date}</td>
+        <td>${item.type}</td>
+        <td>${item.repository}</td>
+        <td>${name}</td>
+        <td>${details}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <section>
+      <h2 class="section-header">Releases</h2>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th>Repository</th>
+              <th>Release / Environment</th>
+              <th>Pull Requests / Deployments</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </section>
+  `;
+}
+
 /**
  * Generate person view with user selector and charts
  */
@@ -366,6 +728,18 @@ function generatePersonView(weeks) {
             <div class="stat-label">Net Lines Changed</div>
             <div class="stat-value" id="personNetLines">0</div>
           </div>
+          <div class="stat-card">
+            <div class="stat-label">Co-authored Commits</div>
+            <div class="stat-value" id="personCoAuthoredCommits">0</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">PRs Merged</div>
+            <div class="stat-value" id="personPRsMerged">0</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Median Time to Merge</div>
+            <div class="stat-value" id="personMedianTimeToMerge">-</div>
+          </div>
         </div>
       </section>
 
@@ -531,7 +905,8 @@ ${compiledCSS}
     });
 
     function displayPersonData(username) {
-      let totalCommits = 0, totalPRs = 0, totalLinesAdded = 0, totalLinesDeleted = 0;
+      let totalCommits = 0, totalPRs = 0, totalLinesAdded = 0, totalLinesDeleted = 0, totalPRsMerged = 0, totalCoAuthoredCommits = 0;
+      const timeToMergeHours = [];
       const weeklyData = [];
       const dailyData = [];
 
@@ -546,6 +921,8 @@ ${compiledCSS}
         totalPRs += weekData.prs || 0;
         totalLinesAdded += weekData.linesAdded || 0;
         totalLinesDeleted += weekData.linesDeleted || 0;
+        totalPRsMerged += weekData.prsMerged || 0;
+        totalCoAuthoredCommits += weekData.coAuthoredCommits || 0;
 
         weeklyData.push({
           week: week.week,
@@ -558,6 +935,7 @@ ${compiledCSS}
         for (const date in (user.daily || {})) {
           const daily = user.daily[date];
           dailyData.push({ date, commits: daily.commits || 0, prs: daily.prs || 0, linesAdded: daily.linesAdded || 0, linesDeleted: daily.linesDeleted || 0 });
+          timeToMergeHours.push(...(daily.timeToMergeHours || []));
         }
       }
 
@@ -568,11 +946,26 @@ ${compiledCSS}
       document.getElementById('personLinesDeleted').textContent = totalLinesDeleted.toLocaleString();
       document.getElementById('personCodeChurn').textContent = (totalLinesAdded + totalLinesDeleted).toLocaleString();
       document.getElementById('personNetLines').textContent = (totalLinesAdded - totalLinesDeleted).toLocaleString();
+      document.getElementById('personCoAuthoredCommits').textContent = totalCoAuthoredCommits;
+      document.getElementById('personPRsMerged').textContent = totalPRsMerged;
+      document.getElementById('personMedianTimeToMerge').textContent = formatHours(median(timeToMergeHours));
 
       updatePersonCharts(username, weeklyData);
       updateDailyTable(dailyData);
     }
 
+    function median(values) {
+      if (values.length === 0) return null;
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    function formatHours(hours) {
+      if (hours === null || hours === undefined) return '-';
+      return hours < 48 ? hours.toFixed(1) + 'h' : (hours / 24).toFixed(1) + 'd';
+    }
+
     function updatePersonCharts(username, weeklyData) {
       const weekLabels = weeklyData.map(w => 'W' + w.week);
       const commitData = weeklyData.map(w => w.commits);
@@ -688,3 +1081,17 @@ function formatTrendPercent(change) {
   if (change > 0) return `&#8593;${change.toFixed(0)}%`;
   return `&#8595;${Math.abs(change).toFixed(0)}%`;
 }
+
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return '-';
+  return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
@@ -2,6 +2,8 @@
  * Week-over-week comparison logic
  */
 
+import { getPRFlowStatistics, getIssueStatistics } from '../storage/dataAggregator.js';
+
 /**
  * Calculate the percentage change between two values
  * Handles edge cases: zero values, new contributors, etc.
@@ -165,7 +167,8 @@ export function compareWeeks(currentWeekData, previousWeekData) {
 /**
  * Compare multiple weeks and return per-user and per-team metric arrays indexed by week
  * @param {Array<Object>} weeksData - Array of week data objects in chronological order
- * @returns {Object} { weeks, team, users } with time-series data
+ * @returns {Object} { weeks, team, users, repositories } with time-series data, plus shipped
+ *   releases, tags and deployments keyed by week
  */
 export function compareMultipleWeeks(weeksData) {
   if (!weeksData || weeksData.length === 0) {
@@ -183,7 +186,11 @@ export function compareMultipleWeeks(weeksData) {
     linesDeleted: getTotalLinesDeleted(weekData),
     reviewsGiven: getTotalMetric(weekData, 'reviewsGiven'),
     reviewCommentsGiven: getTotalMetric(weekData, 'reviewCommentsGiven'),
-    discussionCommentsGiven: getTotalMetric(weekData, 'discussionCommentsGiven')
+    discussionCommentsGiven: getTotalMetric(weekData, 'discussionCommentsGiven'),
+    ...getPRFlowStatistics(weekData),
+    ...getIssueStatistics(weekData),
+    releases: weekData.shipped?.releases.length || 0,
+    deployments: weekData.shipped?.deployments.length || 0
   }));
 
   // Collect all usernames across all weeks
@@ -210,7 +217,15 @@ export function compareMultipleWeeks(weeksData) {
         linesDeleted: weekly.linesDeleted || 0,
         reviewsGiven: weekly.reviewsGiven || 0,
         reviewCommentsGiven: weekly.reviewCommentsGiven || 0,
-        discussionCommentsGiven: weekly.discussionCommentsGiven || 0
+        discussionCommentsGiven: weekly.discussionCommentsGiven || 0,
+        coAuthoredCommits: weekly.coAuthoredCommits || 0,
+        prsMerged: weekly.prsMerged || 0,
+        prsClosedUnmerged: weekly.prsClosedUnmerged || 0,
+        medianTimeToFirstReviewHours: weekly.medianTimeToFirstReviewHours ?? null,
+        medianTimeToMergeHours: weekly.medianTimeToMergeHours ?? null,
+        issuesOpened: weekly.issuesOpened || 0,
+        issuesClosed: weekly.issuesClosed || 0,
+        issuesReopened: weekly.issuesReopened || 0
       };
     });
   }
@@ -231,7 +246,13 @@ export function compareMultipleWeeks(weeksData) {
     }
   }
 
-  return { weeks, team, users, repositories };
+  // Releases, tags and deployments per week
+  const shipped = {};
+  for (const weekData of weeksData) {
+    shipped[weekData.week] = weekData.shipped || { releases: [], tags: [], deployments: [] };
+  }
+
+  return { weeks, team, users, repositories, shipped };
 }
 
 /**
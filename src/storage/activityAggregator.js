@@ -0,0 +1,258 @@
+/**
+ * Apply collected activity to week data
+ * Shared by the batch collector, the webhook receiver and ledger rebuilds so all of them
+ * count activity the same way
+ */
+
+import { aggregateCommitStats } from '../github/commits.js';
+import { countPRsByUserAndDate, getPRLifecycleEvents } from '../github/pullRequests.js';
+import {
+  countReviewsByUserAndDate,
+  countReviewCommentsByUserAndDate,
+  countDiscussionCommentsByUserAndDate,
+  filterReviewDataByDateRange
+} from '../github/reviews.js';
+import { getIssueEvents } from '../github/issues.js';
+import { splitBotActivity, getBotLogins, separateBotUsers } from '../utils/botClassifier.js';
+import {
+  addCommitToData,
+  addPRToData,
+  addMetricsToRepository,
+  addReviewToData,
+  addReviewCommentsToData,
+  addDiscussionCommentsToData,
+  addCoAuthoredCommitsToData,
+  addPRMergedToData,
+  addPRClosedUnmergedToData,
+  addFirstReviewToData,
+  addIssueOpenedToData,
+  addIssueClosedToData,
+  addIssueReopenedToData,
+  addLanguagesToData,
+  addGeneratedLinesToData,
+  setOpenIssueBacklog,
+  addShippedToData,
+  addWorkflowRunsToData,
+  createEmptyWeekStructure,
+  calculateWeeklyTotals
+} from './dataAggregator.js';
+import { getWeekDateRange, formatWeekString } from '../utils/weekCalculator.js';
+
+/**
+ * Add collected activity to week data by user and date
+ * @param {Object} data - Week data object
+ * @param {Object} activity - { commits, prs, prLifecycle, reviewData, issueEvents }
+ * @param {Object} options - { coAuthorLines, trackRepositories } (repository metrics are only
+ *   updated when trackRepositories is set)
+ */
+export function addActivityToData(
+  data,
+  { commits, prs, prLifecycle, reviewData, issueEvents = { opened: [], closed: [], reopened: [] } },
+  { coAuthorLines, trackRepositories = false }
+) {
+  // Add commits to data
+  const commitStats = aggregateCommitStats(commits, { coAuthorLines });
+  for (const [username, dateStats] of Object.entries(commitStats)) {
+    for (const [date, stats] of Object.entries(dateStats)) {
+      if (stats.commits > 0) {
+        addCommitToData(
+          data,
+          username,
+          date,
+          stats.commits,
+          stats.linesAdded,
+          stats.linesDeleted
+        );
+        addLanguagesToData(data, username, date, stats.languages);
+        addGeneratedLinesToData(data, username, date, stats.generatedLinesChanged);
+      }
+      if (stats.coAuthoredCommits > 0) {
+        addCoAuthoredCommitsToData(
+          data,
+          username,
+          date,
+          stats.coAuthoredCommits,
+          stats.coAuthorLinesAdded,
+          stats.coAuthorLinesDeleted
+        );
+      }
+    }
+  }
+
+  // Add PRs to data
+  const prStats = countPRsByUserAndDate(prs);
+  for (const [username, dateStats] of Object.entries(prStats)) {
+    for (const [date, prCount] of Object.entries(dateStats)) {
+      for (let i = 0; i < prCount; i++) {
+        addPRToData(data, username, date);
+      }
+    }
+  }
+
+  // Add PR lifecycle metrics (user, and repo when tracked)
+  const eventRepository = event => (trackRepositories ? event.repository : null);
+  for (const event of prLifecycle.merged) {
+    addPRMergedToData(data, event.author, event.date, event.hours, eventRepository(event));
+  }
+  for (const event of prLifecycle.closedUnmerged) {
+    addPRClosedUnmergedToData(data, event.author, event.date, eventRepository(event));
+  }
+  for (const event of prLifecycle.firstReviews) {
+    addFirstReviewToData(data, event.author, event.date, event.hours, eventRepository(event));
+  }
+
+  // Add review data
+  const reviewStats = countReviewsByUserAndDate(reviewData.reviews);
+  for (const [username, dateStats] of Object.entries(reviewStats)) {
+    for (const [date, count] of Object.entries(dateStats)) {
+      addReviewToData(data, username, date, count);
+    }
+  }
+
+  const reviewCommentStats = countReviewCommentsByUserAndDate(reviewData.reviewComments);
+  for (const [username, dateStats] of Object.entries(reviewCommentStats)) {
+    for (const [date, count] of Object.entries(dateStats)) {
+      addReviewCommentsToData(data, username, date, count);
+    }
+  }
+
+  const discussionCommentStats = countDiscussionCommentsByUserAndDate(reviewData.discussionComments);
+  for (const [username, dateStats] of Object.entries(discussionCommentStats)) {
+    for (const [date, count] of Object.entries(dateStats)) {
+      addDiscussionCommentsToData(data, username, date, count);
+    }
+  }
+
+  // Add issue activity (user, and repo when tracked)
+  for (const event of issueEvents.opened) {
+    addIssueOpenedToData(data, event.user, event.date, event.category, eventRepository(event));
+  }
+  for (const event of issueEvents.closed) {
+    addIssueClosedToData(data, event.user, event.date, event.hours, event.category, eventRepository(event));
+  }
+  for (const event of issueEvents.reopened) {
+    addIssueReopenedToData(data, event.user, event.date, eventRepository(event));
+  }
+
+  if (!trackRepositories) {
+    return;
+  }
+
+  // Track per-repo metrics
+  for (const commit of commits) {
+    addMetricsToRepository(data, commit.repository, {
+      commits: 1,
+      linesAdded: commit.additions,
+      linesDeleted: commit.deletions,
+      files: commit.files || []
+    });
+  }
+  for (const pr of prs) {
+    addMetricsToRepository(data, pr.repository, { prs: 1 });
+  }
+  for (const review of reviewData.reviews) {
+    addMetricsToRepository(data, review.repository, { reviewsGiven: 1 });
+  }
+  for (const comment of reviewData.reviewComments) {
+    addMetricsToRepository(data, comment.repository, { reviewCommentsGiven: 1 });
+  }
+  for (const comment of reviewData.discussionComments) {
+    addMetricsToRepository(data, comment.repository, { discussionCommentsGiven: 1 });
+  }
+}
+
+/**
+ * Add everything collected for a period to week data: activity by user and date (with bot
+ * activity handled as BOT_MODE asks), the open issue backlog, shipped items and workflow runs
+ * @param {Object} data - Week data object
+ * @param {Object} collected - { commits, prs, activePRs, reviewData, issueActivity, shipped, workflowRuns }
+ *   (reviews, comments, PR lifecycle and issue events are limited to the period here)
+ * @param {Object} options - { since, until, botMode, coAuthorLines, trackRepositories }
+ * @returns {Object} { prs, reviewData } counted as people's activity (input for AI analysis)
+ */
+export function addCollectedActivityToData(
+  data,
+  { commits, prs, activePRs, reviewData, issueActivity, shipped, workflowRuns },
+  { since, until, botMode, coAuthorLines, trackRepositories = false }
+) {
+  // Count reviews and comments by when they were made, not when their PR was opened
+  const periodReviewData = filterReviewDataByDateRange(reviewData, since, until);
+
+  // Bot and service-account activity is left out of people's metrics unless BOT_MODE=include
+  const collectedActivity = { commits, prs, activePRs, reviewData: periodReviewData, issueActivity, shipped };
+  const { people, automation } = splitBotActivity(collectedActivity);
+  const counted = botMode === 'include' ? collectedActivity : people;
+
+  // Merges, unmerged closes and first reviews in the period, for any PR
+  addActivityToData(data, {
+    commits: counted.commits,
+    prs: counted.prs,
+    prLifecycle: getPRLifecycleEvents(counted.activePRs, since, until),
+    reviewData: counted.reviewData,
+    issueEvents: getIssueEvents(counted.issueActivity, since, until)
+  }, { coAuthorLines, trackRepositories });
+
+  // With BOT_MODE=segregate bots are counted separately under `automation`, and the
+  // releases and deployments they made are kept apart under `automationShipped`
+  if (botMode === 'segregate') {
+    addActivityToData(data, {
+      ...automation,
+      prLifecycle: getPRLifecycleEvents(automation.activePRs, since, until),
+      issueEvents: getIssueEvents(automation.issueActivity, since, until)
+    }, { coAuthorLines });
+
+    if (automation.shipped.releases.length > 0 || automation.shipped.deployments.length > 0) {
+      const automationData = { shipped: data.automationShipped };
+      addShippedToData(automationData, automation.shipped);
+      data.automationShipped = automationData.shipped;
+    }
+  }
+
+  for (const [repository, openIssues] of Object.entries(issueActivity.backlog)) {
+    setOpenIssueBacklog(data, repository, openIssues);
+  }
+  addShippedToData(data, counted.shipped);
+  addWorkflowRunsToData(data, workflowRuns);
+  separateBotUsers(data, botMode, getBotLogins(automation));
+
+  return { prs: counted.prs, reviewData: counted.reviewData };
+}
+
+/**
+ * Build a week's data from everything the event ledger holds for it
+ * The week is recomputed from scratch each time, so collecting it again (in full or only
+ * its missing days) gives the same result as collecting it once.
+ * @param {EventLedger} ledger - Loaded ledger
+ * @param {number} year - Year
+ * @param {number} week - ISO week number
+ * @param {Object} options - { botMode, coAuthorLines }
+ * @returns {Object|null} { weekData, prs, reviewData } (prs and reviewData as counted for people),
+ *   or null if the week was never collected
+ */
+export function buildWeekFromLedger(ledger, year, week, { botMode, coAuthorLines }) {
+  const weekStr = formatWeekString(year, week);
+  const { start: since, end: until } = getWeekDateRange(year, week);
+  const collection = ledger.get('collections', weekStr);
+
+  if (!collection) {
+    return null;
+  }
+
+  const weekData = createEmptyWeekStructure(year, week);
+  weekData.repositories = ledger.getWeekRepositories(weekStr);
+
+  const counted = addCollectedActivityToData(
+    weekData,
+    ledger.getCollectedWeek(weekStr, since, until),
+    { since, until, botMode, coAuthorLines, trackRepositories: true }
+  );
+  calculateWeeklyTotals(weekData);
+
+  // When each repository's days were fetched, and what the last collection could not fetch
+  weekData.collectedDays = collection.collectedDays;
+  if (collection.collectionFailures?.length > 0) {
+    weekData.collectionFailures = collection.collectionFailures;
+  }
+
+  return { weekData, ...counted };
+}
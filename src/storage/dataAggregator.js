@@ -1,4 +1,8 @@
-import { getAllDatesInWeek } from '../utils/weekCalculator.js';
+import { getAllDatesInWeek, formatWeekString } from '../utils/weekCalculator.js';
+import { getLanguageBreakdown, addLanguageStats } from '../utils/languageDetector.js';
+import { splitGeneratedChanges } from '../utils/generatedFiles.js';
+import { getTimezoneConfig } from '../config/timezoneConfig.js';
+import { toReportingDate } from '../utils/dateUtils.js';
 
 /**
  * Create an empty week data structure
@@ -8,34 +12,58 @@ import { getAllDatesInWeek } from '../utils/weekCalculator.js';
  * @returns {Object} Empty week data structure
  */
 export function createEmptyWeekStructure(year, week, repos = []) {
-  const weekStr = String(week).padStart(2, '0');
   const dates = getAllDatesInWeek(year, week);
 
   // Initialize repositoryMetrics for each repo
   const repositoryMetrics = {};
   for (const repo of repos) {
-    repositoryMetrics[repo] = {
-      commits: 0,
-      prs: 0,
-      linesAdded: 0,
-      linesDeleted: 0,
-      reviewsGiven: 0,
-      reviewCommentsGiven: 0,
-      discussionCommentsGiven: 0
-    };
+    repositoryMetrics[repo] = createEmptyRepositoryMetrics();
   }
 
   return {
-    week: `${year}-${weekStr}`,
+    week: formatWeekString(year, week),
     weekStart: dates[0],
     weekEnd: dates[dates.length - 1],
     generatedAt: new Date().toISOString(),
+    // Days and the week boundaries are in this timezone
+    timeZone: getTimezoneConfig().timeZone,
     repositories: repos,
     repositoryMetrics,
     users: {}
   };
 }
 
+/**
+ * Create an empty repository metrics entry
+ * @returns {Object} Repository metrics with zeroed counters
+ */
+function createEmptyRepositoryMetrics() {
+  return {
+    commits: 0,
+    prs: 0,
+    linesAdded: 0,
+    linesDeleted: 0,
+    reviewsGiven: 0,
+    reviewCommentsGiven: 0,
+    discussionCommentsGiven: 0,
+    prsMerged: 0,
+    prsClosedUnmerged: 0,
+    timeToFirstReviewHours: [],
+    timeToMergeHours: [],
+    medianTimeToFirstReviewHours: null,
+    medianTimeToMergeHours: null,
+    issuesOpened: 0,
+    issuesClosed: 0,
+    issuesReopened: 0,
+    timeToCloseHours: [],
+    medianTimeToCloseHours: null,
+    openIssues: null,
+    issueCategories: {},
+    generatedLinesChanged: 0,
+    languages: {}
+  };
+}
+
 /**
  * Ensure user entry exists in data structure
  * @param {Object} data - Week data object
@@ -52,7 +80,17 @@ function ensureUserExists(data, username) {
         linesDeleted: 0,
         reviewsGiven: 0,
         reviewCommentsGiven: 0,
-        discussionCommentsGiven: 0
+        discussionCommentsGiven: 0,
+        coAuthoredCommits: 0,
+        prsMerged: 0,
+        prsClosedUnmerged: 0,
+        medianTimeToFirstReviewHours: null,
+        medianTimeToMergeHours: null,
+        issuesOpened: 0,
+        issuesClosed: 0,
+        issuesReopened: 0,
+        generatedLinesChanged: 0,
+        languages: {}
       }
     };
   }
@@ -75,7 +113,17 @@ function ensureDateExists(data, username, date) {
       linesDeleted: 0,
       reviewsGiven: 0,
       reviewCommentsGiven: 0,
-      discussionCommentsGiven: 0
+      discussionCommentsGiven: 0,
+      coAuthoredCommits: 0,
+      prsMerged: 0,
+      prsClosedUnmerged: 0,
+      timeToFirstReviewHours: [],
+      timeToMergeHours: [],
+      issuesOpened: 0,
+      issuesClosed: 0,
+      issuesReopened: 0,
+      generatedLinesChanged: 0,
+      languages: {}
     };
   }
 }
@@ -85,21 +133,33 @@ function ensureDateExists(data, username, date) {
  * @param {Object} data - Week data object
  * @param {string} repository - Repository name (e.g., 'sisp-sweden/ssn-admin')
  * @param {Object} metrics - { commits, prs, linesAdded, linesDeleted, reviewsGiven, etc }
+ *   plus single timeToFirstReviewHours / timeToMergeHours samples. When a commit's changed
+ *   files are given, generated files are left out of the line counts (and reported as
+ *   generatedLinesChanged) and the rest make up the language breakdown.
  */
 export function addMetricsToRepository(data, repository, metrics = {}) {
+  if (metrics.files) {
+    const { files, ...commitMetrics } = metrics;
+    const changes = splitGeneratedChanges({
+      repository,
+      additions: metrics.linesAdded,
+      deletions: metrics.linesDeleted,
+      files
+    });
+    metrics = {
+      ...commitMetrics,
+      linesAdded: changes.additions,
+      linesDeleted: changes.deletions,
+      generatedLinesChanged: changes.generatedLinesChanged,
+      languages: getLanguageBreakdown(changes.files)
+    };
+  }
+
   if (!data.repositoryMetrics) {
     data.repositoryMetrics = {};
   }
   if (!data.repositoryMetrics[repository]) {
-    data.repositoryMetrics[repository] = {
-      commits: 0,
-      prs: 0,
-      linesAdded: 0,
-      linesDeleted: 0,
-      reviewsGiven: 0,
-      reviewCommentsGiven: 0,
-      discussionCommentsGiven: 0
-    };
+    data.repositoryMetrics[repository] = createEmptyRepositoryMetrics();
   }
 
   data.repositoryMetrics[repository].commits += metrics.commits || 0;
@@ -109,13 +169,50 @@ export function addMetricsToRepository(data, repository, metrics = {}) {
   data.repositoryMetrics[repository].reviewsGiven += metrics.reviewsGiven || 0;
   data.repositoryMetrics[repository].reviewCommentsGiven += metrics.reviewCommentsGiven || 0;
   data.repositoryMetrics[repository].discussionCommentsGiven += metrics.discussionCommentsGiven || 0;
+
+  // Entries written before PR lifecycle tracking lack these fields
+  const repoMetrics = data.repositoryMetrics[repository];
+  repoMetrics.prsMerged = (repoMetrics.prsMerged || 0) + (metrics.prsMerged || 0);
+  repoMetrics.prsClosedUnmerged = (repoMetrics.prsClosedUnmerged || 0) + (metrics.prsClosedUnmerged || 0);
+  repoMetrics.timeToFirstReviewHours = repoMetrics.timeToFirstReviewHours || [];
+  repoMetrics.timeToMergeHours = repoMetrics.timeToMergeHours || [];
+  if (metrics.timeToFirstReviewHours !== undefined) {
+    repoMetrics.timeToFirstReviewHours.push(metrics.timeToFirstReviewHours);
+  }
+  if (metrics.timeToMergeHours !== undefined) {
+    repoMetrics.timeToMergeHours.push(metrics.timeToMergeHours);
+  }
+  repoMetrics.medianTimeToFirstReviewHours = calculateMedian(repoMetrics.timeToFirstReviewHours);
+  repoMetrics.medianTimeToMergeHours = calculateMedian(repoMetrics.timeToMergeHours);
+
+  // Entries written before issue tracking lack these fields
+  repoMetrics.issuesOpened = (repoMetrics.issuesOpened || 0) + (metrics.issuesOpened || 0);
+  repoMetrics.issuesClosed = (repoMetrics.issuesClosed || 0) + (metrics.issuesClosed || 0);
+  repoMetrics.issuesReopened = (repoMetrics.issuesReopened || 0) + (metrics.issuesReopened || 0);
+  repoMetrics.timeToCloseHours = repoMetrics.timeToCloseHours || [];
+  if (metrics.timeToCloseHours !== undefined) {
+    repoMetrics.timeToCloseHours.push(metrics.timeToCloseHours);
+  }
+  repoMetrics.medianTimeToCloseHours = calculateMedian(repoMetrics.timeToCloseHours);
+  repoMetrics.issueCategories = repoMetrics.issueCategories || {};
+  if (metrics.issueCategory) {
+    const category = repoMetrics.issueCategories[metrics.issueCategory] || { opened: 0, closed: 0 };
+    category.opened += metrics.issuesOpened || 0;
+    category.closed += metrics.issuesClosed || 0;
+    repoMetrics.issueCategories[metrics.issueCategory] = category;
+  }
+
+  // Entries written before file-level tracking lack these fields
+  repoMetrics.generatedLinesChanged = (repoMetrics.generatedLinesChanged || 0) + (metrics.generatedLinesChanged || 0);
+  repoMetrics.languages = addLanguageStats(repoMetrics.languages || {}, metrics.languages);
 }
 
 /**
- * Add a commit to the data structure
+ * Add commits to the data structure
  * @param {Object} data - Week data object
  * @param {string} username - GitHub username
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} count - Number of commits
  * @param {number} linesAdded - Number of lines added
  * @param {number} linesDeleted - Number of lines deleted
  * @param {string} repository - Repository name for repo metrics tracking
@@ -124,26 +221,70 @@ export function addCommitToData(
   data,
   username,
   date,
+  count = 1,
   linesAdded = 0,
   linesDeleted = 0,
   repository = null
 ) {
   ensureDateExists(data, username, date);
 
-  data.users[username].daily[date].commits += 1;
+  data.users[username].daily[date].commits += count;
   data.users[username].daily[date].linesAdded += linesAdded;
   data.users[username].daily[date].linesDeleted += linesDeleted;
 
   // Track in repository metrics
   if (repository) {
     addMetricsToRepository(data, repository, {
-      commits: 1,
+      commits: count,
       linesAdded,
       linesDeleted
     });
   }
 }
 
+/**
+ * Add commits a user co-authored (via Co-authored-by trailers) to the data structure
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username (co-author)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} count - Number of co-authored commits
+ * @param {number} linesAdded - Lines added credited to the co-author (0 unless lines are split)
+ * @param {number} linesDeleted - Lines deleted credited to the co-author (0 unless lines are split)
+ */
+export function addCoAuthoredCommitsToData(data, username, date, count = 1, linesAdded = 0, linesDeleted = 0) {
+  ensureDateExists(data, username, date);
+  const dayData = data.users[username].daily[date];
+  dayData.coAuthoredCommits = (dayData.coAuthoredCommits || 0) + count;
+  dayData.linesAdded += linesAdded;
+  dayData.linesDeleted += linesDeleted;
+}
+
+/**
+ * Add a per-language line breakdown to a user's day
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} languages - { language: { linesAdded, linesDeleted, files } }
+ */
+export function addLanguagesToData(data, username, date, languages = {}) {
+  ensureDateExists(data, username, date);
+  const dayData = data.users[username].daily[date];
+  dayData.languages = addLanguageStats(dayData.languages || {}, languages);
+}
+
+/**
+ * Add line changes in generated, vendored and lock files to a user's day
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} linesChanged - Generated lines added plus deleted
+ */
+export function addGeneratedLinesToData(data, username, date, linesChanged = 0) {
+  ensureDateExists(data, username, date);
+  const dayData = data.users[username].daily[date];
+  dayData.generatedLinesChanged = (dayData.generatedLinesChanged || 0) + linesChanged;
+}
+
 /**
  * Add a PR to the data structure
  * @param {Object} data - Week data object
@@ -212,6 +353,343 @@ export function addDiscussionCommentsToData(data, username, date, count = 1, rep
   }
 }
 
+/**
+ * Record a merged PR for its author on the merge date
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username (PR author)
+ * @param {string} date - Merge date in YYYY-MM-DD format
+ * @param {number} timeToMergeHours - Hours from PR creation to merge
+ * @param {string} repository - Repository name for repo metrics tracking
+ */
+export function addPRMergedToData(data, username, date, timeToMergeHours, repository = null) {
+  ensureDateExists(data, username, date);
+  const dayData = data.users[username].daily[date];
+  dayData.prsMerged = (dayData.prsMerged || 0) + 1;
+  dayData.timeToMergeHours = [...(dayData.timeToMergeHours || []), timeToMergeHours];
+
+  if (repository) {
+    addMetricsToRepository(data, repository, { prsMerged: 1, timeToMergeHours });
+  }
+}
+
+/**
+ * Record a PR closed without merging for its author on the close date
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username (PR author)
+ * @param {string} date - Close date in YYYY-MM-DD format
+ * @param {string} repository - Repository name for repo metrics tracking
+ */
+export function addPRClosedUnmergedToData(data, username, date, repository = null) {
+  ensureDateExists(data, username, date);
+  const dayData = data.users[username].daily[date];
+  dayData.prsClosedUnmerged = (dayData.prsClosedUnmerged || 0) + 1;
+
+  if (repository) {
+    addMetricsToRepository(data, repository, { prsClosedUnmerged: 1 });
+  }
+}
+
+/**
+ * Record how long a PR waited for its first review, for its author on the review date
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username (PR author)
+ * @param {string} date - First review date in YYYY-MM-DD format
+ * @param {number} timeToFirstReviewHours - Hours from PR creation to first review
+ * @param {string} repository - Repository name for repo metrics tracking
+ */
+export function addFirstReviewToData(data, username, date, timeToFirstReviewHours, repository = null) {
+  ensureDateExists(data, username, date);
+  const dayData = data.users[username].daily[date];
+  dayData.timeToFirstReviewHours = [...(dayData.timeToFirstReviewHours || []), timeToFirstReviewHours];
+
+  if (repository) {
+    addMetricsToRepository(data, repository, { timeToFirstReviewHours });
+  }
+}
+
+/**
+ * Record an issue opened by a user
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username (issue author)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} category - Label category (bug, feature, ...)
+ * @param {string} repository - Repository name for repo metrics tracking
+ */
+export function addIssueOpenedToData(data, username, date, category, repository = null) {
+  ensureDateExists(data, username, date);
+  data.users[username].daily[date].issuesOpened += 1;
+
+  if (repository) {
+    addMetricsToRepository(data, repository, { issuesOpened: 1, issueCategory: category });
+  }
+}
+
+/**
+ * Record an issue closed by a user
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username (who closed the issue)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} timeToCloseHours - Hours from issue creation to close
+ * @param {string} category - Label category (bug, feature, ...)
+ * @param {string} repository - Repository name for repo metrics tracking
+ */
+export function addIssueClosedToData(data, username, date, timeToCloseHours, category, repository = null) {
+  ensureDateExists(data, username, date);
+  data.users[username].daily[date].issuesClosed += 1;
+
+  if (repository) {
+    addMetricsToRepository(data, repository, {
+      issuesClosed: 1,
+      timeToCloseHours,
+      issueCategory: category
+    });
+  }
+}
+
+/**
+ * Record an issue reopened by a user
+ * @param {Object} data - Week data object
+ * @param {string} username - GitHub username (who reopened the issue)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} repository - Repository name for repo metrics tracking
+ */
+export function addIssueReopenedToData(data, username, date, repository = null) {
+  ensureDateExists(data, username, date);
+  data.users[username].daily[date].issuesReopened += 1;
+
+  if (repository) {
+    addMetricsToRepository(data, repository, { issuesReopened: 1 });
+  }
+}
+
+/**
+ * Record a repository's open issue backlog at collection time
+ * @param {Object} data - Week data object
+ * @param {string} repository - Repository name
+ * @param {number} openIssues - Number of open issues
+ */
+export function setOpenIssueBacklog(data, repository, openIssues) {
+  addMetricsToRepository(data, repository);
+  data.repositoryMetrics[repository].openIssues = openIssues;
+}
+
+// How each kind of shipped item is identified (so re-collected items replace rather
+// than duplicate) and which field dates it
+const SHIPPED_ITEMS = {
+  releases: { getKey: item => `${item.repository}#${item.tagName}`, dateField: 'publishedAt' },
+  tags: { getKey: item => `${item.repository}#${item.name}`, dateField: 'date' },
+  deployments: { getKey: item => `${item.repository}#${item.id}`, dateField: 'createdAt' }
+};
+
+/**
+ * Add releases, tags and deployments to the week's shipped items, replacing items
+ * that were already recorded
+ * @param {Object} data - Week data object
+ * @param {Object} shipped - { releases, tags, deployments }
+ */
+export function addShippedToData(data, shipped = {}) {
+  data.shipped = data.shipped || { releases: [], tags: [], deployments: [] };
+
+  for (const [kind, { getKey, dateField }] of Object.entries(SHIPPED_ITEMS)) {
+    const items = new Map((data.shipped[kind] || []).map(item => [getKey(item), item]));
+    for (const item of shipped[kind] || []) {
+      items.set(getKey(item), item);
+    }
+    data.shipped[kind] = [...items.values()].sort((a, b) => a[dateField].localeCompare(b[dateField]));
+  }
+}
+
+/**
+ * Create an empty CI health entry for a workflow
+ * @returns {Object} Workflow stats with zeroed counters
+ */
+function createEmptyWorkflowStats() {
+  return {
+    runs: 0,
+    succeeded: 0,
+    failed: 0,
+    cancelled: 0,
+    reruns: 0,
+    flakyReruns: 0,
+    durationMinutes: [],
+    passRate: null,
+    medianDurationMinutes: null
+  };
+}
+
+/**
+ * Add counts and duration samples of one workflow's runs onto another entry and
+ * recalculate its pass rate and median duration
+ * @param {Object} target - Workflow stats that receive the runs
+ * @param {Object} stats - Workflow stats to add
+ */
+function addWorkflowStats(target, stats) {
+  for (const field of ['runs', 'succeeded', 'failed', 'cancelled', 'reruns', 'flakyReruns']) {
+    target[field] += stats[field] || 0;
+  }
+  target.durationMinutes.push(...(stats.durationMinutes || []));
+
+  // Pass rate leaves out cancelled and skipped runs
+  const decided = target.succeeded + target.failed;
+  target.passRate = decided > 0 ? Math.round((target.succeeded / decided) * 1000) / 10 : null;
+  target.medianDurationMinutes = calculateMedian(target.durationMinutes);
+}
+
+/**
+ * Add GitHub Actions workflow runs to the week's CI health, per repository and workflow.
+ * A rerun is a run with more than one attempt; it is flaky when a later attempt passed.
+ * @param {Object} data - Week data object
+ * @param {Array} runs - Processed workflow runs { repository, workflow, outcome, attempt, durationMinutes }
+ */
+export function addWorkflowRunsToData(data, runs = []) {
+  data.ciHealth = data.ciHealth || {};
+
+  for (const run of runs) {
+    const repoHealth = data.ciHealth[run.repository] || {};
+    const workflowStats = repoHealth[run.workflow] || createEmptyWorkflowStats();
+
+    addWorkflowStats(workflowStats, {
+      runs: 1,
+      succeeded: run.outcome === 'success' ? 1 : 0,
+      failed: run.outcome === 'failure' ? 1 : 0,
+      cancelled: run.outcome === 'cancelled' ? 1 : 0,
+      reruns: run.attempt > 1 ? 1 : 0,
+      flakyReruns: run.attempt > 1 && run.outcome === 'success' ? 1 : 0,
+      durationMinutes: [run.durationMinutes]
+    });
+
+    repoHealth[run.workflow] = workflowStats;
+    data.ciHealth[run.repository] = repoHealth;
+  }
+}
+
+/**
+ * Calculate CI health for a week across all workflows, or for one repository
+ * @param {Object} data - Week data object
+ * @param {string} repository - Optional repository to limit the totals to
+ * @returns {Object} { runs, succeeded, failed, cancelled, reruns, flakyReruns, passRate, medianDurationMinutes }
+ */
+export function getCIStatistics(data, repository = null) {
+  const totals = createEmptyWorkflowStats();
+
+  for (const [repo, workflows] of Object.entries(data.ciHealth || {})) {
+    if (repository && repo !== repository) {
+      continue;
+    }
+    for (const stats of Object.values(workflows)) {
+      addWorkflowStats(totals, stats);
+    }
+  }
+
+  // Samples are only needed for the median
+  delete totals.durationMinutes;
+  return totals;
+}
+
+/**
+ * Calculate the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median rounded to one decimal, or null for an empty list
+ */
+export function calculateMedian(values) {
+  if (!values || values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+
+  return Math.round(median * 10) / 10;
+}
+
+/**
+ * Calculate team-wide PR flow metrics for a week
+ * @param {Object} data - Week data object
+ * @returns {Object} { prsMerged, prsClosedUnmerged, medianTimeToFirstReviewHours, medianTimeToMergeHours }
+ */
+export function getPRFlowStatistics(data) {
+  let prsMerged = 0;
+  let prsClosedUnmerged = 0;
+  const timeToFirstReviewHours = [];
+  const timeToMergeHours = [];
+
+  for (const userData of Object.values(data.users || {})) {
+    for (const dayData of Object.values(userData.daily || {})) {
+      prsMerged += dayData.prsMerged || 0;
+      prsClosedUnmerged += dayData.prsClosedUnmerged || 0;
+      timeToFirstReviewHours.push(...(dayData.timeToFirstReviewHours || []));
+      timeToMergeHours.push(...(dayData.timeToMergeHours || []));
+    }
+  }
+
+  return {
+    prsMerged,
+    prsClosedUnmerged,
+    medianTimeToFirstReviewHours: calculateMedian(timeToFirstReviewHours),
+    medianTimeToMergeHours: calculateMedian(timeToMergeHours)
+  };
+}
+
+/**
+ * Calculate team-wide issue metrics for a week from repository metrics
+ * @param {Object} data - Week data object
+ * @returns {Object} { issuesOpened, issuesClosed, issuesReopened, medianTimeToCloseHours,
+ *   openIssues, issueCategories: { category: { opened, closed } } }
+ */
+export function getIssueStatistics(data) {
+  let issuesOpened = 0;
+  let issuesClosed = 0;
+  let issuesReopened = 0;
+  let openIssues = null;
+  const timeToCloseHours = [];
+  const issueCategories = {};
+
+  for (const metrics of Object.values(data.repositoryMetrics || {})) {
+    issuesOpened += metrics.issuesOpened || 0;
+    issuesClosed += metrics.issuesClosed || 0;
+    issuesReopened += metrics.issuesReopened || 0;
+    timeToCloseHours.push(...(metrics.timeToCloseHours || []));
+
+    // Backlog is unknown for weeks collected before issue tracking
+    if (metrics.openIssues != null) {
+      openIssues = (openIssues || 0) + metrics.openIssues;
+    }
+
+    for (const [category, counts] of Object.entries(metrics.issueCategories || {})) {
+      issueCategories[category] = issueCategories[category] || { opened: 0, closed: 0 };
+      issueCategories[category].opened += counts.opened;
+      issueCategories[category].closed += counts.closed;
+    }
+  }
+
+  return {
+    issuesOpened,
+    issuesClosed,
+    issuesReopened,
+    medianTimeToCloseHours: calculateMedian(timeToCloseHours),
+    openIssues,
+    issueCategories
+  };
+}
+
+/**
+ * Calculate the team-wide language breakdown for a week from repository metrics
+ * @param {Object} data - Week data object
+ * @returns {Object} { language: { linesAdded, linesDeleted, files } }
+ */
+export function getLanguageStatistics(data) {
+  const languages = {};
+
+  for (const metrics of Object.values(data.repositoryMetrics || {})) {
+    addLanguageStats(languages, metrics.languages);
+  }
+
+  return languages;
+}
+
 /**
  * Calculate weekly totals from daily data
  * @param {Object} data - Week data object
@@ -229,6 +707,16 @@ export function calculateWeeklyTotals(data) {
     weekly.reviewsGiven = 0;
     weekly.reviewCommentsGiven = 0;
     weekly.discussionCommentsGiven = 0;
+    weekly.coAuthoredCommits = 0;
+    weekly.prsMerged = 0;
+    weekly.prsClosedUnmerged = 0;
+    weekly.issuesOpened = 0;
+    weekly.issuesClosed = 0;
+    weekly.issuesReopened = 0;
+    weekly.generatedLinesChanged = 0;
+    weekly.languages = {};
+    const timeToFirstReviewHours = [];
+    const timeToMergeHours = [];
 
     // Sum all daily values
     for (const dayData of Object.values(daily)) {
@@ -239,86 +727,113 @@ export function calculateWeeklyTotals(data) {
       weekly.reviewsGiven += dayData.reviewsGiven || 0;
       weekly.reviewCommentsGiven += dayData.reviewCommentsGiven || 0;
       weekly.discussionCommentsGiven += dayData.discussionCommentsGiven || 0;
+      weekly.coAuthoredCommits += dayData.coAuthoredCommits || 0;
+      weekly.prsMerged += dayData.prsMerged || 0;
+      weekly.prsClosedUnmerged += dayData.prsClosedUnmerged || 0;
+      weekly.issuesOpened += dayData.issuesOpened || 0;
+      weekly.issuesClosed += dayData.issuesClosed || 0;
+      weekly.issuesReopened += dayData.issuesReopened || 0;
+      weekly.generatedLinesChanged += dayData.generatedLinesChanged || 0;
+      addLanguageStats(weekly.languages, dayData.languages);
+      timeToFirstReviewHours.push(...(dayData.timeToFirstReviewHours || []));
+      timeToMergeHours.push(...(dayData.timeToMergeHours || []));
     }
+
+    // Medians come from the daily samples, since they can't be summed
+    weekly.medianTimeToFirstReviewHours = calculateMedian(timeToFirstReviewHours);
+    weekly.medianTimeToMergeHours = calculateMedian(timeToMergeHours);
+  }
+
+  // Bots kept apart from users get their own totals
+  if (data.automation) {
+    calculateWeeklyTotals({ users: data.automation });
   }
 }
 
 /**
- * Merge new data with existing data (preserves existing entries)
- * @param {Object} existingData - Existing week data
- * @param {Object} newData - New week data to merge
- * @returns {Object} Merged data
+ * Add one day's metrics onto another day entry (counters summed, sample arrays
+ * concatenated, nested breakdowns such as languages added field by field)
+ * @param {Object} target - Daily entry that receives the metrics
+ * @param {Object} dayData - Daily entry to add
  */
-export function mergeWithExisting(existingData, newData) {
-  const merged = JSON.parse(JSON.stringify(existingData)); // Deep copy
-
-  // Merge user data
-  for (const [username, userData] of Object.entries(newData.users)) {
-    ensureUserExists(merged, username);
-
-    // Merge daily data
-    for (const [date, dayData] of Object.entries(userData.daily)) {
-      if (!merged.users[username].daily[date]) {
-        // New date, add it
-        merged.users[username].daily[date] = { ...dayData };
-      }
-      // If date exists, keep existing data (don't overwrite)
+function addDayMetrics(target, dayData) {
+  for (const [field, value] of Object.entries(dayData)) {
+    if (Array.isArray(value)) {
+      target[field] = [...(target[field] || []), ...value];
+    } else if (typeof value === 'number') {
+      target[field] = (target[field] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      target[field] = target[field] || {};
+      addDayMetrics(target[field], value);
     }
   }
+}
 
-  // Update repositories list
-  if (newData.repositories && newData.repositories.length > 0) {
-    merged.repositories = [
-      ...new Set([...merged.repositories, ...newData.repositories])
-    ];
+/**
+ * Move one user's daily metrics onto another user (e.g. an alias onto a canonical login)
+ * Counters are summed and sample arrays concatenated; call calculateWeeklyTotals afterwards
+ * @param {Object} data - Week data object
+ * @param {string} fromUsername - Username to remove
+ * @param {string} toUsername - Username that receives the metrics
+ */
+export function mergeUserData(data, fromUsername, toUsername) {
+  const fromUser = data.users[fromUsername];
+  if (!fromUser || fromUsername === toUsername) {
+    return;
   }
 
-  // Update generated timestamp
-  merged.generatedAt = new Date().toISOString();
-
-  // Recalculate weekly totals
-  calculateWeeklyTotals(merged);
+  for (const [date, dayData] of Object.entries(fromUser.daily)) {
+    ensureDateExists(data, toUsername, date);
+    addDayMetrics(data.users[toUsername].daily[date], dayData);
+  }
 
-  return merged;
+  // Users without daily entries still keep their key
+  ensureUserExists(data, toUsername);
+  delete data.users[fromUsername];
 }
 
 /**
- * Get missing dates in the week for which we have no data
+ * Move a user (bot or service account) from users to the automation bucket,
+ * so their activity is kept but left out of team totals
  * @param {Object} data - Week data object
- * @param {Array} allDatesInWeek - Array of all dates in the week
- * @returns {Array} Array of missing dates
+ * @param {string} username - Username to move
  */
-export function getMissingDates(data, allDatesInWeek) {
-  const missingDates = [];
-
-  for (const date of allDatesInWeek) {
-    // Check if any user has data for this date
-    let hasDataForDate = false;
-
-    for (const userData of Object.values(data.users)) {
-      if (userData.daily[date]) {
-        const dayData = userData.daily[date];
-        const hasActivity =
-          dayData.commits > 0 || dayData.prs > 0 ||
-          dayData.linesAdded > 0 || dayData.linesDeleted > 0;
-
-        if (hasActivity) {
-          hasDataForDate = true;
-          break;
-        }
-      }
-    }
+export function moveUserToAutomation(data, username) {
+  const userData = data.users[username];
+  if (!userData) {
+    return;
+  }
 
-    if (!hasDataForDate) {
-      missingDates.push(date);
-    }
+  // The automation bucket has the same shape as users
+  const automation = { users: data.automation || {} };
+  for (const [date, dayData] of Object.entries(userData.daily)) {
+    ensureDateExists(automation, username, date);
+    addDayMetrics(automation.users[username].daily[date], dayData);
   }
+  ensureUserExists(automation, username);
 
-  return missingDates;
+  data.automation = automation.users;
+  delete data.users[username];
 }
 
 /**
- * Check if week data is complete (has data for all dates)
+ * Get the dates in the week that still need collecting
+ * A day is complete for a repository once it was fetched after the day ended (in the
+ * reporting timezone); quiet days are complete like any other.
+ * @param {Object} collectedDays - { repository: { date: fetchedAt } } (from the week's collection)
+ * @param {Array} allDatesInWeek - Array of all dates in the week
+ * @param {Array<string>} repositories - 'owner/repo' names that must be complete
+ * @returns {Array} Array of missing dates
+ */
+export function getMissingDates(collectedDays = {}, allDatesInWeek, repositories) {
+  return allDatesInWeek.filter(date => repositories.some(repository => {
+    const fetchedAt = collectedDays[repository]?.[date];
+    return !fetchedAt || toReportingDate(fetchedAt) <= date;
+  }));
+}
+
+/**
+ * Check if week data is complete (every day fetched after it ended, for every repository)
  * @param {Object} data - Week data object
  * @returns {boolean}
  */
@@ -328,7 +843,7 @@ export function isWeekDataComplete(data) {
     parseInt(data.week.split('-')[1], 10)
   );
 
-  const missingDates = getMissingDates(data, allDates);
+  const missingDates = getMissingDates(data.collectedDays, allDates, data.repositories);
   return missingDates.length === 0;
 }
 
@@ -342,6 +857,10 @@ export function getWeekStatistics(data) {
   let totalPRs = 0;
   let totalLinesAdded = 0;
   let totalLinesDeleted = 0;
+  let totalPRsMerged = 0;
+  let totalIssuesOpened = 0;
+  let totalIssuesClosed = 0;
+  let totalGeneratedLinesChanged = 0;
   let activeUsers = 0;
 
   for (const userData of Object.values(data.users)) {
@@ -353,13 +872,27 @@ export function getWeekStatistics(data) {
     totalPRs += weekly.prs;
     totalLinesAdded += weekly.linesAdded;
     totalLinesDeleted += weekly.linesDeleted;
+    totalPRsMerged += weekly.prsMerged || 0;
+    totalIssuesOpened += weekly.issuesOpened || 0;
+    totalIssuesClosed += weekly.issuesClosed || 0;
+    totalGeneratedLinesChanged += weekly.generatedLinesChanged || 0;
   }
 
+  const ci = getCIStatistics(data);
+
   return {
     totalCommits,
     totalPRs,
     totalLinesAdded,
     totalLinesDeleted,
+    totalPRsMerged,
+    totalIssuesOpened,
+    totalIssuesClosed,
+    totalGeneratedLinesChanged,
+    totalReleases: data.shipped?.releases.length || 0,
+    totalDeployments: data.shipped?.deployments.length || 0,
+    ciRuns: ci.runs,
+    ciPassRate: ci.passRate,
     activeUsers,
     averageCommitsPerUser:
       activeUsers > 0 ? Math.round(totalCommits / activeUsers) : 0,
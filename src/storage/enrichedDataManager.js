@@ -80,11 +80,14 @@ export function buildEnrichedData(weekData, reviewData, aiAnalysis) {
       reviews: reviewData.reviews,
       reviewComments: reviewData.reviewComments,
       discussionComments: reviewData.discussionComments,
+      // PRs whose reviews/comments came back short of GitHub's reported totals
+      truncatedPRs: reviewData.truncatedPRs || [],
       stats: {
         totalReviews: reviewData.reviews.length,
         totalReviewComments: reviewData.reviewComments.length,
         totalDiscussionComments: reviewData.discussionComments.length,
-        uniqueReviewers: new Set(reviewData.reviews.map(r => r.reviewer)).size
+        uniqueReviewers: new Set(reviewData.reviews.map(r => r.reviewer)).size,
+        truncatedPRs: (reviewData.truncatedPRs || []).length
       }
     },
 
@@ -0,0 +1,388 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { toReportingDate, addCalendarDays } from '../utils/dateUtils.js';
+import { getWeekForDate, formatWeekString } from '../utils/weekCalculator.js';
+
+// How each kind of record is identified. A record collected again with different content
+// (e.g. a PR that has since been merged) is appended as a new version of the same record.
+const RECORD_KINDS = {
+  commits: commit => commit.sha,
+  pullRequests: pr => `${pr.repository}#${pr.number}`,
+  reviews: review => String(review.id),
+  reviewComments: comment => String(comment.id),
+  discussionComments: comment => String(comment.id),
+  issues: issue => `${issue.repository}#${issue.number}`,
+  issueEvents: event => `${event.repository}#${event.number}:${event.event}:${event.createdAt}`,
+  releases: release => `${release.repository}#${release.tagName}`,
+  tags: tag => `${tag.repository}#${tag.name}`,
+  deployments: deployment => `${deployment.repository}#${deployment.id}`,
+  workflowRuns: run => `${run.repository}#${run.id}`,
+  // One per week: when each repository's days were fetched, and the week's repositories and backlog
+  collections: collection => collection.week
+};
+
+/**
+ * Check whether a timestamp falls on a day in a collection's date range
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @param {Object} scope - { since, until } (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isInRange(timestamp, { since, until }) {
+  const date = timestamp && toReportingDate(timestamp);
+  return Boolean(date) && date >= since && date <= until;
+}
+
+// Which recorded records a collection of a date range fetches again, so those it no longer
+// finds (force-pushed commits, deleted reviews, ...) can be removed. Commits are listed by
+// commit date, PRs by last update, and reviews and comments with their PR.
+const RECORD_COVERAGE = {
+  commits: (commit, scope) => isInRange(commit.committedAt || commit.date, scope),
+  pullRequests: (pr, scope) => toReportingDate(pr.updatedAt) >= scope.since,
+  reviews: (review, scope) => scope.fetchedPRs.has(`${review.repository}#${review.prNumber}`),
+  reviewComments: (comment, scope) => scope.fetchedPRs.has(`${comment.repository}#${comment.prNumber}`),
+  discussionComments: (comment, scope) => scope.fetchedPRs.has(`${comment.repository}#${comment.prNumber}`),
+  // Issues created (and events made) in the range were updated in it, so they are always listed
+  issues: (issue, scope) => isInRange(issue.createdAt, scope),
+  issueEvents: (event, scope) => isInRange(event.createdAt, scope),
+  releases: (release, scope) => isInRange(release.publishedAt, scope),
+  tags: (tag, scope) => isInRange(tag.date, scope),
+  deployments: (deployment, scope) => isInRange(deployment.createdAt, scope),
+  workflowRuns: (run, scope) => isInRange(run.createdAt, scope)
+};
+
+// When each kind of record is counted in week data. Commits are listed by commit date but
+// counted by author date, so a collection can change weeks other than the one it was for.
+const COUNTED_AT = {
+  commits: commit => [commit.date],
+  pullRequests: pr => [pr.createdAt, pr.mergedAt, pr.closedAt, pr.firstReviewAt],
+  reviews: review => [review.submittedAt],
+  reviewComments: comment => [comment.createdAt],
+  discussionComments: comment => [comment.createdAt],
+  issues: issue => [issue.createdAt, issue.closedAt],
+  issueEvents: event => [event.createdAt],
+  releases: release => [release.publishedAt],
+  tags: tag => [tag.date],
+  deployments: deployment => [deployment.createdAt],
+  workflowRuns: run => [run.createdAt],
+  collections: () => []
+};
+
+/**
+ * Append-only ledger of the normalized records every collection fetched, one JSON Lines
+ * file per kind of record. Lines are never rewritten; the latest version of a record wins,
+ * and a record removed from GitHub is ended by a tombstone line ({ id, deleted: true }).
+ */
+export class EventLedger {
+  /**
+   * @param {string} directory - Ledger directory
+   */
+  constructor(directory) {
+    if (!directory) {
+      throw new Error('Ledger directory is required');
+    }
+
+    this.directory = directory;
+    this.records = new Map();
+    this.hashes = new Map();
+    this.stats = {
+      appended: 0
+    };
+
+    for (const kind of Object.keys(RECORD_KINDS)) {
+      this.records.set(kind, new Map());
+      this.hashes.set(kind, new Map());
+    }
+  }
+
+  /**
+   * Load the latest version of every record from disk
+   * @returns {Promise<EventLedger>} This ledger
+   */
+  async load() {
+    for (const kind of Object.keys(RECORD_KINDS)) {
+      let content;
+      try {
+        content = await fs.readFile(this.getKindPath(kind), 'utf-8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue; // Nothing recorded of this kind yet
+        }
+        throw error;
+      }
+
+      for (const line of content.split('\n').filter(Boolean)) {
+        const { id, record, deleted } = JSON.parse(line);
+        if (deleted) {
+          this.records.get(kind).delete(id);
+          this.hashes.get(kind).delete(id);
+        } else {
+          this.records.get(kind).set(id, record);
+          this.hashes.get(kind).set(id, this.getHash(record));
+        }
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Append records that are new or changed since their latest version
+   * With a scope, the records replace everything the collection covers: recorded records of
+   * the scope's repositories that it would have fetched again but didn't get a tombstone.
+   * @param {string} kind - Record kind (e.g. 'commits')
+   * @param {Array} records - Normalized records, as the collectors return them
+   * @param {Object} options - { scope, touchedDates } (both optional). scope is
+   *   { since, until, repositories: Set, fetchedPRs: Set }; the days the old and new versions
+   *   of appended records are counted on are added to the touchedDates Set.
+   * @returns {Promise<number>} Number of records appended (tombstones included)
+   */
+  async append(kind, records, { scope = null, touchedDates = null } = {}) {
+    const getId = RECORD_KINDS[kind];
+    if (!getId) {
+      throw new Error(`Unknown ledger record kind: ${kind}`);
+    }
+
+    // The same record can be collected twice in one run; the last copy wins
+    const batch = new Map(records.map(record => [String(getId(record)), record]));
+    const recordedAt = new Date().toISOString();
+    const lines = [];
+    const touch = record => {
+      for (const timestamp of COUNTED_AT[kind](record).filter(Boolean)) {
+        touchedDates?.add(toReportingDate(timestamp));
+      }
+    };
+
+    for (const [id, record] of batch) {
+      const hash = this.getHash(record);
+      if (this.hashes.get(kind).get(id) === hash) {
+        continue;
+      }
+
+      const previous = this.records.get(kind).get(id);
+      if (previous) {
+        touch(previous);
+      }
+      touch(record);
+      lines.push(JSON.stringify({ id, recordedAt, record }));
+      this.records.get(kind).set(id, record);
+      this.hashes.get(kind).set(id, hash);
+    }
+
+    if (scope) {
+      for (const [id, record] of this.records.get(kind)) {
+        const isGone = !batch.has(id) &&
+          scope.repositories.has(record.repository) &&
+          RECORD_COVERAGE[kind](record, scope);
+        if (isGone) {
+          touch(record);
+          lines.push(JSON.stringify({ id, recordedAt, deleted: true }));
+          this.records.get(kind).delete(id);
+          this.hashes.get(kind).delete(id);
+        }
+      }
+    }
+
+    if (lines.length > 0) {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.appendFile(this.getKindPath(kind), lines.join('\n') + '\n', 'utf-8');
+      this.stats.appended += lines.length;
+    }
+
+    return lines.length;
+  }
+
+  /**
+   * Append everything a collection fetched for a week
+   * The week's collection record notes when each repository's days were fetched
+   * (collectedDays: { repository: { date: fetchedAt } }); days of repositories that failed
+   * to collect are left out, so they are fetched again on the next run. For the other
+   * repositories the fetched records replace what was recorded for the same days.
+   * Repositories collected by earlier runs stay part of the week when a run covers fewer.
+   * @param {string} week - Week string ('YYYY-WW')
+   * @param {Object} collected - { commits, prs, activePRs, reviewData, issueActivity, shipped, workflowRuns }
+   * @param {Object} details - { since, until, fetchedAt, repositories, collectionFailures }
+   * @returns {Promise<Object>} { appended, touchedWeeks } where touchedWeeks are the other weeks
+   *   whose counted activity changed (e.g. a commit pushed now but authored weeks ago)
+   */
+  async recordCollection(week, collected, { since, until, fetchedAt, repositories, collectionFailures }) {
+    const { commits, prs, activePRs, reviewData, issueActivity, shipped, workflowRuns } = collected;
+    const previous = this.get('collections', week);
+
+    const failedRepositories = new Set(collectionFailures.map(failure => failure.repository));
+    const completeRepositories = repositories.filter(name => !failedRepositories.has(name));
+    const collectedDays = structuredClone(previous?.collectedDays || {});
+    for (const repository of completeRepositories) {
+      collectedDays[repository] = collectedDays[repository] || {};
+      for (let date = since; date <= until; date = addCalendarDays(date, 1)) {
+        collectedDays[repository][date] = fetchedAt;
+      }
+    }
+
+    // Repositories earlier runs collected days for keep counting, e.g. after a narrower run
+    const weekRepositories = [...new Set([...Object.keys(collectedDays), ...repositories])];
+
+    // Truncation found by earlier runs still applies to PRs this run didn't fetch
+    const truncatedPRs = new Map(
+      [...(previous?.truncatedPRs || []), ...(reviewData.truncatedPRs || [])]
+        .map(pr => [`${pr.repository}#${pr.prNumber}`, pr])
+    );
+
+    // Reviews and comments are complete for every PR fetched without truncation
+    const truncatedKeys = new Set((reviewData.truncatedPRs || []).map(pr => `${pr.repository}#${pr.prNumber}`));
+    const scope = {
+      since,
+      until,
+      repositories: new Set(completeRepositories),
+      fetchedPRs: new Set(activePRs.map(pr => `${pr.repository}#${pr.number}`).filter(key => !truncatedKeys.has(key)))
+    };
+
+    const touchedDates = new Set();
+    const options = { scope, touchedDates };
+    const counts = [
+      await this.append('commits', commits, options),
+      // Active PRs carry first-review times, so they replace the same PRs from the opened list
+      await this.append('pullRequests', [...prs, ...activePRs], options),
+      await this.append('reviews', reviewData.reviews, options),
+      await this.append('reviewComments', reviewData.reviewComments, options),
+      await this.append('discussionComments', reviewData.discussionComments, options),
+      await this.append('issues', issueActivity.issues, options),
+      await this.append('issueEvents', issueActivity.events, options),
+      await this.append('releases', shipped.releases, options),
+      await this.append('tags', shipped.tags, options),
+      await this.append('deployments', shipped.deployments, options),
+      await this.append('workflowRuns', workflowRuns, options),
+      await this.append('collections', [{
+        week,
+        repositories: weekRepositories,
+        collectedDays,
+        openIssues: issueActivity.backlog,
+        truncatedPRs: [...truncatedPRs.values()],
+        collectionFailures
+      }])
+    ];
+
+    const touchedWeeks = new Set([...touchedDates].map(date => {
+      const { year, week: weekNumber } = getWeekForDate(date);
+      return formatWeekString(year, weekNumber);
+    }));
+    touchedWeeks.delete(week);
+
+    return {
+      appended: counts.reduce((sum, count) => sum + count, 0),
+      touchedWeeks: [...touchedWeeks].sort()
+    };
+  }
+
+  /**
+   * Select a week's records, in the shape the collectors return them
+   * Only the week's repositories (every repository collected for it) are included.
+   * @param {string} week - Week string ('YYYY-WW')
+   * @param {string} since - Week start date (YYYY-MM-DD)
+   * @param {string} until - Week end date (YYYY-MM-DD)
+   * @returns {Object|null} { commits, prs, activePRs, reviewData, issueActivity, shipped, workflowRuns },
+   *   or null if the week was never collected
+   */
+  getCollectedWeek(week, since, until) {
+    const collection = this.get('collections', week);
+    if (!collection) {
+      return null;
+    }
+
+    const tracked = new Set(this.getWeekRepositories(week));
+    const inWeek = timestamp => {
+      const date = timestamp && toReportingDate(timestamp);
+      return Boolean(date) && date >= since && date <= until;
+    };
+    const select = (kind, isInWeek = () => true) =>
+      this.getRecords(kind).filter(record => tracked.has(record.repository) && isInWeek(record));
+
+    // Active PRs are those updated since the week started, as the REST collector fetches them
+    const activePRs = select('pullRequests', pr =>
+      toReportingDate(pr.updatedAt) >= since && toReportingDate(pr.createdAt) <= until);
+
+    // Reviews, comments and issue events are limited to the week when they are counted
+    return {
+      commits: select('commits', commit => inWeek(commit.date)),
+      prs: activePRs.filter(pr => inWeek(pr.createdAt)),
+      activePRs,
+      reviewData: {
+        reviews: select('reviews'),
+        reviewComments: select('reviewComments'),
+        discussionComments: select('discussionComments'),
+        truncatedPRs: collection.truncatedPRs
+      },
+      issueActivity: {
+        issues: select('issues'),
+        events: select('issueEvents'),
+        backlog: collection.openIssues
+      },
+      shipped: {
+        releases: select('releases', release => inWeek(release.publishedAt)),
+        tags: select('tags', tag => inWeek(tag.date)),
+        deployments: select('deployments', deployment => inWeek(deployment.createdAt))
+      },
+      workflowRuns: select('workflowRuns', run => inWeek(run.createdAt))
+    };
+  }
+
+  /**
+   * Get a week's repositories: those its last collection tracked and those earlier
+   * collections fetched days for (collection records from before runs were merged only
+   * list the last run's repositories)
+   * @param {string} week - Week string ('YYYY-WW')
+   * @returns {string[]} Repository names ('owner/repo'), empty if the week was never collected
+   */
+  getWeekRepositories(week) {
+    const collection = this.get('collections', week);
+    if (!collection) {
+      return [];
+    }
+    return [...new Set([...collection.repositories, ...Object.keys(collection.collectedDays || {})])];
+  }
+
+  /**
+   * Get the latest version of every record of a kind
+   * @param {string} kind - Record kind
+   * @returns {Array} Records
+   */
+  getRecords(kind) {
+    return [...(this.records.get(kind)?.values() || [])];
+  }
+
+  /**
+   * Get the latest version of a record
+   * @param {string} kind - Record kind
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record or null if not recorded
+   */
+  get(kind, id) {
+    return this.records.get(kind)?.get(id) || null;
+  }
+
+  /**
+   * Get a content hash of a record, to skip appending unchanged records
+   * @param {Object} record - Record
+   * @returns {string} Hash
+   */
+  getHash(record) {
+    return crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex');
+  }
+
+  /**
+   * Get the file path for a kind of record
+   * @param {string} kind - Record kind
+   * @returns {string} File path
+   */
+  getKindPath(kind) {
+    return path.join(this.directory, `${kind}.jsonl`);
+  }
+
+  /**
+   * Get ledger statistics
+   * @returns {Object} { appended }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
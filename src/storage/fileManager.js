@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
+import { formatWeekString } from '../utils/weekCalculator.js';
 
 /**
  * File manager for GitHub data JSON files
@@ -14,8 +15,7 @@ import chalk from 'chalk';
  * @returns {string} Full file path
  */
 export function getOutputPath(outputDirectory, year, week) {
-  const weekStr = String(week).padStart(2, '0');
-  const filename = `${year}-${weekStr}.json`;
+  const filename = `${formatWeekString(year, week)}.json`;
   return path.join(outputDirectory, filename);
 }
 
@@ -215,36 +215,3 @@ export async function loadMultipleWeeks(outputDirectory, weekList) {
 
   return results;
 }
-
-/**
- * Get the previous week for a given year and week
- * @param {number} year - The year
- * @param {number} week - The ISO week number
- * @returns {Object} { year, week } for the previous week, or null if none exists
- */
-export function getPreviousWeek(year, week) {
-  if (week > 1) {
-    return {
-      year,
-      week: week - 1
-    };
-  } else {
-    // Previous week is from previous year (week 52 or 53)
-    // Note: This assumes week 52 or 53 for previous year; for proper handling,
-    // you might need to check if previous year's last week is 52 or 53
-    return {
-      year: year - 1,
-      week: 52 // Could be 53 depending on the year
-    };
-  }
-}
-
-/**
- * Format week and year as a string
- * @param {number} year - The year
- * @param {number} week - The ISO week number
- * @returns {string} e.g., '2025-52'
- */
-function formatWeekString(year, week) {
-  return `${year}-${String(week).padStart(2, '0')}`;
-}
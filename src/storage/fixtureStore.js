@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * On-disk store of recorded request/response pairs, one JSON file per request.
+ * Entries are keyed by a hash of the request, so replay does not depend on the
+ * order (or concurrency) in which requests are made.
+ */
+export class FixtureStore {
+  /**
+   * @param {string} directory - Fixture directory
+   * @param {string} mode - 'record' or 'replay'
+   */
+  constructor(directory, mode) {
+    if (!directory) {
+      throw new Error('Fixture directory is required');
+    }
+
+    this.directory = directory;
+    this.mode = mode;
+    this.stats = {
+      recorded: 0,
+      replayed: 0
+    };
+  }
+
+  /**
+   * Get the fixture key for a request
+   * @param {Object} request - Serializable request description
+   * @returns {string} Fixture key
+   */
+  getKey(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  }
+
+  /**
+   * Save a request and its outcome
+   * @param {Object} request - Serializable request description
+   * @param {Object} outcome - { response } or { error }
+   * @returns {Promise<void>}
+   */
+  async record(request, outcome) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      this.getEntryPath(this.getKey(request)),
+      JSON.stringify({ request, ...outcome }, null, 2),
+      'utf-8'
+    );
+    this.stats.recorded++;
+  }
+
+  /**
+   * Load the recorded outcome of a request
+   * @param {Object} request - Serializable request description
+   * @param {string} label - Request label for the error message (e.g. 'GET /repos/...')
+   * @returns {Promise<Object>} { request, response } or { request, error }
+   * @throws {Error} If the request was never recorded (error.fixtureMissing is set)
+   */
+  async replay(request, label) {
+    try {
+      const content = await fs.readFile(this.getEntryPath(this.getKey(request)), 'utf-8');
+      this.stats.replayed++;
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw Object.assign(new Error(
+          `No recorded fixture for ${label} in ${this.directory}. ` +
+          'Re-run with FIXTURE_MODE=record to capture it.'
+        ), { fixtureMissing: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the file path for a fixture key
+   * @param {string} key - Fixture key
+   * @returns {string} File path
+   */
+  getEntryPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Get fixture statistics
+   * @returns {Object} { recorded, replayed }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
@@ -0,0 +1,141 @@
+import { botAccounts, botPatterns } from '../config/bots.js';
+import { matchesAnyPattern } from './patternMatcher.js';
+import { extractUsername } from '../github/commits.js';
+import { canonicalLogin } from './identityRegistry.js';
+import { moveUserToAutomation } from '../storage/dataAggregator.js';
+
+/**
+ * Bot and service-account classification
+ * One classifier for collection and reporting, driven by src/config/bots.js
+ */
+
+const BOT_ACCOUNTS = new Set(botAccounts.map(login => login.toLowerCase()));
+
+/**
+ * Check whether an account is a bot or service account
+ * @param {string} login - GitHub login or username key
+ * @param {string|null} type - Account type reported by GitHub ('Bot', 'User', ...)
+ * @returns {boolean} True for bots
+ */
+export function isBotAccount(login, type = null) {
+  if (type === 'Bot') {
+    return true;
+  }
+  if (!login) {
+    return false;
+  }
+
+  const normalized = login.toLowerCase();
+  return BOT_ACCOUNTS.has(normalized) || matchesAnyPattern(normalized, botPatterns);
+}
+
+/**
+ * Split collected activity into people's and bots' activity
+ * Issues are split by author and issue events by actor; releases by author and deployments
+ * by creator (tags have neither). The open issue backlog can't be split and stays with people.
+ * @param {Object} activity - { commits, prs, activePRs, reviewData, issueActivity, shipped }
+ *   (issueActivity and shipped are optional)
+ * @returns {Object} { people, automation }, each shaped like the input
+ */
+export function splitBotActivity({
+  commits,
+  prs,
+  activePRs,
+  reviewData,
+  issueActivity = { issues: [], events: [], backlog: {} },
+  shipped = { releases: [], tags: [], deployments: [] }
+}) {
+  const split = (items = [], isBot) => [items.filter(item => !isBot(item)), items.filter(isBot)];
+
+  const [peopleCommits, botCommits] = split(commits, commit =>
+    isBotAccount(commit.authorLogin || extractUsername(commit), commit.authorType));
+  const [peoplePRs, botPRs] = split(prs, pr => isBotAccount(pr.author, pr.authorType));
+  const [peopleActivePRs, botActivePRs] = split(activePRs, pr => isBotAccount(pr.author, pr.authorType));
+  const [peopleReviews, botReviews] = split(reviewData.reviews, review =>
+    isBotAccount(review.reviewer, review.reviewerType));
+  const [peopleReviewComments, botReviewComments] = split(reviewData.reviewComments, comment =>
+    isBotAccount(comment.author, comment.authorType));
+  const [peopleDiscussionComments, botDiscussionComments] = split(reviewData.discussionComments, comment =>
+    isBotAccount(comment.author, comment.authorType));
+  const [peopleIssues, botIssues] = split(issueActivity.issues, issue =>
+    isBotAccount(issue.author, issue.authorType));
+  const [peopleIssueEvents, botIssueEvents] = split(issueActivity.events, event =>
+    isBotAccount(event.actor, event.actorType));
+  const [peopleReleases, botReleases] = split(shipped.releases, release => isBotAccount(release.author));
+  const [peopleDeployments, botDeployments] = split(shipped.deployments, deployment =>
+    isBotAccount(deployment.creator));
+
+  return {
+    people: {
+      commits: peopleCommits,
+      prs: peoplePRs,
+      activePRs: peopleActivePRs,
+      reviewData: {
+        ...reviewData,
+        reviews: peopleReviews,
+        reviewComments: peopleReviewComments,
+        discussionComments: peopleDiscussionComments
+      },
+      issueActivity: { ...issueActivity, issues: peopleIssues, events: peopleIssueEvents },
+      shipped: { ...shipped, releases: peopleReleases, deployments: peopleDeployments }
+    },
+    automation: {
+      commits: botCommits,
+      prs: botPRs,
+      activePRs: botActivePRs,
+      reviewData: {
+        ...reviewData,
+        reviews: botReviews,
+        reviewComments: botReviewComments,
+        discussionComments: botDiscussionComments,
+        truncatedPRs: []
+      },
+      issueActivity: { issues: botIssues, events: botIssueEvents, backlog: {} },
+      shipped: { releases: botReleases, tags: [], deployments: botDeployments }
+    }
+  };
+}
+
+/**
+ * Collect the usernames of bot activity, including bots only GitHub's account type identifies
+ * @param {Object} automation - Bot activity from splitBotActivity
+ * @returns {Set<string>} Bot usernames as they are keyed in week data
+ */
+export function getBotLogins({ commits, prs, reviewData, issueActivity }) {
+  return new Set([
+    ...(issueActivity?.issues || []).map(issue => canonicalLogin(issue.author)),
+    ...(issueActivity?.events || []).map(event => canonicalLogin(event.actor)),
+    ...commits.map(commit => extractUsername(commit)),
+    ...prs.map(pr => canonicalLogin(pr.author)),
+    ...reviewData.reviews.map(review => canonicalLogin(review.reviewer)),
+    ...reviewData.reviewComments.map(comment => canonicalLogin(comment.author)),
+    ...reviewData.discussionComments.map(comment => canonicalLogin(comment.author))
+  ]);
+}
+
+/**
+ * Apply the bot mode to week data users (also catches bots credited as co-authors)
+ * @param {Object} data - Week data object
+ * @param {string} mode - 'exclude' drops bots, 'segregate' moves them to data.automation,
+ *   'include' keeps them as users
+ * @param {Set<string>} botLogins - Usernames known to be bots from GitHub account types
+ * @returns {Array<string>} Usernames that were moved or dropped
+ */
+export function separateBotUsers(data, mode, botLogins = new Set()) {
+  if (mode === 'include') {
+    return [];
+  }
+
+  const botUsernames = Object.keys(data.users)
+    .filter(username => botLogins.has(username) || isBotAccount(username));
+
+  for (const username of botUsernames) {
+    if (mode === 'segregate') {
+      moveUserToAutomation(data, username);
+    } else {
+      delete data.users[username];
+    }
+  }
+
+  return botUsernames;
+}
@@ -1,4 +1,5 @@
 import { format, parse, isValid } from 'date-fns';
+import { getTimezoneConfig } from '../config/timezoneConfig.js';
 
 /**
  * Format a date to ISO string (YYYY-MM-DD)
@@ -74,3 +75,138 @@ export function compareDate(date1, date2) {
   if (d1 > d2) return 1;
   return 0;
 }
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl formatters are costly to create and are reused per timezone
+const zonedFormatters = new Map();
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second } as strings
+ */
+function getZonedParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of zonedFormatters.get(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+/**
+ * Get a timezone's offset from UTC at an instant
+ * @param {number} time - The instant (milliseconds since epoch)
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(time, timeZone) {
+  const parts = getZonedParts(new Date(time), timeZone);
+  const localTime = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return localTime - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Format an instant as a UTC timestamp without milliseconds, as GitHub's APIs expect
+ * @param {number} time - The instant (milliseconds since epoch)
+ * @returns {string} e.g. '2025-03-09T23:00:00Z'
+ */
+function toTimestamp(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Get the calendar date a timestamp falls on in the reporting timezone
+ * Dates without a time (YYYY-MM-DD) are already calendar dates and are returned as-is.
+ * @param {Date|string} date - Timestamp (ISO 8601) or date
+ * @param {string} timeZone - IANA timezone (default: REPORTING_TIMEZONE)
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function toReportingDate(date, timeZone = getTimezoneConfig().timeZone) {
+  if (typeof date === 'string' && DATE_ONLY.test(date)) {
+    return date;
+  }
+
+  const d = typeof date === 'string' ? new Date(date) : date;
+  if (!isValid(d)) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  const { year, month, day } = getZonedParts(d, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get today's date in the reporting timezone
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function getReportingToday() {
+  return toReportingDate(new Date());
+}
+
+/**
+ * Get the UTC timestamp at which a day starts in the reporting timezone
+ * Full timestamps are returned unchanged, so API ranges can be given either way.
+ * @param {string} date - Date (YYYY-MM-DD) or timestamp (ISO 8601)
+ * @param {string} timeZone - IANA timezone (default: REPORTING_TIMEZONE)
+ * @returns {string} UTC timestamp, e.g. '2025-03-09T23:00:00Z' for 2025-03-10 in Stockholm
+ */
+export function getReportingDayStart(date, timeZone = getTimezoneConfig().timeZone) {
+  if (!DATE_ONLY.test(date)) {
+    return date;
+  }
+
+  // Midnight local time, corrected once more in case the offset changes on that day
+  const midnight = Date.parse(`${date}T00:00:00Z`);
+  const estimate = midnight - getTimeZoneOffset(midnight, timeZone);
+  return toTimestamp(midnight - getTimeZoneOffset(estimate, timeZone));
+}
+
+/**
+ * Get the UTC timestamp of the last second of a day in the reporting timezone
+ * Full timestamps are returned unchanged.
+ * @param {string} date - Date (YYYY-MM-DD) or timestamp (ISO 8601)
+ * @param {string} timeZone - IANA timezone (default: REPORTING_TIMEZONE)
+ * @returns {string} UTC timestamp, e.g. '2025-03-10T22:59:59Z' for 2025-03-10 in Stockholm
+ */
+export function getReportingDayEnd(date, timeZone = getTimezoneConfig().timeZone) {
+  if (!DATE_ONLY.test(date)) {
+    return date;
+  }
+
+  const nextDayStart = getReportingDayStart(addCalendarDays(date, 1), timeZone);
+  return toTimestamp(Date.parse(nextDayStart) - 1000);
+}
+
+/**
+ * Add days to a calendar date (independent of the host and reporting timezone)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function addCalendarDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
@@ -0,0 +1,51 @@
+import { generatedFilePatterns } from '../config/generatedFiles.js';
+import { repositories } from '../config/repositories.js';
+import { matchesAnyPattern } from './patternMatcher.js';
+
+/**
+ * Generated file detection
+ * Separates line changes in generated, vendored and lock files (see src/config/generatedFiles.js)
+ * from hand-written changes, so a lockfile bump doesn't count as thousands of lines of work
+ */
+
+/**
+ * Get the generated file globs for a repository: the shared patterns plus its own `generated` list
+ * @param {string} repository - Repository name (e.g. 'sisp-sweden/ssn-web')
+ * @param {Array} repositoryConfig - Repository configuration entries
+ * @returns {Array<string>} Glob patterns
+ */
+export function getGeneratedPatterns(repository, repositoryConfig = repositories) {
+  const config = repositoryConfig.find(({ owner, repo }) => `${owner}/${repo}` === repository);
+  return [...generatedFilePatterns, ...(config?.generated || [])];
+}
+
+/**
+ * Split a commit's line changes into hand-written and generated changes
+ * Commits without per-file stats (GraphQL collector) keep all their lines
+ * @param {Object} commit - { repository, additions, deletions, files: [{ path, additions, deletions }] }
+ * @param {Array<string>} patterns - Generated file globs (defaults to the repository's)
+ * @returns {Object} { additions, deletions, generatedLinesChanged, files } where additions,
+ *   deletions and files exclude generated files
+ */
+export function splitGeneratedChanges(commit, patterns = getGeneratedPatterns(commit.repository)) {
+  let generatedAdditions = 0;
+  let generatedDeletions = 0;
+  const files = [];
+
+  for (const file of commit.files || []) {
+    if (matchesAnyPattern(file.path, patterns)) {
+      generatedAdditions += file.additions || 0;
+      generatedDeletions += file.deletions || 0;
+    } else {
+      files.push(file);
+    }
+  }
+
+  // Commit totals also cover files beyond the ones GitHub lists, so subtract rather than sum
+  return {
+    additions: Math.max(0, (commit.additions || 0) - generatedAdditions),
+    deletions: Math.max(0, (commit.deletions || 0) - generatedDeletions),
+    generatedLinesChanged: generatedAdditions + generatedDeletions,
+    files
+  };
+}
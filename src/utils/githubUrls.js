@@ -0,0 +1,22 @@
+import { getServerConfig } from '../config/serverConfig.js';
+
+/**
+ * Point a GitHub web link (html_url) at the configured web UI
+ * GHES behind a proxy can report html_url with an internal hostname; links in pages and
+ * emails should use GITHUB_SERVER_URL instead. Links already on that host are unchanged.
+ * @param {string} url - html_url from the API
+ * @param {string} webUrl - Web UI base URL (default from getServerConfig())
+ * @returns {string} Rewritten URL, or the input if it is empty or not a URL
+ */
+export function toWebUrl(url, webUrl = getServerConfig().webUrl) {
+  if (!url || url.startsWith(`${webUrl}/`)) {
+    return url;
+  }
+
+  try {
+    const { pathname, search, hash } = new URL(url);
+    return `${webUrl}${pathname}${search}${hash}`;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,143 @@
+import { identities } from '../config/identities.js';
+
+/**
+ * Contributor identity resolution
+ * Maps logins, commit emails and author names to the canonical login of a
+ * registered contributor (see src/config/identities.js)
+ */
+
+/**
+ * Turn an author name into a username the way commits without a login are keyed
+ * @param {string} name - Author display name
+ * @returns {string} e.g. 'jonathan-ahlbom'
+ */
+export function slugifyName(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Build lookup tables for an identity registry
+ * @param {Array} entries - Registry entries { login, name, emails, names, logins, team }
+ * @returns {Object} { entries, byLogin, byEmail, byName, byKey } maps to canonical logins;
+ *   byKey also holds the email local-parts and name slugs stored week files may be keyed by
+ */
+export function buildIdentityIndex(entries = []) {
+  const index = {
+    entries: new Map(),
+    byLogin: new Map(),
+    byEmail: new Map(),
+    byName: new Map(),
+    byKey: new Map()
+  };
+
+  for (const entry of entries) {
+    const canonical = entry.login;
+    index.entries.set(canonical, {
+      login: canonical,
+      name: entry.name || null,
+      emails: entry.emails || [],
+      names: entry.names || [],
+      logins: entry.logins || [],
+      team: entry.team || null
+    });
+
+    for (const login of [canonical, ...(entry.logins || [])]) {
+      index.byLogin.set(login.toLowerCase(), canonical);
+      index.byKey.set(login.toLowerCase(), canonical);
+    }
+
+    for (const email of entry.emails || []) {
+      index.byEmail.set(email.toLowerCase(), canonical);
+      index.byKey.set(email.split('@')[0].toLowerCase(), canonical);
+    }
+
+    for (const name of [entry.name, ...(entry.names || [])].filter(Boolean)) {
+      index.byName.set(slugifyName(name), canonical);
+      index.byKey.set(slugifyName(name), canonical);
+    }
+  }
+
+  return index;
+}
+
+const defaultIndex = buildIdentityIndex(identities);
+
+/**
+ * Resolve a contributor to their canonical login (login first, then email, then name)
+ * @param {Object} identity - { login, email, name }, any of which may be missing
+ * @param {Object} index - Identity index (defaults to the configured registry)
+ * @returns {string|null} Canonical login or null if the contributor is not registered
+ */
+export function resolveIdentity({ login, email, name } = {}, index = defaultIndex) {
+  return (login && index.byLogin.get(login.toLowerCase())) ||
+    (email && index.byEmail.get(email.toLowerCase())) ||
+    (name && index.byName.get(slugifyName(name))) ||
+    null;
+}
+
+/**
+ * Map a GitHub login to its canonical login
+ * @param {string} login - GitHub login
+ * @param {Object} index - Identity index
+ * @returns {string} Canonical login, or the login itself if not registered
+ */
+export function canonicalLogin(login, index = defaultIndex) {
+  return resolveIdentity({ login }, index) || login;
+}
+
+/**
+ * Resolve a username key from a stored week file (a login, email local-part or name slug)
+ * @param {string} username - Username key
+ * @param {Object} index - Identity index
+ * @returns {string|null} Canonical login or null if unresolved
+ */
+export function resolveUsernameKey(username, index = defaultIndex) {
+  return index.byKey.get(username.toLowerCase()) || null;
+}
+
+/**
+ * Get the registry entry of a contributor
+ * @param {string} username - Login, email local-part or name slug (resolved to the canonical login)
+ * @param {Object} index - Identity index
+ * @returns {Object|null} { login, name, emails, names, logins, team } (team is null if not set),
+ *   or null if the contributor is not registered
+ */
+export function getIdentity(username, index = defaultIndex) {
+  const canonical = resolveUsernameKey(username, index);
+  return (canonical && index.entries.get(canonical)) || null;
+}
+
+/**
+ * Find usernames in week data that the registry does not know, grouping keys
+ * that only differ in case or punctuation (e.g. 'jonathan.ahlbom' and 'jonathan-ahlbom')
+ * @param {Array} weekDataArray - Week data objects
+ * @param {Object} index - Identity index
+ * @returns {Array} Array of { username, weeks, commits, prs, similar } sorted by username
+ */
+export function findUnresolvedIdentities(weekDataArray, index = defaultIndex) {
+  const unresolved = new Map();
+
+  for (const weekData of weekDataArray) {
+    for (const [username, userData] of Object.entries(weekData.users || {})) {
+      if (resolveUsernameKey(username, index)) continue;
+
+      if (!unresolved.has(username)) {
+        unresolved.set(username, { username, weeks: [], commits: 0, prs: 0, similar: [] });
+      }
+      const entry = unresolved.get(username);
+      entry.weeks.push(weekData.week);
+      entry.commits += userData.weekly?.commits || 0;
+      entry.prs += userData.weekly?.prs || 0;
+    }
+  }
+
+  const normalize = username => username.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const entries = [...unresolved.values()];
+  for (const entry of entries) {
+    entry.similar = entries
+      .filter(other => other !== entry && normalize(other.username) === normalize(entry.username))
+      .map(other => other.username);
+  }
+
+  return entries.sort((a, b) => a.username.localeCompare(b.username));
+}
@@ -0,0 +1,72 @@
+/**
+ * Language detection for changed files, by extension or well-known file name
+ */
+
+import { languageExtensions, languageFileNames } from '../config/languages.js';
+
+/**
+ * Detect the language of a file from its path
+ * @param {string} filePath - Repository-relative file path
+ * @returns {string} Language name, or 'Other'
+ */
+export function detectLanguage(filePath) {
+  const fileName = (filePath || '').split('/').pop();
+
+  if (languageFileNames[fileName]) {
+    return languageFileNames[fileName];
+  }
+
+  // 'Dockerfile.dev' and similar variants
+  const baseName = fileName.split('.')[0];
+  if (languageFileNames[baseName]) {
+    return languageFileNames[baseName];
+  }
+
+  const dotIndex = fileName.lastIndexOf('.');
+  if (dotIndex > 0) {
+    const extension = fileName.slice(dotIndex + 1).toLowerCase();
+    if (languageExtensions[extension]) {
+      return languageExtensions[extension];
+    }
+  }
+
+  return 'Other';
+}
+
+/**
+ * Break a commit's changed files down by language
+ * @param {Array} files - Array of { path, additions, deletions }
+ * @returns {Object} { language: { linesAdded, linesDeleted, files } }
+ */
+export function getLanguageBreakdown(files = []) {
+  const breakdown = {};
+
+  for (const file of files) {
+    const language = detectLanguage(file.path);
+    const entry = breakdown[language] || { linesAdded: 0, linesDeleted: 0, files: 0 };
+    entry.linesAdded += file.additions || 0;
+    entry.linesDeleted += file.deletions || 0;
+    entry.files += 1;
+    breakdown[language] = entry;
+  }
+
+  return breakdown;
+}
+
+/**
+ * Add one language breakdown onto another
+ * @param {Object} target - Breakdown that receives the stats (modified in place)
+ * @param {Object} source - Breakdown to add
+ * @returns {Object} The target breakdown
+ */
+export function addLanguageStats(target, source = {}) {
+  for (const [language, stats] of Object.entries(source)) {
+    const entry = target[language] || { linesAdded: 0, linesDeleted: 0, files: 0 };
+    entry.linesAdded += stats.linesAdded || 0;
+    entry.linesDeleted += stats.linesDeleted || 0;
+    entry.files += stats.files || 0;
+    target[language] = entry;
+  }
+
+  return target;
+}
@@ -0,0 +1,59 @@
+/**
+ * Glob-style pattern matching for branch names and file paths
+ * Supports `*` (anything except `/`), `**` (anything, including `/`) and `?` (one character)
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern (e.g. 'release/*', 'vendor/**')
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' also matches zero directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a value matches any of the given glob patterns
+ * @param {string} value - Branch name or file path
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+export function matchesAnyPattern(value, patterns = []) {
+  return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
+
+/**
+ * Apply an allowlist and a denylist to a value
+ * @param {string} value - Branch name or file path
+ * @param {Object} filter - { include, exclude } glob pattern arrays (empty include allows everything)
+ * @returns {boolean} True if the value passes the filter
+ */
+export function isIncluded(value, { include = [], exclude = [] } = {}) {
+  if (include.length > 0 && !matchesAnyPattern(value, include)) {
+    return false;
+  }
+  return !matchesAnyPattern(value, exclude);
+}
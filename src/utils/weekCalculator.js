@@ -1,26 +1,39 @@
-import {
-  getISOWeek,
-  getISOWeekYear,
-  startOfISOWeek,
-  endOfISOWeek,
-  format,
-  addDays,
-  isWithinInterval,
-  eachDayOfInterval
-} from 'date-fns';
+import { toReportingDate, addCalendarDays } from './dateUtils.js';
 
 /**
- * Get the current ISO week and year
+ * Get the ISO day of the week of a calendar date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} 1 (Monday) to 7 (Sunday)
+ */
+function getISODayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+/**
+ * Get the ISO week a calendar date belongs to
+ * @param {string} date - Date (YYYY-MM-DD)
  * @returns {Object} { year: number, week: number }
  */
-export function getCurrentWeek() {
-  const today = new Date();
+function getISOWeekOfDate(date) {
+  // The ISO week belongs to the year its Thursday is in
+  const thursday = addCalendarDays(date, 4 - getISODayOfWeek(date));
+  const year = parseInt(thursday.slice(0, 4), 10);
+  const dayOfYear = (Date.parse(`${thursday}T00:00:00Z`) - Date.UTC(year, 0, 1)) / 86400000 + 1;
+
   return {
-    year: getISOWeekYear(today),
-    week: getISOWeek(today)
+    year,
+    week: Math.ceil(dayOfYear / 7)
   };
 }
 
+/**
+ * Get the current ISO week and year (in the reporting timezone)
+ * @returns {Object} { year: number, week: number }
+ */
+export function getCurrentWeek() {
+  return getWeekForDate(new Date());
+}
+
 /**
  * Get the date range for a specific ISO week
  * @param {number} year - The year (e.g., 2025)
@@ -28,22 +41,67 @@ export function getCurrentWeek() {
  * @returns {Object} { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
  */
 export function getWeekDateRange(year, week) {
-  // Create a date that falls within the target week
   // January 4th is always in week 1 of that year
-  const jan4 = new Date(year, 0, 4);
-  const weekStart = startOfISOWeek(jan4);
-
-  // Calculate the actual start date by adding weeks
-  const weeksToAdd = week - 1;
-  const targetStart = addDays(weekStart, weeksToAdd * 7);
-  const targetEnd = endOfISOWeek(targetStart);
+  const jan4 = `${year}-01-04`;
+  const start = addCalendarDays(jan4, 1 - getISODayOfWeek(jan4) + (week - 1) * 7);
 
   return {
-    start: format(targetStart, 'yyyy-MM-dd'),
-    end: format(targetEnd, 'yyyy-MM-dd')
+    start,
+    end: addCalendarDays(start, 6)
   };
 }
 
+/**
+ * Get the number of ISO weeks in a year
+ * @param {number} year - The ISO week-numbering year
+ * @returns {number} 52 or 53
+ */
+export function getWeeksInYear(year) {
+  // December 28th is always in the last week of its year
+  return getISOWeekOfDate(`${year}-12-28`).week;
+}
+
+/**
+ * Move a number of weeks forward or back, across year boundaries
+ * @param {number} year - The year
+ * @param {number} week - The ISO week number
+ * @param {number} offset - Weeks to move (negative for earlier weeks)
+ * @returns {Object} { year: number, week: number }
+ */
+export function offsetWeek(year, week, offset) {
+  const { start } = getWeekDateRange(year, week);
+  return getISOWeekOfDate(addCalendarDays(start, offset * 7));
+}
+
+/**
+ * Get the week before a given week (week 52 or 53 of the previous year for week 1)
+ * @param {number} year - The year
+ * @param {number} week - The ISO week number
+ * @returns {Object} { year: number, week: number }
+ */
+export function getPreviousWeek(year, week) {
+  return offsetWeek(year, week, -1);
+}
+
+/**
+ * Get every week from one week to another, inclusive
+ * @param {Object} from - First week { year, week }
+ * @param {Object} to - Last week { year, week }
+ * @returns {Array} Array of { year, week } in chronological order (empty if from is after to)
+ */
+export function getWeekRange(from, to) {
+  const weeks = [];
+  const last = formatWeekString(to.year, to.week);
+
+  let current = { year: from.year, week: from.week };
+  while (formatWeekString(current.year, current.week) <= last) {
+    weeks.push(current);
+    current = offsetWeek(current.year, current.week, 1);
+  }
+
+  return weeks;
+}
+
 /**
  * Format week and year as a string
  * @param {number} year - The year
@@ -69,15 +127,12 @@ export function parseWeekString(weekStr) {
 
 /**
  * Get the ISO week for a specific date
- * @param {Date|string} date - The date to check
+ * Timestamps are placed on the day they fall on in the reporting timezone.
+ * @param {Date|string} date - The date (YYYY-MM-DD) or timestamp to check
  * @returns {Object} { year: number, week: number }
  */
 export function getWeekForDate(date) {
-  const d = typeof date === 'string' ? new Date(date) : date;
-  return {
-    year: getISOWeekYear(d),
-    week: getISOWeek(d)
-  };
+  return getISOWeekOfDate(toReportingDate(date));
 }
 
 /**
@@ -87,37 +142,19 @@ export function getWeekForDate(date) {
  * @returns {string[]} Array of date strings in 'YYYY-MM-DD' format
  */
 export function getAllDatesInWeek(year, week) {
-  const { start, end } = getWeekDateRange(year, week);
-  const startDate = new Date(start);
-  const endDate = new Date(end);
-
-  const dates = eachDayOfInterval({ start: startDate, end: endDate });
-  return dates.map(d => format(d, 'yyyy-MM-dd'));
-}
-
-/**
- * Get date range as Date objects (not strings)
- * @param {number} year - The year
- * @param {number} week - The ISO week number
- * @returns {Object} { start: Date, end: Date }
- */
-export function getWeekDateRangeAsObjects(year, week) {
-  const { start, end } = getWeekDateRange(year, week);
-  return {
-    start: new Date(start),
-    end: new Date(end)
-  };
+  const { start } = getWeekDateRange(year, week);
+  return Array.from({ length: 7 }, (_, i) => addCalendarDays(start, i));
 }
 
 /**
  * Check if a date falls within a specific week
- * @param {string|Date} date - The date to check
+ * @param {string|Date} date - The date (YYYY-MM-DD) or timestamp to check
  * @param {number} year - The year
  * @param {number} week - The ISO week number
  * @returns {boolean}
  */
 export function isDateInWeek(date, year, week) {
-  const d = typeof date === 'string' ? new Date(date) : date;
-  const { start, end } = getWeekDateRangeAsObjects(year, week);
-  return isWithinInterval(d, { start, end });
+  const { start, end } = getWeekDateRange(year, week);
+  const day = toReportingDate(date);
+  return day >= start && day <= end;
 }
@@ -0,0 +1,266 @@
+import { processCommit } from '../github/commits.js';
+import { processPR, getPRLifecycleEvents } from '../github/pullRequests.js';
+import { isIncluded } from '../utils/patternMatcher.js';
+import { splitBotActivity, getBotLogins, separateBotUsers } from '../utils/botClassifier.js';
+import { addActivityToData } from '../storage/activityAggregator.js';
+import { calculateWeeklyTotals } from '../storage/dataAggregator.js';
+
+/**
+ * Create an empty activity object in the shape the batch collector produces
+ * @returns {Object} { commits, prs, activePRs, reviewData }
+ */
+function createEmptyActivity() {
+  return {
+    commits: [],
+    prs: [],
+    activePRs: [],
+    reviewData: { reviews: [], reviewComments: [], discussionComments: [] }
+  };
+}
+
+/**
+ * Wrap a single activity in a webhook update
+ * @param {string} key - Unique key, so redelivered events are only counted once
+ * @param {string} timestamp - When the activity happened (ISO 8601), which decides its week
+ * @param {Function} fill - Adds the activity to an empty activity object
+ * @returns {Object} { key, timestamp, activity }
+ */
+function createUpdate(key, timestamp, fill) {
+  const activity = createEmptyActivity();
+  fill(activity);
+  return { key, timestamp, activity };
+}
+
+/**
+ * Check whether a push is to a branch the batch collector counts
+ * @param {Object} payload - push event payload
+ * @param {Object} repository - Tracked repository entry ({ owner, repo, branches })
+ * @param {boolean} allBranches - Whether GITHUB_BRANCHES=all
+ * @returns {boolean}
+ */
+function isCountedBranch(payload, repository, allBranches) {
+  if (!payload.ref?.startsWith('refs/heads/') || payload.deleted) {
+    return false;
+  }
+
+  const branch = payload.ref.slice('refs/heads/'.length);
+  if (branch === payload.repository.default_branch) {
+    return true;
+  }
+  return allBranches && isIncluded(branch, repository.branches);
+}
+
+/**
+ * Build updates for the commits in a push (commit details are fetched for line stats)
+ * @param {GitHubClient} client - GitHub API client
+ * @param {Object} payload - push event payload
+ * @param {Object} repository - Tracked repository entry
+ * @param {boolean} allBranches - Whether GITHUB_BRANCHES=all
+ * @returns {Promise<Array>} Updates
+ */
+async function getPushUpdates(client, payload, repository, allBranches) {
+  if (!isCountedBranch(payload, repository, allBranches)) {
+    return [];
+  }
+
+  const { owner, repo } = repository;
+  const shas = (payload.commits || [])
+    .filter(commit => commit.distinct !== false)
+    .map(commit => commit.id);
+  const details = await Promise.all(shas.map(sha => client.getCommitDetails(owner, repo, sha)));
+
+  // Merge commits are skipped, as in the batch collector
+  return details
+    .filter(commit => commit && !(commit.parents && commit.parents.length > 1))
+    .map(commit => {
+      const processed = processCommit(commit, commit, owner, repo);
+      return createUpdate(`commit:${commit.sha}`, processed.date, activity => {
+        activity.commits.push(processed);
+      });
+    });
+}
+
+/**
+ * Build updates for a pull_request event (opened, or closed with or without merging)
+ * @param {Object} payload - pull_request event payload
+ * @param {Object} repository - Tracked repository entry
+ * @returns {Array} Updates
+ */
+function getPullRequestUpdates(payload, repository) {
+  const pr = processPR(payload.pull_request, repository.owner, repository.repo);
+  const prKey = `pr:${pr.repository}#${pr.number}`;
+
+  if (payload.action === 'opened') {
+    return [createUpdate(`${prKey}:opened`, pr.createdAt, activity => {
+      activity.prs.push(pr);
+    })];
+  }
+
+  if (payload.action === 'closed') {
+    return [createUpdate(`${prKey}:closed`, pr.mergedAt || pr.closedAt, activity => {
+      activity.activePRs.push(pr);
+    })];
+  }
+
+  return [];
+}
+
+/**
+ * Get the PR context the batch collector attaches to reviews and comments
+ * @param {Object} pullRequest - PR (or issue) from the payload
+ * @param {Object} repository - Tracked repository entry
+ * @returns {Object} { repository, prNumber, prAuthor }
+ */
+function getPRContext(pullRequest, repository) {
+  return {
+    repository: `${repository.owner}/${repository.repo}`,
+    prNumber: pullRequest.number,
+    prAuthor: pullRequest.user?.login || 'Unknown'
+  };
+}
+
+/**
+ * Build updates for a webhook delivery
+ * Supported: push, pull_request (opened, closed), pull_request_review (submitted),
+ * pull_request_review_comment (created) and issue_comment (created, on PRs).
+ * First-review times need a PR's full review history and are left to reconciliation.
+ * @param {GitHubClient} client - GitHub API client
+ * @param {string} event - X-GitHub-Event header
+ * @param {Object} payload - Event payload
+ * @param {Object} options - { repositories, allBranches } (events from other repositories are ignored)
+ * @returns {Promise<Array>} Array of { key, timestamp, activity }
+ */
+export async function getWebhookUpdates(client, event, payload, { repositories, allBranches = false }) {
+  const fullName = payload.repository?.full_name?.toLowerCase();
+  const repository = repositories.find(({ owner, repo }) => `${owner}/${repo}`.toLowerCase() === fullName);
+
+  if (!repository) {
+    return [];
+  }
+
+  switch (event) {
+    case 'push':
+      return getPushUpdates(client, payload, repository, allBranches);
+
+    case 'pull_request':
+      return getPullRequestUpdates(payload, repository);
+
+    case 'pull_request_review': {
+      const review = payload.review;
+      if (payload.action !== 'submitted' || !review.submitted_at) {
+        return [];
+      }
+      return [createUpdate(`review:${review.id}`, review.submitted_at, activity => {
+        activity.reviewData.reviews.push({
+          id: review.id,
+          reviewer: review.user?.login || 'Unknown',
+          reviewerType: review.user?.type || null,
+          state: review.state?.toUpperCase(),
+          body: review.body || '',
+          submittedAt: review.submitted_at,
+          commitId: review.commit_id,
+          ...getPRContext(payload.pull_request, repository)
+        });
+      })];
+    }
+
+    case 'pull_request_review_comment': {
+      const comment = payload.comment;
+      if (payload.action !== 'created') {
+        return [];
+      }
+      return [createUpdate(`review-comment:${comment.id}`, comment.created_at, activity => {
+        activity.reviewData.reviewComments.push({
+          id: comment.id,
+          author: comment.user?.login || 'Unknown',
+          authorType: comment.user?.type || null,
+          body: comment.body || '',
+          path: comment.path,
+          line: comment.line,
+          createdAt: comment.created_at,
+          updatedAt: comment.updated_at,
+          ...getPRContext(payload.pull_request, repository)
+        });
+      })];
+    }
+
+    case 'issue_comment': {
+      const comment = payload.comment;
+      if (payload.action !== 'created' || !payload.issue.pull_request) {
+        return [];
+      }
+      return [createUpdate(`comment:${comment.id}`, comment.created_at, activity => {
+        activity.reviewData.discussionComments.push({
+          id: comment.id,
+          author: comment.user?.login || 'Unknown',
+          authorType: comment.user?.type || null,
+          body: comment.body || '',
+          createdAt: comment.created_at,
+          updatedAt: comment.updated_at,
+          ...getPRContext(payload.issue, repository)
+        });
+      })];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Apply webhook updates to a week's data, the same way the batch collector counts activity
+ * Updates already applied (same key), or older than the last batch collection, are skipped.
+ * @param {Object} data - Week data object (data.webhookEvents tracks applied keys)
+ * @param {Array} updates - Updates from getWebhookUpdates for this week
+ * @param {Object} options - { botMode, coAuthorLines }
+ * @returns {number} Number of updates applied
+ */
+export function applyWebhookUpdates(data, updates, { botMode, coAuthorLines }) {
+  // The batch collector already counted everything up to when it generated the file
+  data.webhookEvents = data.webhookEvents || { since: data.generatedAt || null, keys: [] };
+  const appliedKeys = new Set(data.webhookEvents.keys);
+  const since = data.webhookEvents.since;
+
+  const activity = createEmptyActivity();
+  let applied = 0;
+
+  for (const update of updates) {
+    if (appliedKeys.has(update.key) || (since && update.timestamp < since)) {
+      continue;
+    }
+
+    activity.commits.push(...update.activity.commits);
+    activity.prs.push(...update.activity.prs);
+    activity.activePRs.push(...update.activity.activePRs);
+    for (const kind of ['reviews', 'reviewComments', 'discussionComments']) {
+      activity.reviewData[kind].push(...update.activity.reviewData[kind]);
+    }
+
+    appliedKeys.add(update.key);
+    data.webhookEvents.keys.push(update.key);
+    applied++;
+  }
+
+  if (applied === 0) {
+    return 0;
+  }
+
+  // Bot activity is handled as in the batch collector (see BOT_MODE)
+  const { people, automation } = splitBotActivity(activity);
+  const counted = botMode === 'include' ? activity : people;
+  const withLifecycle = ({ commits, prs, activePRs, reviewData }) => ({
+    commits,
+    prs,
+    reviewData,
+    prLifecycle: getPRLifecycleEvents(activePRs, data.weekStart, data.weekEnd)
+  });
+
+  addActivityToData(data, withLifecycle(counted), { coAuthorLines, trackRepositories: true });
+  if (botMode === 'segregate') {
+    addActivityToData(data, withLifecycle(automation), { coAuthorLines });
+  }
+  separateBotUsers(data, botMode, getBotLogins(automation));
+  calculateWeeklyTotals(data);
+
+  return applied;
+}
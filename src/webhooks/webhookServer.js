@@ -0,0 +1,225 @@
+import http from 'http';
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { GitHubClient } from '../github/client.js';
+import { discoverRepositories } from '../github/repositoryDiscovery.js';
+import { getWebhookUpdates, applyWebhookUpdates } from './webhookEvents.js';
+import { loadWeekData, saveWeekData } from '../storage/fileManager.js';
+import { createEmptyWeekStructure } from '../storage/dataAggregator.js';
+import { getWeekForDate, getCurrentWeek, formatWeekString, parseWeekString } from '../utils/weekCalculator.js';
+import { getWebhookConfig } from '../config/webhookConfig.js';
+import { getCollectionConfig } from '../config/collectionConfig.js';
+import { getAuthConfig } from '../config/authConfig.js';
+import { repositories, repositoryDiscovery } from '../config/repositories.js';
+
+// GitHub caps webhook payloads at 25 MB
+const MAX_PAYLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Verify a webhook delivery's X-Hub-Signature-256 header
+ * @param {string} secret - Webhook secret
+ * @param {Buffer} body - Raw request body
+ * @param {string} signature - X-Hub-Signature-256 header ('sha256=<hex>')
+ * @returns {boolean} True if the body was signed with the secret
+ */
+export function verifySignature(secret, body, signature) {
+  if (!signature?.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+  );
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Read a request body, up to the webhook payload limit
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Raw body
+ * @throws {Error} If the body is larger than the limit
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_PAYLOAD_BYTES) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Apply a delivery's updates to the week files they fall in
+ * @param {Array} updates - Updates from getWebhookUpdates
+ * @param {string} outputDirectory - Week data directory
+ * @param {Object} options - { botMode, coAuthorLines }
+ * @returns {Promise<Array<string>>} Weeks ('YYYY-WW') that changed
+ */
+async function applyUpdatesToWeekFiles(updates, outputDirectory, options) {
+  const byWeek = new Map();
+  for (const update of updates) {
+    const { year, week } = getWeekForDate(update.timestamp);
+    const weekStr = formatWeekString(year, week);
+    byWeek.set(weekStr, [...(byWeek.get(weekStr) || []), update]);
+  }
+
+  const changedWeeks = [];
+  for (const [weekStr, weekUpdates] of byWeek) {
+    const { year, week } = parseWeekString(weekStr);
+    let data = await loadWeekData(outputDirectory, year, week);
+
+    // Nothing collected yet for this week, so every event counts
+    if (!data) {
+      data = createEmptyWeekStructure(year, week);
+      data.webhookEvents = { since: null, keys: [] };
+    }
+
+    const applied = applyWebhookUpdates(data, weekUpdates, options);
+    if (applied > 0) {
+      await saveWeekData(outputDirectory, year, week, data);
+      console.log(chalk.green(`  ✓ Applied ${applied} updates to ${weekStr}`));
+      changedWeeks.push(weekStr);
+    }
+  }
+
+  return changedWeeks;
+}
+
+/**
+ * Run the webhook receiver: applies push, pull request, review and comment events to the
+ * week files as they arrive, and periodically re-collects changed weeks with the batch
+ * collector so missed or out-of-order deliveries are corrected
+ * @param {string} outputDirectory - Week data directory
+ * @param {Function} fetchWeekData - Batch collector (year, week, forceRefresh, options)
+ * @returns {Promise<void>} Resolves when the server is stopped (SIGINT/SIGTERM)
+ */
+export async function runWebhookServer(outputDirectory, fetchWeekData) {
+  const config = getWebhookConfig();
+  const collectionConfig = getCollectionConfig();
+  const client = new GitHubClient(getAuthConfig(), {
+    cacheDirectory: collectionConfig.cacheDirectory,
+    concurrency: collectionConfig.concurrency,
+    maxRetries: collectionConfig.maxRetries
+  });
+  const updateOptions = {
+    botMode: collectionConfig.botMode,
+    coAuthorLines: collectionConfig.coAuthorLines
+  };
+
+  console.log(chalk.bold('Repositories:'));
+  let trackedRepositories = await discoverRepositories(client, repositoryDiscovery, repositories);
+
+  // Deliveries and reconciliation run one at a time, so week files are never written concurrently
+  let queue = Promise.resolve();
+  const enqueue = (description, task) => {
+    queue = queue.then(task).catch(error => {
+      console.error(chalk.red(`Error ${description}:`), error.message);
+    });
+    return queue;
+  };
+
+  // Weeks changed by webhooks since the last reconciliation
+  const pendingWeeks = new Set();
+
+  const reconcile = async () => {
+    const current = getCurrentWeek();
+    const weeks = new Set([...pendingWeeks, formatWeekString(current.year, current.week)]);
+    console.log(chalk.bold.cyan(`\n🔄 Reconciling ${[...weeks].join(', ')} with the batch collector\n`));
+
+    for (const weekStr of weeks) {
+      const { year, week } = parseWeekString(weekStr);
+      await fetchWeekData(year, week, true, { aiAnalysis: false });
+      pendingWeeks.delete(weekStr);
+    }
+
+    trackedRepositories = await discoverRepositories(client, repositoryDiscovery, repositories);
+  };
+
+  const handleDelivery = async (event, deliveryId, payload) => {
+    const updates = await getWebhookUpdates(client, event, payload, {
+      repositories: trackedRepositories,
+      allBranches: collectionConfig.allBranches
+    });
+    if (updates.length === 0) {
+      return;
+    }
+
+    console.log(chalk.cyan(`${event} ${deliveryId} (${payload.repository.full_name})`));
+    const changedWeeks = await applyUpdatesToWeekFiles(updates, outputDirectory, updateOptions);
+    changedWeeks.forEach(weekStr => pendingWeeks.add(weekStr));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'POST' || req.url.split('?')[0] !== config.path) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      res.writeHead(413).end(error.message);
+      return;
+    }
+
+    if (!verifySignature(config.secret, body, req.headers['x-hub-signature-256'])) {
+      console.warn(chalk.yellow(`⚠️  Rejected delivery with an invalid signature from ${req.socket.remoteAddress}`));
+      res.writeHead(401).end('Invalid signature');
+      return;
+    }
+
+    const event = req.headers['x-github-event'];
+    const deliveryId = req.headers['x-github-delivery'] || 'unknown';
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf-8'));
+    } catch (error) {
+      res.writeHead(400).end('Invalid JSON');
+      return;
+    }
+
+    // GitHub expects an answer within 10 seconds, so events are applied after responding
+    res.writeHead(202).end('Accepted');
+    if (event !== 'ping') {
+      enqueue(`handling ${event} delivery ${deliveryId}`, () => handleDelivery(event, deliveryId, payload));
+    }
+  });
+
+  const reconcileTimer = setInterval(
+    () => enqueue('reconciling week data', reconcile),
+    config.reconcileIntervalHours * 60 * 60 * 1000
+  );
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, resolve);
+  });
+  console.log(chalk.green(`\n✓ Listening for GitHub webhooks on port ${config.port} at ${config.path}`));
+  console.log(chalk.dim(`Reconciling with the batch collector every ${config.reconcileIntervalHours} hours\n`));
+
+  // Finish queued deliveries before exiting
+  await new Promise(resolve => {
+    const stop = () => {
+      console.log(chalk.dim('\nStopping webhook receiver...'));
+      clearInterval(reconcileTimer);
+      server.close();
+      queue.then(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}